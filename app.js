@@ -11,6 +11,12 @@ dotenv.config();
 
 const app = express();
 
+// behind a reverse proxy (Render, Nginx...) set TRUST_PROXY to the hop
+// count so req.ip reflects the client for login throttling
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 /* =========================
    CORS CONFIG (Clean + Safe)
 ========================= */
@@ -45,14 +51,26 @@ app.use(morgan("dev"));
 /* =========================
    STATIC FILES
 ========================= */
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// only avatars and badge icons are public; submission files go through /api/quests
+app.use("/uploads/avatars", express.static(path.join(__dirname, "uploads", "avatars")));
+const { setBadgeIconHeaders } = require("./middleware/badgeUpload");
+app.use(
+  "/uploads/badges",
+  express.static(path.join(__dirname, "uploads", "badges"), { setHeaders: setBadgeIconHeaders })
+);
 
 /* =========================
    DATABASE CONNECTION
 ========================= */
+const { createQuestScheduler } = require("./utils/questScheduler");
+
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected successfully"))
+  .then(() => {
+    console.log("✅ MongoDB connected successfully");
+    // opens/closes quests on their dates and sends due-soon reminders
+    if (process.env.QUEST_SCHEDULER_ENABLED !== "false") createQuestScheduler().start();
+  })
   .catch((err) => console.error("❌ MongoDB connection failed:", err));
 
 /* =========================
@@ -72,7 +90,12 @@ const studentRoutes = require("./routes/studentRoutes");
 const userRoutes = require("./routes/userRoutes");
 const adminRoutes = require("./routes/adminRoutes");
 const questRoutes = require("./routes/questRoutes");
+const questTemplateRoutes = require("./routes/questTemplateRoutes");
+const questlineRoutes = require("./routes/questlineRoutes");
+const questSeriesRoutes = require("./routes/questSeriesRoutes");
+const teamRoutes = require("./routes/teamRoutes");
 const rewardRoutes = require("./routes/rewardRoutes");
+const badgeRoutes = require("./routes/badgeRoutes");
 
 app.use("/api/auth", authRoutes);
 app.use("/api/attendance", attendanceRoutes);
@@ -81,7 +104,12 @@ app.use("/api/students", studentRoutes); // ⚠️ fixed capital S to lowercase
 app.use("/api/users", userRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/quests", questRoutes);
+app.use("/api/quest-templates", questTemplateRoutes);
+app.use("/api/questlines", questlineRoutes);
+app.use("/api/quest-series", questSeriesRoutes);
+app.use("/api/teams", teamRoutes);
 app.use("/api/rewards", rewardRoutes);
+app.use("/api/badges", badgeRoutes);
 
 /* =========================
    SERVER START
@@ -1,7 +1,40 @@
 // controllers/attendanceController.js
 const Attendance = require("../models/Attendance");
+const { ATTENDANCE_STATUSES } = require("../models/Attendance");
 const Class = require("../models/Class");
 const Student = require("../models/Student");
+const AttendanceAlert = require("../models/AttendanceAlert");
+const AttendanceRevision = require("../models/AttendanceRevision");
+const CheckInWindow = require("../models/CheckInWindow");
+const { evaluateAbsenceAlerts } = require("../utils/absenceAlerts");
+const { syncAttendanceXp } = require("../utils/attendanceXp");
+const { queueAchievementCheck } = require("../utils/achievements");
+const { getCalendarForClass } = require("../utils/calendar");
+const {
+  DEFAULT_SESSION,
+  sessionNameFilter,
+  rollUpDay,
+  countStatuses,
+  attendancePercentage,
+} = require("../utils/attendanceRollup");
+const { attendanceToCsv, renderAttendancePdf } = require("../utils/attendanceExport");
+const { parseCsv, validateImportRows } = require("../utils/attendanceImport");
+const {
+  EDIT_LOCK_DAYS,
+  UNLOCK_HOURS,
+  isSessionLocked,
+  assertSessionEditable,
+  diffRecords,
+  recordRevisions,
+} = require("../utils/attendanceAudit");
+const {
+  ROTATE_SECONDS,
+  generateWindowSecret,
+  currentCode,
+  closeWindow,
+  closeExpiredWindows,
+  scheduleClose,
+} = require("../utils/checkIn");
 const mongoose = require("mongoose");
 
 /* ---------- helpers: normalize to UTC day boundaries ---------- */
@@ -11,13 +44,7 @@ function startOfUTC(dateLike) {
 }
 
 /* ---------- helper: ensure teacher owns the class (or user is admin) ---------- */
-async function ensureAccessToClassByName(className, user) {
-  const cls = await Class.findOne({ name: className }).select("teacher name").lean();
-  if (!cls) {
-    const e = new Error("Class not found");
-    e.status = 404;
-    throw e;
-  }
+function assertClassAccess(cls, user) {
   if (user && user.role === "teacher" && String(cls.teacher) !== String(user.id)) {
     const e = new Error("Forbidden: not owner of this class");
     e.status = 403;
@@ -27,54 +54,145 @@ async function ensureAccessToClassByName(className, user) {
 }
 
 async function ensureAccessToClassById(classId, user) {
-  const cls = await Class.findById(classId).select("teacher name").lean();
+  const cls = mongoose.Types.ObjectId.isValid(String(classId))
+    ? await Class.findById(classId).select("teacher name attendanceRules").lean()
+    : null;
   if (!cls) {
     const e = new Error("Class not found");
     e.status = 404;
     throw e;
   }
-  if (user && user.role === "teacher" && String(cls.teacher) !== String(user.id)) {
-    const e = new Error("Forbidden: not owner of this class");
-    e.status = 403;
+  return assertClassAccess(cls, user);
+}
+
+/* ---------- helper: resolve { classId } or legacy { className } ----------
+   Names are not unique, so a name only resolves when it identifies a
+   single class (a teacher's own class wins over others with that name). */
+async function resolveClass({ classId, className }, user) {
+  if (classId) return ensureAccessToClassById(classId, user);
+
+  if (!className) {
+    const e = new Error("classId is required");
+    e.status = 400;
     throw e;
   }
-  return cls;
+
+  let matches = await Class.find({ name: className }).select("teacher name attendanceRules").lean();
+  if (matches.length > 1 && user && user.role === "teacher") {
+    const own = matches.filter((c) => String(c.teacher) === String(user.id));
+    if (own.length) matches = own;
+  }
+
+  if (!matches.length) {
+    const e = new Error("Class not found");
+    e.status = 404;
+    throw e;
+  }
+  if (matches.length > 1) {
+    const e = new Error(`Multiple classes are named "${className}"; pass classId instead`);
+    e.status = 409;
+    throw e;
+  }
+  return assertClassAccess(matches[0], user);
+}
+
+/* ---------- helper: upsert one session (class + UTC day + sessionName) ----------
+   Replaces the session's records, or with { merge: true } only the
+   records of the students given (used by CSV import). Every changed
+   record is stored as an AttendanceRevision; sessions past the edit
+   lock are rejected for non-admins. Two first saves of a session race
+   on its unique index; the loser starts over against the winner's
+   document. */
+async function upsertSession(cls, dayStartUTC, sessionName, records, user, opts = {}) {
+  try {
+    return await writeSession(cls, dayStartUTC, sessionName, records, user, opts);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return writeSession(cls, dayStartUTC, sessionName, records, user, opts);
+  }
+}
+
+async function writeSession(cls, dayStartUTC, sessionName, records, user, { merge = false, reason, source } = {}) {
+  const filter = { classId: cls._id, dateOnlyUTC: dayStartUTC, sessionName: sessionNameFilter(sessionName) };
+
+  const existing = await Attendance.findOne(filter).select("records dateOnlyUTC unlockedUntil").lean();
+  if (existing) assertSessionEditable(existing, user);
+
+  let finalRecords = records;
+  if (merge && existing) {
+    const byStudent = new Map((existing.records || []).map(r => [String(r.studentId), r]));
+    for (const r of records) byStudent.set(String(r.studentId), r);
+    finalRecords = [...byStudent.values()];
+  }
+
+  // Upsert: replace/insert attendance doc for the session
+  const saved = await Attendance.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        classId: cls._id,
+        className: cls.name,
+        sessionName,
+        takenBy: user.id,
+        date: dayStartUTC,
+        dateOnlyUTC: dayStartUTC,
+        records: finalRecords,
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  await recordRevisions(saved, diffRecords(existing?.records, records, { merge }), { user, reason, source });
+  return saved;
 }
 
 /* ================================================================
-   GET /api/attendance/history?className=...&date=YYYY-MM-DD
+   GET /api/attendance/history?classId=...&date=YYYY-MM-DD&sessionName=...
+   - className=... still accepted when it is unambiguous
+   - without sessionName the most recently saved session of the day is
+     returned; `sessions` lists every session taken that day
    - Requires auth (req.user)
    - Teachers see only their classes; admins see any
 ================================================================= */
 exports.getAttendanceHistory = async (req, res) => {
   try {
-    const { className, date } = req.query;
+    const { classId, className, date, sessionName } = req.query;
     const user = req.user; // authMiddleware must have set this
 
-    if (!className) {
-      return res.status(400).json({ message: "className query param is required" });
+    if (!classId && !className) {
+      return res.status(400).json({ message: "classId query param is required" });
     }
 
     // authorize
-    await ensureAccessToClassByName(className, user);
+    const cls = await resolveClass({ classId, className }, user);
 
-    let session;
-    if (date) {
-      const dayStartUTC = startOfUTC(date);
-      session = await Attendance.findOne({ className, dateOnlyUTC: dayStartUTC }).lean();
-    } else {
-      session = await Attendance.findOne({ className }).sort({ dateOnlyUTC: -1 }).lean();
-    }
+    const query = { classId: cls._id };
+    if (date) query.dateOnlyUTC = startOfUTC(date);
+    if (sessionName) query.sessionName = sessionNameFilter(sessionName);
+
+    const session = await Attendance.findOne(query)
+      .sort({ dateOnlyUTC: -1, updatedAt: -1 })
+      .populate("takenBy", "name")
+      .lean();
+
+    const sessions = session
+      ? await Attendance.find({ classId: cls._id, dateOnlyUTC: session.dateOnlyUTC })
+          .select("sessionName")
+          .sort({ createdAt: 1 })
+          .lean()
+      : [];
 
     res.set("Cache-Control", "no-store");
 
     if (!session) {
       return res.json({
-        className,
+        classId: cls._id,
+        className: cls.name,
         date: date || null,
+        sessionName: sessionName || null,
+        sessions: [],
         total: 0,
-        present: 0,
-        absent: 0,
+        ...countStatuses([]),
         records: [],
       });
     }
@@ -85,17 +203,20 @@ exports.getAttendanceHistory = async (req, res) => {
       name: r.studentName,
       enrollNo: r.enrollNo,
       status: r.status,
+      remarks: r.remarks || "",
     }));
 
-    const present = records.filter(r => r.status === "Present").length;
-    const absent = records.filter(r => r.status === "Absent").length;
-
     return res.json({
-      className: session.className,
+      classId: cls._id,
+      className: cls.name,
       date: session.date,
+      sessionName: session.sessionName || DEFAULT_SESSION,
+      attendanceId: session._id,
+      locked: isSessionLocked(session),
+      takenBy: session.takenBy || null,
+      sessions: sessions.map(s => s.sessionName || DEFAULT_SESSION),
       total: records.length,
-      present,
-      absent,
+      ...countStatuses(records.map(r => r.status)),
       records,
     });
   } catch (err) {
@@ -107,27 +228,38 @@ exports.getAttendanceHistory = async (req, res) => {
 
 /* ================================================================
    POST /api/attendance/save
-   body: { className, date?, records: [{studentId,studentName,enrollNo,status}] }
-   - Upsert by (className + UTC day)
-   - Teachers may save only for their classes
+   body: { classId, date?, sessionName?, reason?, records: [{studentId,studentName,enrollNo,status,remarks?}] }
+   - Upsert by (classId + UTC day + sessionName); sessionName defaults to "Day"
+   - Teachers and admins only; teachers may save only for their classes
+   - Changed records are kept as revisions (reason is stored with them);
+     sessions older than the edit lock answer 423 unless unlocked
 ================================================================= */
 exports.saveAttendance = async (req, res) => {
   try {
-    const { className, date, records } = req.body;
+    const { classId, className, date, records } = req.body;
+    const sessionName = String(req.body.sessionName || DEFAULT_SESSION).trim().slice(0, 60) || DEFAULT_SESSION;
     const user = req.user;
 
-    if (!className || !Array.isArray(records)) {
-      return res.status(400).json({ message: "Missing required fields: className and records (array)" });
+    if (!["teacher", "admin"].includes(user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if ((!classId && !className) || !Array.isArray(records)) {
+      return res.status(400).json({ message: "Missing required fields: classId and records (array)" });
     }
 
     // authorize
-    await ensureAccessToClassByName(className, user);
+    const cls = await resolveClass({ classId, className }, user);
 
     // validate records contain studentIds and statuses
     for (const r of records) {
       if (!r.studentId || !r.status) {
         return res.status(400).json({ message: "Each record must contain studentId and status" });
       }
+      if (!ATTENDANCE_STATUSES.includes(r.status)) {
+        return res.status(400).json({
+          message: `Invalid status "${r.status}". Allowed: ${ATTENDANCE_STATUSES.join(", ")}`,
+        });
+      }
       // optional: verify student belongs to the class
       if (!mongoose.Types.ObjectId.isValid(r.studentId)) {
         return res.status(400).json({ message: `Invalid studentId: ${r.studentId}` });
@@ -136,7 +268,7 @@ exports.saveAttendance = async (req, res) => {
 
     const dayStartUTC = startOfUTC(date || Date.now());
 
-    // Optionally ensure all studentIds exist and belong to class (recommended)
+    // Ensure all studentIds exist and belong to the class
     const studentIds = records.map(r => r.studentId);
     const students = await Student.find({ _id: { $in: studentIds } }).select("_id classId name enrollNo").lean();
     const studentMap = new Map(students.map(s => [String(s._id), s]));
@@ -145,53 +277,239 @@ exports.saveAttendance = async (req, res) => {
       if (!s) {
         return res.status(400).json({ message: `Student not found: ${r.studentId}` });
       }
-      // verify student belongs to the class assigned by name
-      const cls = await Class.findOne({ name: className }).select("_id").lean();
-      if (!cls || String(s.classId) !== String(cls._id)) {
-        return res.status(400).json({ message: `Student ${r.studentId} does not belong to class ${className}` });
+      if (String(s.classId) !== String(cls._id)) {
+        return res.status(400).json({ message: `Student ${r.studentId} does not belong to class ${cls.name}` });
       }
     }
 
-    // Upsert: replace/insert attendance doc for the day
-    const updated = await Attendance.findOneAndUpdate(
-      { className, dateOnlyUTC: dayStartUTC },
-      {
-        $set: {
-          className,
-          date: dayStartUTC,
-          dateOnlyUTC: dayStartUTC,
-          records,
-        },
-      },
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    ).lean();
+    const cleanRecords = records.map((r) => {
+      const s = studentMap.get(String(r.studentId));
+      return {
+        studentId: s._id,
+        studentName: r.studentName || s.name,
+        enrollNo: r.enrollNo || s.enrollNo,
+        status: r.status,
+        ...(r.remarks ? { remarks: String(r.remarks).trim() } : {}),
+      };
+    });
+
+    const updated = await upsertSession(cls, dayStartUTC, sessionName, cleanRecords, user, {
+      reason: req.body.reason,
+    });
+
+    const calendar = await getCalendarForClass(cls._id);
+    const dayType = calendar.dayType(dayStartUTC);
+
+    // rules engine and XP run in the background; the save never waits on them
+    const savedIds = cleanRecords.map(r => r.studentId);
+    evaluateAbsenceAlerts(cls._id, savedIds)
+      .catch(err => console.error("evaluateAbsenceAlerts error:", err));
+    syncAttendanceXp(cls._id, savedIds, { from: dayStartUTC })
+      .catch(err => console.error("syncAttendanceXp error:", err))
+      .then(() => queueAchievementCheck(savedIds));
 
     return res.status(200).json({
       message: "Attendance saved/updated successfully ✅",
       attendance: updated,
+      ...(dayType !== "working"
+        ? { warning: `Saved on a non-working day (${calendar.holidayName(dayStartUTC) || dayType})` }
+        : {}),
     });
   } catch (err) {
     console.error("saveAttendance error:", err);
     const status = err.status || 500;
-    return res.status(status).json({ message: err.message || "Server error" });
+    return res.status(status).json({
+      message: err.message || "Server error",
+      ...(err.code === "ATTENDANCE_LOCKED" ? { code: err.code } : {}),
+    });
   }
 };
 
 /* ================================================================
-   GET /api/attendance/class/:className
+   POST /api/attendance/import
+   multipart: file=<csv>, classId, sessionName?, commit?, skipInvalid?
+   (or JSON with the CSV text in `csv`)
+   - Teachers and admins only; teachers may import only into their classes
+   - CSV columns: enrollNo, date (YYYY-MM-DD), status, remarks?, session?
+   - Without commit=true only a preview with per-row errors is returned
+   - Commit merges rows into each day's session through upsertSession;
+     rows with errors block the commit unless skipInvalid=true
+   - Rows for existing sessions past the edit lock are reported as errors
+     (admins are exempt)
+================================================================= */
+const truthy = (v) => v === true || v === "true" || v === "1";
+
+exports.importAttendance = async (req, res) => {
+  try {
+    const { classId, className } = req.body;
+    const commit = truthy(req.body.commit);
+    const skipInvalid = truthy(req.body.skipInvalid);
+    const user = req.user;
+
+    if (!["teacher", "admin"].includes(user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body.csv;
+    if (!classId && !className) {
+      return res.status(400).json({ message: "classId is required" });
+    }
+    if (!text || typeof text !== "string") {
+      return res.status(400).json({ message: "Upload a CSV file (field: file)" });
+    }
+
+    const cls = await resolveClass({ classId, className }, user);
+
+    const students = await Student.find({ classId: cls._id }).select("_id name enrollNo").lean();
+    const studentsByEnroll = new Map(
+      students.filter(s => s.enrollNo).map(s => [String(s.enrollNo).toLowerCase(), s])
+    );
+
+    const knownSessions = (await Attendance.distinct("sessionName", { classId: cls._id })).filter(Boolean);
+    const parsed = validateImportRows(parseCsv(text), studentsByEnroll, {
+      defaultSession: String(req.body.sessionName || DEFAULT_SESSION).trim() || DEFAULT_SESSION,
+      knownSessions,
+    });
+    const { errors } = parsed;
+
+    // compare against what is stored to label each row
+    const existingSessions = parsed.entries.length
+      ? await Attendance.find({
+          classId: cls._id,
+          dateOnlyUTC: { $in: [...new Set(parsed.entries.map(e => e.day.getTime()))].map(t => new Date(t)) },
+        })
+          .select("dateOnlyUTC sessionName records unlockedUntil")
+          .lean()
+      : [];
+
+    // rows for sessions past the edit lock are errors for non-admins
+    const lockedSessions = new Set(
+      existingSessions
+        .filter(sess => user.role !== "admin" && isSessionLocked(sess))
+        .map(sess => `${new Date(sess.dateOnlyUTC).toISOString()}|${sess.sessionName || DEFAULT_SESSION}`)
+    );
+    const entries = parsed.entries.filter((e) => {
+      if (!lockedSessions.has(`${e.day.toISOString()}|${e.sessionName}`)) return true;
+      errors.push({
+        row: e.row,
+        enrollNo: e.student.enrollNo,
+        message: `Session is locked (older than ${EDIT_LOCK_DAYS} days)`,
+      });
+      return false;
+    });
+    errors.sort((a, b) => a.row - b.row);
+
+    // group valid rows per session (day + sessionName)
+    const groups = new Map();
+    for (const e of entries) {
+      const key = `${e.day.toISOString()}|${e.sessionName}`;
+      if (!groups.has(key)) groups.set(key, { day: e.day, sessionName: e.sessionName, entries: [] });
+      groups.get(key).entries.push(e);
+    }
+
+    const existingStatus = new Map();
+    for (const sess of existingSessions) {
+      for (const r of sess.records || []) {
+        const key = `${new Date(sess.dateOnlyUTC).toISOString()}|${sess.sessionName || DEFAULT_SESSION}|${r.studentId}`;
+        existingStatus.set(key, r.status);
+      }
+    }
+
+    const preview = entries.map((e) => {
+      const prev = existingStatus.get(`${e.day.toISOString()}|${e.sessionName}|${e.student._id}`);
+      return {
+        row: e.row,
+        enrollNo: e.student.enrollNo,
+        studentName: e.student.name,
+        date: e.day.toISOString().slice(0, 10),
+        sessionName: e.sessionName,
+        status: e.status,
+        remarks: e.remarks,
+        previousStatus: prev || null,
+        action: !prev ? "create" : prev === e.status ? "unchanged" : "update",
+      };
+    });
+
+    const summary = {
+      totalRows: entries.length + errors.length,
+      validRows: entries.length,
+      errorCount: errors.length,
+      sessions: groups.size,
+    };
+
+    if (!commit) {
+      return res.json({ dryRun: true, canCommit: errors.length === 0, ...summary, errors, preview });
+    }
+
+    if (errors.length && !skipInvalid) {
+      return res.status(422).json({
+        message: "Fix the rows with errors or pass skipInvalid=true",
+        dryRun: true,
+        ...summary,
+        errors,
+      });
+    }
+
+    for (const group of groups.values()) {
+      const records = group.entries.map((e) => ({
+        studentId: e.student._id,
+        studentName: e.student.name,
+        enrollNo: e.student.enrollNo,
+        status: e.status,
+        ...(e.remarks ? { remarks: e.remarks } : {}),
+      }));
+      await upsertSession(cls, group.day, group.sessionName, records, user, {
+        merge: true,
+        reason: req.body.reason || "CSV import",
+        source: "import",
+      });
+    }
+
+    const importedStudentIds = [...new Set(entries.map(e => String(e.student._id)))];
+    evaluateAbsenceAlerts(cls._id, importedStudentIds)
+      .catch(err => console.error("evaluateAbsenceAlerts error:", err));
+    if (entries.length) {
+      const earliest = new Date(Math.min(...entries.map(e => e.day.getTime())));
+      syncAttendanceXp(cls._id, importedStudentIds, { from: earliest })
+        .catch(err => console.error("syncAttendanceXp error:", err))
+        .then(() => queueAchievementCheck(importedStudentIds));
+    }
+
+    return res.json({
+      message: "Attendance imported ✅",
+      dryRun: false,
+      ...summary,
+      imported: entries.length,
+      skipped: errors.length,
+      errors,
+    });
+  } catch (err) {
+    console.error("importAttendance error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({
+      message: err.message || "Server error",
+      ...(err.code === "ATTENDANCE_LOCKED" ? { code: err.code } : {}),
+    });
+  }
+};
+
+/* ================================================================
+   GET /api/attendance/class/:classId
    - Returns all sessions for class (newest first)
+   - A class name is still accepted when it is unambiguous
    - Teacher only if owner; admin can access all
 ================================================================= */
 exports.getAttendanceByClass = async (req, res) => {
   try {
-    const { className } = req.params;
+    const { classId } = req.params;
     const user = req.user;
 
-    if (!className) return res.status(400).json({ message: "className param required" });
+    if (!classId) return res.status(400).json({ message: "classId param required" });
 
-    await ensureAccessToClassByName(className, user);
+    const cls = mongoose.Types.ObjectId.isValid(classId)
+      ? await ensureAccessToClassById(classId, user)
+      : await resolveClass({ className: classId }, user);
 
-    const records = await Attendance.find({ className }).sort({ dateOnlyUTC: -1 }).lean();
+    const records = await Attendance.find({ classId: cls._id }).sort({ dateOnlyUTC: -1 }).lean();
 
     res.set("Cache-Control", "no-store");
     return res.json(records);
@@ -202,93 +520,569 @@ exports.getAttendanceByClass = async (req, res) => {
   }
 };
 
+/* ---------- helper: parse "YYYY" + "MM" ---------- */
+function parseYearMonth(year, month) {
+  const y = parseInt(year, 10);
+  const m = parseInt(month, 10); // 1..12
+  if (isNaN(y) || isNaN(m) || m < 1 || m > 12) return null;
+  return { y, m };
+}
+
+// labels for unmarked non-working days in the monthly matrix
+const OFF_DAY_STATUS = { weekend: "Weekend", holiday: "Holiday", vacation: "Vacation" };
+
+/* ---------- helper: student-by-day matrix for one month ----------
+   Shared by the JSON endpoint and the CSV/PDF exports.
+   Unmarked days that the class calendar says are not working days show
+   as Weekend / Holiday / Vacation instead of NA. */
+async function buildMonthlyMatrix(cls, y, m, { detail } = {}) {
+  // Month [startUTC, endUTC)
+  const startUTC = new Date(Date.UTC(y, m - 1, 1, 0, 0, 0, 0));
+  const endUTC = new Date(Date.UTC(y, m, 1, 0, 0, 0, 0));
+  const daysInMonth = new Date(y, m, 0).getDate();
+  const days = Array.from({ length: daysInMonth }, (_, i) => i + 1);
+
+  const calendar = await getCalendarForClass(cls._id);
+  const dayTypes = days.map((d) => calendar.dayType(new Date(Date.UTC(y, m - 1, d))));
+  const holidays = {};
+  days.forEach((d, i) => {
+    if (dayTypes[i] === "holiday") holidays[d] = calendar.holidayName(new Date(Date.UTC(y, m - 1, d)));
+  });
+
+  // load students in that class (alphabetical)
+  const students = await Student.find({ classId: cls._id })
+    .select("_id name enrollNo")
+    .sort({ name: 1 })
+    .lean();
+
+  // load attendance sessions for the month
+  const sessions = await Attendance.find({
+    classId: cls._id,
+    dateOnlyUTC: { $gte: startUTC, $lt: endUTC },
+  })
+    .select("dateOnlyUTC sessionName records")
+    .sort({ dateOnlyUTC: 1, createdAt: 1 })
+    .lean();
+
+  // build lookup studentId -> { day -> { sessionName -> status } }
+  const perStudentDaySessions = new Map();
+  const sessionsByDay = {};
+  for (const session of sessions) {
+    const day = new Date(session.dateOnlyUTC).getUTCDate(); // 1..daysInMonth
+    const name = session.sessionName || DEFAULT_SESSION;
+    (sessionsByDay[day] = sessionsByDay[day] || []).push(name);
+
+    for (const rec of session.records || []) {
+      const sid = String(rec.studentId);
+      if (!perStudentDaySessions.has(sid)) perStudentDaySessions.set(sid, {});
+      const dayMap = perStudentDaySessions.get(sid);
+      (dayMap[day] = dayMap[day] || {})[name] = rec.status;
+    }
+  }
+
+  // compose rows
+  const rows = students.map((stu) => {
+    const sid = String(stu._id);
+    const dayMap = perStudentDaySessions.get(sid) || {};
+
+    const daily = days.map((d, i) => {
+      const status = rollUpDay(Object.values(dayMap[d] || {}), cls.attendanceRules);
+      // recorded attendance always wins over the calendar
+      return status === "NA" && dayTypes[i] !== "working" ? OFF_DAY_STATUS[dayTypes[i]] : status;
+    });
+    const counts = countStatuses(daily);
+
+    return {
+      studentId: stu._id,
+      name: stu.name,
+      enrollNo: stu.enrollNo,
+      daily,
+      ...counts,
+      percentage: attendancePercentage(counts, cls.attendanceRules),
+      ...(detail === "sessions"
+        ? { dailySessions: days.map((d) => dayMap[d] || {}) }
+        : {}),
+    };
+  });
+
+  return {
+    classId: cls._id,
+    className: cls.name,
+    year: y,
+    month: m,
+    days,
+    dayTypes,
+    holidays,
+    workingDays: dayTypes.filter((t) => t === "working").length,
+    statuses: ATTENDANCE_STATUSES,
+    sessionsByDay,
+    students: rows,
+  };
+}
+
 /* ================================================================
-   GET /api/attendance/monthly?className=...&year=YYYY&month=MM
+   GET /api/attendance/monthly?classId=...&year=YYYY&month=MM&detail=sessions
    - Teacher only sees their class; admin can specify any
-   - Returns matrix: days + students with daily statuses
+   - Returns matrix: days + students with daily statuses,
+     a count per status and an attendance percentage
+   - Days with several sessions are rolled up per the class's
+     attendanceRules (Present / Partial / Absent); detail=sessions adds
+     the per-session statuses
 ================================================================= */
 exports.getMonthlyAttendance = async (req, res) => {
   try {
-    const { className, year, month } = req.query;
+    const { classId, className, year, month, detail } = req.query;
     const user = req.user;
 
-    if (!className || !year || !month) {
-      return res.status(400).json({ message: "className, year, and month are required" });
+    if ((!classId && !className) || !year || !month) {
+      return res.status(400).json({ message: "classId, year, and month are required" });
     }
 
     // authorize class access
-    await ensureAccessToClassByName(className, user);
+    const cls = await resolveClass({ classId, className }, user);
+
+    const ym = parseYearMonth(year, month);
+    if (!ym) {
+      return res.status(400).json({ message: "Invalid year/month" });
+    }
+
+    const matrix = await buildMonthlyMatrix(cls, ym.y, ym.m, { detail });
+
+    res.set("Cache-Control", "no-store");
+    return res.json(matrix);
+  } catch (err) {
+    console.error("getMonthlyAttendance error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ---------- helper: send matrices as CSV or PDF ---------- */
+async function sendExport(res, format, matrices, baseName, rules) {
+  res.set("Cache-Control", "no-store");
+
+  if (format === "pdf") {
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${baseName}.pdf"`);
+    return renderAttendancePdf(matrices, res, rules);
+  }
 
-    const y = parseInt(year, 10);
-    const m = parseInt(month, 10); // 1..12
-    if (isNaN(y) || isNaN(m) || m < 1 || m > 12) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${baseName}.csv"`);
+  return res.send(attendanceToCsv(matrices, rules));
+}
+
+const safeFileName = (name) => String(name).replace(/[^A-Za-z0-9_-]+/g, "_");
+
+/* ================================================================
+   GET /api/attendance/monthly/export?classId=...&year=YYYY&month=MM&format=csv|pdf
+   - Same grid as /monthly, with totals and percentages
+   - Teachers (own classes) and admins only
+================================================================= */
+exports.exportMonthlyAttendance = async (req, res) => {
+  try {
+    const { classId, className, year, month } = req.query;
+    const format = String(req.query.format || "csv").toLowerCase();
+
+    if (!["teacher", "admin"].includes(req.user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if ((!classId && !className) || !year || !month) {
+      return res.status(400).json({ message: "classId, year, and month are required" });
+    }
+    if (!["csv", "pdf"].includes(format)) {
+      return res.status(400).json({ message: "format must be csv or pdf" });
+    }
+
+    const cls = await resolveClass({ classId, className }, req.user);
+
+    const ym = parseYearMonth(year, month);
+    if (!ym) {
       return res.status(400).json({ message: "Invalid year/month" });
     }
 
-    // Month [startUTC, endUTC)
-    const startUTC = new Date(Date.UTC(y, m - 1, 1, 0, 0, 0, 0));
-    const endUTC = new Date(Date.UTC(y, m, 1, 0, 0, 0, 0));
-    const daysInMonth = new Date(y, m, 0).getDate();
-    const days = Array.from({ length: daysInMonth }, (_, i) => i + 1);
+    const matrix = await buildMonthlyMatrix(cls, ym.y, ym.m);
+    const baseName = `attendance_${safeFileName(cls.name)}_${ym.y}-${String(ym.m).padStart(2, "0")}`;
+
+    return sendExport(res, format, [matrix], baseName, cls.attendanceRules);
+  } catch (err) {
+    console.error("exportMonthlyAttendance error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ================================================================
+   GET /api/attendance/term/export?classId=...&from=YYYY-MM&to=YYYY-MM&format=csv|pdf
+   - One grid per month plus a term summary per student
+   - At most 12 months per export
+   - Teachers (own classes) and admins only
+================================================================= */
+exports.exportTermAttendance = async (req, res) => {
+  try {
+    const { classId, className, from, to } = req.query;
+    const format = String(req.query.format || "csv").toLowerCase();
+
+    if (!["teacher", "admin"].includes(req.user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if ((!classId && !className) || !from || !to) {
+      return res.status(400).json({ message: "classId, from, and to are required" });
+    }
+    if (!["csv", "pdf"].includes(format)) {
+      return res.status(400).json({ message: "format must be csv or pdf" });
+    }
+
+    const cls = await resolveClass({ classId, className }, req.user);
+
+    const start = parseYearMonth(...String(from).split("-"));
+    const end = parseYearMonth(...String(to).split("-"));
+    if (!start || !end) {
+      return res.status(400).json({ message: "from and to must be YYYY-MM" });
+    }
+
+    const months = [];
+    for (let y = start.y, m = start.m; y < end.y || (y === end.y && m <= end.m); ) {
+      months.push({ y, m });
+      if (++m > 12) { m = 1; y++; }
+      if (months.length > 12) break;
+    }
+    if (!months.length || months.length > 12) {
+      return res.status(400).json({ message: "Range must cover 1 to 12 months" });
+    }
+
+    const matrices = [];
+    for (const { y, m } of months) {
+      matrices.push(await buildMonthlyMatrix(cls, y, m));
+    }
 
-    // find class by name to get its _id
-    const cls = await Class.findOne({ name: className }).select("_id").lean();
-    if (!cls) return res.status(404).json({ message: "Class not found" });
+    const ym = ({ y, m }) => `${y}-${String(m).padStart(2, "0")}`;
+    const baseName = `attendance_${safeFileName(cls.name)}_${ym(start)}_to_${ym(end)}`;
+    return sendExport(res, format, matrices, baseName, cls.attendanceRules);
+  } catch (err) {
+    console.error("exportTermAttendance error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
 
-    // load students in that class (alphabetical)
-    const students = await Student.find({ classId: cls._id })
-      .select("_id name enrollNo")
-      .sort({ name: 1 })
+/* ================================================================
+   GET /api/attendance/alerts?classId=...&status=open|acknowledged|resolved|all
+   - Teachers see alerts for their classes; admins see all
+   - status defaults to open
+================================================================= */
+exports.getAttendanceAlerts = async (req, res) => {
+  try {
+    const { classId } = req.query;
+    const status = req.query.status || "open";
+    const user = req.user;
+
+    if (!["teacher", "admin"].includes(user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (!["open", "acknowledged", "resolved", "all"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status filter" });
+    }
+
+    const query = {};
+    if (status !== "all") query.status = status;
+
+    if (classId) {
+      const cls = await ensureAccessToClassById(classId, user);
+      query.classId = cls._id;
+    } else if (user.role === "teacher") {
+      const classes = await Class.find({ teacher: user.id }).select("_id").lean();
+      query.classId = { $in: classes.map(c => c._id) };
+    }
+
+    const alerts = await AttendanceAlert.find(query)
+      .populate("student", "name enrollNo guardianName guardianEmail")
+      .populate("classId", "name grade")
+      .populate("acknowledgedBy", "name")
+      .sort({ createdAt: -1 })
+      .limit(500)
       .lean();
 
-    // load attendance sessions for the month
-    const sessions = await Attendance.find({
-      className,
-      dateOnlyUTC: { $gte: startUTC, $lt: endUTC },
-    })
-      .select("dateOnlyUTC records")
+    res.set("Cache-Control", "no-store");
+    return res.json(alerts);
+  } catch (err) {
+    console.error("getAttendanceAlerts error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ================================================================
+   POST /api/attendance/alerts/:id/acknowledge
+   body: { note? }
+================================================================= */
+exports.acknowledgeAttendanceAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    if (!["teacher", "admin"].includes(user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid alert id" });
+    }
+
+    const alert = await AttendanceAlert.findById(id);
+    if (!alert) return res.status(404).json({ message: "Alert not found" });
+
+    await ensureAccessToClassById(alert.classId, user);
+
+    if (alert.status !== "open") {
+      return res.status(400).json({ message: `Alert is already ${alert.status}` });
+    }
+
+    alert.status = "acknowledged";
+    alert.acknowledgedBy = user.id;
+    alert.acknowledgedAt = new Date();
+    if (req.body.note) alert.note = String(req.body.note).slice(0, 1000);
+    await alert.save();
+
+    return res.json({ message: "Alert acknowledged", alert });
+  } catch (err) {
+    console.error("acknowledgeAttendanceAlert error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ================================================================
+   GET /api/attendance/:id/history?studentId=...
+   - Revisions of one session, newest first
+   - Teachers only for their classes; admins see all
+================================================================= */
+exports.getAttendanceRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { studentId } = req.query;
+    const user = req.user;
+
+    if (!["teacher", "admin"].includes(user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid attendance id" });
+    }
+    if (studentId && !mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ message: "Invalid studentId" });
+    }
+
+    const session = await Attendance.findById(id)
+      .select("classId className sessionName dateOnlyUTC unlockedUntil unlockedBy unlockReason")
       .lean();
+    if (!session) return res.status(404).json({ message: "Attendance not found" });
 
-    // build lookup studentId -> { day -> status }
-    const perStudentDayStatus = new Map();
-    for (const session of sessions) {
-      const day = new Date(session.dateOnlyUTC).getUTCDate(); // 1..daysInMonth
-      for (const rec of session.records || []) {
-        const sid = String(rec.studentId);
-        if (!perStudentDayStatus.has(sid)) perStudentDayStatus.set(sid, {});
-        perStudentDayStatus.get(sid)[day] = rec.status;
-      }
+    await ensureAccessToClassById(session.classId, user);
+
+    const query = { attendance: session._id };
+    if (studentId) query.studentId = studentId;
+
+    const revisions = await AttendanceRevision.find(query)
+      .populate("changedBy", "name role")
+      .sort({ createdAt: -1 })
+      .limit(1000)
+      .lean();
+
+    res.set("Cache-Control", "no-store");
+    return res.json({
+      attendanceId: session._id,
+      classId: session.classId,
+      className: session.className,
+      sessionName: session.sessionName || DEFAULT_SESSION,
+      date: session.dateOnlyUTC,
+      locked: isSessionLocked(session),
+      lockAfterDays: EDIT_LOCK_DAYS,
+      unlockedUntil: session.unlockedUntil || null,
+      revisions,
+    });
+  } catch (err) {
+    console.error("getAttendanceRevisions error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ================================================================
+   POST /api/attendance/:id/unlock   (admin)
+   body: { reason, hours? }
+   - Lets teachers edit a locked session for `hours` (default 24)
+================================================================= */
+exports.unlockAttendance = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = String(req.body.reason || "").trim();
+
+    if (req.user.role !== "admin") {
+      return res.status(403).json({ message: "Only admins can unlock attendance" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid attendance id" });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: "reason is required" });
     }
 
-    // compose rows
-    const rows = students.map((stu) => {
-      const sid = String(stu._id);
-      const dayMap = perStudentDayStatus.get(sid) || {};
+    const hours = Number(req.body.hours ?? UNLOCK_HOURS);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+      return res.status(400).json({ message: "hours must be between 0 and 720" });
+    }
 
-      const daily = days.map((d) => dayMap[d] || "NA");
-      const present = daily.filter(s => s === "Present").length;
-      const absent = daily.filter(s => s === "Absent").length;
+    const session = await Attendance.findByIdAndUpdate(
+      id,
+      {
+        $set: {
+          unlockedUntil: new Date(Date.now() + hours * 60 * 60 * 1000),
+          unlockedBy: req.user.id,
+          unlockReason: reason.slice(0, 500),
+        },
+      },
+      { new: true }
+    )
+      .select("classId sessionName dateOnlyUTC unlockedUntil unlockedBy unlockReason")
+      .lean();
+    if (!session) return res.status(404).json({ message: "Attendance not found" });
 
-      return {
-        studentId: stu._id,
-        name: stu.name,
-        enrollNo: stu.enrollNo,
-        daily,
-        present,
-        absent,
-      };
+    return res.json({ message: "Attendance unlocked", attendance: session });
+  } catch (err) {
+    console.error("unlockAttendance error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ================================================================
+   SELF CHECK-IN (students submit codes via POST /api/students/check-in)
+================================================================= */
+const MAX_CHECKIN_MINUTES = 60;
+
+// loads a window the user may manage; closes it first if it has expired
+async function loadCheckInWindow(id, user) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    const e = new Error("Invalid check-in id");
+    e.status = 400;
+    throw e;
+  }
+  await closeExpiredWindows();
+
+  const window = await CheckInWindow.findById(id).select("+secret");
+  if (!window) {
+    const e = new Error("Check-in not found");
+    e.status = 404;
+    throw e;
+  }
+  await ensureAccessToClassById(window.classId, user);
+  return window;
+}
+
+const checkInView = (window) => {
+  const view = window.toObject();
+  delete view.secret;
+  return view;
+};
+
+/* ================================================================
+   POST /api/attendance/check-in/start
+   body: { classId, sessionName?, durationMinutes? (default 10, max 60) }
+   - One open window per class and session
+   - Returns the window and the current code
+================================================================= */
+exports.startCheckIn = async (req, res) => {
+  try {
+    const { classId } = req.body;
+    const sessionName = String(req.body.sessionName || DEFAULT_SESSION).trim().slice(0, 60) || DEFAULT_SESSION;
+    const user = req.user;
+
+    if (!["teacher", "admin"].includes(user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (!classId) {
+      return res.status(400).json({ message: "classId is required" });
+    }
+
+    const minutes = Number(req.body.durationMinutes ?? 10);
+    if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_CHECKIN_MINUTES) {
+      return res.status(400).json({ message: `durationMinutes must be between 1 and ${MAX_CHECKIN_MINUTES}` });
+    }
+
+    const cls = await ensureAccessToClassById(classId, user);
+    await closeExpiredWindows();
+
+    const now = new Date();
+    if (await CheckInWindow.exists({ classId: cls._id, sessionName, status: "open" })) {
+      return res.status(409).json({ message: `A check-in is already open for ${sessionName}` });
+    }
+
+    const window = await CheckInWindow.create({
+      classId: cls._id,
+      sessionName,
+      dateOnlyUTC: startOfUTC(now),
+      secret: generateWindowSecret(),
+      rotateSeconds: ROTATE_SECONDS,
+      openedBy: user.id,
+      opensAt: now,
+      closesAt: new Date(now.getTime() + minutes * 60 * 1000),
     });
+    scheduleClose(window);
+
+    return res.status(201).json({ checkIn: checkInView(window), ...currentCode(window, now) });
+  } catch (err) {
+    console.error("startCheckIn error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ================================================================
+   GET /api/attendance/check-in/:id
+   - Window status and who has checked in; while open also the current
+     code and when it rotates (poll this to drive the QR display)
+================================================================= */
+exports.getCheckIn = async (req, res) => {
+  try {
+    const window = await loadCheckInWindow(req.params.id, req.user);
+    await window.populate("checkedIn.student", "name enrollNo");
 
     res.set("Cache-Control", "no-store");
     return res.json({
-      className,
-      year: y,
-      month: m,
-      days,
-      students: rows,
+      checkIn: checkInView(window),
+      ...(window.status === "open" ? currentCode(window) : {}),
     });
   } catch (err) {
-    console.error("getMonthlyAttendance error:", err);
+    console.error("getCheckIn error:", err);
+    const status = err.status || 500;
+    return res.status(status).json({ message: err.message || "Server error" });
+  }
+};
+
+/* ================================================================
+   POST /api/attendance/check-in/:id/close
+   - Marks every student without a record for the session Absent
+================================================================= */
+exports.closeCheckIn = async (req, res) => {
+  try {
+    const window = await loadCheckInWindow(req.params.id, req.user);
+    if (window.status !== "open") {
+      return res.status(400).json({ message: "Check-in is already closed" });
+    }
+
+    const closed = await closeWindow(window._id, { closedBy: req.user.id });
+    if (!closed) {
+      return res.status(400).json({ message: "Check-in is already closed" });
+    }
+
+    return res.json({
+      message: "Check-in closed",
+      checkIn: checkInView(closed),
+      present: closed.checkedIn.length,
+      absent: closed.absentMarked,
+    });
+  } catch (err) {
+    console.error("closeCheckIn error:", err);
     const status = err.status || 500;
     return res.status(status).json({ message: err.message || "Server error" });
   }
@@ -0,0 +1,470 @@
+// controllers/submissionController.js
+const mongoose = require("mongoose");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const Quest = require("../models/Quest");
+const Student = require("../models/Student");
+const Submission = require("../models/Submission");
+const Team = require("../models/Team");
+const { scoreRubric } = require("../utils/rubric");
+const { evaluateQuestAccess } = require("../utils/questUnlock");
+const {
+  findStudentTeam,
+  teamCompleted,
+  teamQuestProgress,
+  completeTeamQuestIfDone,
+} = require("../utils/teamQuest");
+const { isAssignedTo } = require("../utils/questAssignment");
+const { awardXp, runInTransaction } = require("../utils/xpService");
+const { queueAchievementCheck } = require("../utils/achievements");
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+/* ---------- attachments ----------
+   Multer is set up here and called from submitQuest, the same way as the
+   avatar upload in routes/userRoutes.js. Files are not served statically;
+   they are downloaded through downloadSubmissionFile after an access check. */
+const SUBMISSION_DIR = path.join(__dirname, "..", "uploads", "submissions");
+if (!fs.existsSync(SUBMISSION_DIR)) fs.mkdirSync(SUBMISSION_DIR, { recursive: true });
+
+const MAX_FILES = 5;
+
+const ALLOWED_TYPES = [
+  /^image\//,
+  /^application\/pdf$/,
+  /^text\/plain$/,
+  /^application\/(msword|vnd\.openxmlformats-officedocument\.[\w.]+|vnd\.ms-[\w.]+)$/,
+  /^application\/zip$/,
+];
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, SUBMISSION_DIR),
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, "").slice(0, 10);
+    cb(null, `${crypto.randomBytes(16).toString("hex")}${ext}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  if (!ALLOWED_TYPES.some((re) => re.test(file.mimetype || ""))) {
+    return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", "File type not allowed"), false);
+  }
+  cb(null, true);
+};
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_FILES }, // 10MB each
+  fileFilter,
+});
+
+// removes files of a request that ended up not being stored
+function discardUploadedFiles(files = []) {
+  for (const f of files) {
+    fs.unlink(f.path, (err) => {
+      if (err && err.code !== "ENOENT") console.warn("Failed to delete upload:", err);
+    });
+  }
+}
+
+const submissionFilePath = (fileName) => path.join(SUBMISSION_DIR, path.basename(fileName));
+
+/* ---------- helper: quest the user may review (creator teacher or admin) ---------- */
+async function loadReviewableQuest(questId, user) {
+  if (!isValidId(questId)) {
+    const e = new Error("Invalid quest id");
+    e.status = 400;
+    throw e;
+  }
+  if (!["teacher", "admin"].includes(user.role)) {
+    const e = new Error("Forbidden");
+    e.status = 403;
+    throw e;
+  }
+
+  const quest = await Quest.findById(questId).select("title rewardXP rubric classId createdBy series occurrenceDate teamQuest").lean();
+  if (!quest) {
+    const e = new Error("Quest not found");
+    e.status = 404;
+    throw e;
+  }
+  if (user.role === "teacher" && String(quest.createdBy) !== String(user.id)) {
+    const e = new Error("Forbidden");
+    e.status = 403;
+    throw e;
+  }
+  return quest;
+}
+
+const attachmentView = (a) => ({
+  _id: a._id,
+  originalName: a.originalName,
+  mimeType: a.mimeType,
+  size: a.size,
+});
+
+const submissionView = (s) => ({
+  ...s,
+  attachments: (s.attachments || []).map(attachmentView),
+});
+
+/* ================================================================
+   POST /api/students/tasks/:id/submit   (student)
+   multipart: text?, files[] (up to 5, 10MB each)
+   - Also reached through the old .../complete routes
+   - A new attempt is allowed only when there is none yet or the
+     latest one was sent back for resubmission
+   - Team quests need a team; for a shared target the student may keep
+     contributing (body.contribution, default 1, capped at what the team
+     still needs) until the team is done
+================================================================= */
+exports.submitQuest = (req, res) => {
+  upload.array("files", MAX_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      discardUploadedFiles(req.files);
+      return res.status(400).json({ message: err.message || "File upload error", code: err.code });
+    }
+    if (err) {
+      console.error("Submission upload error:", err);
+      return res.status(500).json({ message: "Upload failed", error: err.message });
+    }
+    createSubmission(req, res);
+  });
+};
+
+async function createSubmission(req, res) {
+  try {
+    const questId = req.params.id || req.params.questId;
+    const text = String(req.body.text || "").trim();
+    const files = req.files || [];
+
+    if (req.user.role !== "student") {
+      discardUploadedFiles(files);
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (!isValidId(questId)) {
+      discardUploadedFiles(files);
+      return res.status(400).json({ message: "Invalid task id" });
+    }
+
+    const student = await Student.findOne({ user: req.user.id })
+      .select("_id classId groups xp level completedQuests")
+      .lean();
+    const quest = await Quest.findById(questId)
+      .select("title classId status prerequisites questline questlineOrder teamQuest assignedTo")
+      .lean();
+
+    const reject = (status, message) => {
+      discardUploadedFiles(files);
+      return res.status(status).json({ message });
+    };
+
+    if (!student) return reject(404, "Student not found");
+    if (!quest) return reject(404, "Task not found");
+    if (String(quest.classId) !== String(student.classId)) {
+      return reject(403, "Quest not assigned to your class");
+    }
+    if (!isAssignedTo(quest, student)) return reject(403, "Quest not assigned to you");
+    if (quest.status !== "Active") return reject(400, "Quest is no longer active");
+
+    const { access } = await evaluateQuestAccess(student, [quest]);
+    const { unlocked, reasons } = access.get(String(quest._id));
+    if (!unlocked) return reject(403, `Quest is locked: ${reasons.join("; ")}`);
+    if (!text && !files.length) return reject(400, "Add some text or at least one file");
+
+    let team = null;
+    let contribution;
+    const sharedTarget = quest.teamQuest?.completion === "shared-target";
+    if (quest.teamQuest) {
+      team = await findStudentTeam(student._id, quest.classId);
+      if (!team) return reject(403, "This is a team quest; ask your teacher to add you to a team");
+      if (teamCompleted(team, quest._id)) return reject(400, "Your team already completed this quest");
+
+      if (sharedTarget) {
+        contribution = req.body.contribution === undefined ? 1 : Number(req.body.contribution);
+        if (!Number.isFinite(contribution) || contribution <= 0) {
+          return reject(400, "contribution must be a positive number");
+        }
+        const { current, required } = await teamQuestProgress(quest, team);
+        if (current >= required) return reject(400, "Your team has already reached the target");
+        contribution = Math.min(contribution, required - current);
+      }
+    }
+
+    const latest = await Submission.findOne({ quest: quest._id, student: student._id })
+      .sort({ attempt: -1 })
+      .select("attempt status")
+      .lean();
+
+    const mayContributeAgain = sharedTarget && latest?.status === "approved";
+    if (latest && latest.status !== "resubmit" && !mayContributeAgain) {
+      const messages = {
+        pending: "Your submission is waiting for review",
+        approved: "Task already completed",
+        rejected: "Your submission was rejected",
+      };
+      return reject(400, messages[latest.status]);
+    }
+
+    const submission = await Submission.create({
+      quest: quest._id,
+      student: student._id,
+      classId: quest.classId,
+      attempt: latest ? latest.attempt + 1 : 1,
+      ...(team ? { team: team._id, contribution } : {}),
+      text,
+      attachments: files.map((f) => ({
+        originalName: f.originalname,
+        fileName: f.filename,
+        mimeType: f.mimetype,
+        size: f.size,
+      })),
+    });
+
+    res.status(201).json({
+      message: "Submitted for review",
+      submission: submissionView(submission.toObject()),
+    });
+  } catch (err) {
+    discardUploadedFiles(req.files);
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "This task was just submitted; refresh to see it" });
+    }
+    console.error("submitQuest error:", err);
+    res.status(500).json({ message: "Failed to submit task" });
+  }
+}
+
+/* ================================================================
+   GET /api/students/tasks/:id/submissions   (student)
+   - The student's own attempts, newest first
+================================================================= */
+exports.getMySubmissions = async (req, res) => {
+  try {
+    if (req.user.role !== "student") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid task id" });
+    }
+
+    const student = await Student.findOne({ user: req.user.id }).select("_id").lean();
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    const submissions = await Submission.find({ quest: req.params.id, student: student._id })
+      .populate("reviewedBy", "name")
+      .sort({ attempt: -1 })
+      .lean();
+
+    res.json(submissions.map(submissionView));
+  } catch (err) {
+    console.error("getMySubmissions error:", err);
+    res.status(500).json({ message: "Failed to load submissions" });
+  }
+};
+
+/* ================================================================
+   GET /api/quests/:id/submissions?status=pending|approved|rejected|resubmit|all
+   - Review queue, oldest first; status defaults to pending
+================================================================= */
+exports.getQuestSubmissions = async (req, res) => {
+  try {
+    const quest = await loadReviewableQuest(req.params.id, req.user);
+    const status = req.query.status || "pending";
+
+    if (!["pending", "approved", "rejected", "resubmit", "all"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status filter" });
+    }
+
+    const query = { quest: quest._id };
+    if (status !== "all") query.status = status;
+
+    const submissions = await Submission.find(query)
+      .populate("student", "name enrollNo")
+      .populate("reviewedBy", "name")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.set("Cache-Control", "no-store");
+    res.json({ quest, submissions: submissions.map(submissionView) });
+  } catch (err) {
+    console.error("getQuestSubmissions error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to load submissions" });
+  }
+};
+
+/* ================================================================
+   POST /api/quests/:id/submissions/:submissionId/review
+   body: { decision: "approve" | "reject" | "resubmit", feedback?, scores? }
+   - Only pending submissions can be reviewed
+   - Approval grants the quest's XP and marks it completed; for quests
+     with a rubric, scores ([{ criterionId, points }]) are required and
+     the XP is proportional to the points earned
+   - Rejecting or asking for a resubmission requires feedback
+   - Team quests grant no XP per submission: approval adds to the team's
+     progress and the whole team is rewarded once it is complete. For a
+     shared target the reviewer may set body.contribution; either way it
+     is capped at what the team still needs
+================================================================= */
+const DECISIONS = { approve: "approved", reject: "rejected", resubmit: "resubmit" };
+
+exports.reviewSubmission = async (req, res) => {
+  try {
+    const quest = await loadReviewableQuest(req.params.id, req.user);
+    const { submissionId } = req.params;
+    const { decision } = req.body;
+    const feedback = String(req.body.feedback || "").trim();
+
+    if (!isValidId(submissionId)) {
+      return res.status(400).json({ message: "Invalid submission id" });
+    }
+    if (!DECISIONS[decision]) {
+      return res.status(400).json({ message: "decision must be approve, reject or resubmit" });
+    }
+    if (decision !== "approve" && !feedback) {
+      return res.status(400).json({ message: "feedback is required when rejecting or requesting a resubmission" });
+    }
+
+    let rubricScore;
+    if (decision === "approve" && quest.rubric?.criteria?.length) {
+      const { score, error } = scoreRubric(quest.rubric, req.body.scores, quest.rewardXP);
+      if (error) return res.status(400).json({ message: error });
+      rubricScore = score;
+    }
+    const xp = rubricScore ? rubricScore.xp : quest.rewardXP;
+
+    let contribution;
+    if (decision === "approve" && quest.teamQuest?.completion === "shared-target") {
+      const pending = await Submission.findOne({ _id: submissionId, quest: quest._id, status: "pending" })
+        .select("team contribution")
+        .lean();
+      const team = pending?.team && (await Team.findById(pending.team).lean());
+      if (team) {
+        const requested =
+          req.body.contribution !== undefined ? Number(req.body.contribution) : pending.contribution ?? 1;
+        if (!Number.isFinite(requested) || requested < 0) {
+          return res.status(400).json({ message: "contribution must be a number >= 0" });
+        }
+        const { current, required } = await teamQuestProgress(quest, team);
+        contribution = Math.min(requested, Math.max(0, required - current));
+      }
+    }
+
+    // claiming the pending submission and granting the XP happen together,
+    // so a double click cannot grant XP twice
+    const submission = await runInTransaction(async (session) => {
+      const claimed = await Submission.findOneAndUpdate(
+        { _id: submissionId, quest: quest._id, status: "pending" },
+        {
+          $set: {
+            status: DECISIONS[decision],
+            feedback: feedback.slice(0, 5000),
+            reviewedBy: req.user.id,
+            reviewedAt: new Date(),
+            xpAwarded: decision === "approve" && !quest.teamQuest ? xp : 0,
+            ...(rubricScore ? { rubricScore } : {}),
+            ...(contribution !== undefined ? { contribution } : {}),
+          },
+        },
+        { new: true, session }
+      ).lean();
+      if (!claimed || decision !== "approve" || quest.teamQuest) return claimed;
+
+      await awardXp(
+        claimed.student,
+        {
+          xp,
+          source: "quest",
+          reason: rubricScore
+            ? `${quest.title} (${rubricScore.points}/${rubricScore.maxPoints} points)`
+            : quest.title,
+          ref: `submission:${claimed._id}`,
+          ...(rubricScore
+            ? {
+                rubric: {
+                  points: rubricScore.points,
+                  maxPoints: rubricScore.maxPoints,
+                  criteria: rubricScore.criteria.map(({ criterionId, ...c }) => c),
+                },
+              }
+            : {}),
+        },
+        {
+          session,
+          createdBy: req.user.id,
+          update: {
+            $push: {
+              completedQuests: quest.series
+                ? { quest: quest._id, series: quest.series, occurrenceDate: quest.occurrenceDate }
+                : { quest: quest._id },
+            },
+          },
+        }
+      );
+      return claimed;
+    });
+
+    if (!submission) {
+      return res.status(404).json({ message: "Pending submission not found" });
+    }
+
+    let teamCompletion = null;
+    if (decision === "approve" && quest.teamQuest && submission.team) {
+      // the approval is already saved; the scheduler retries a failed completion
+      teamCompletion = await completeTeamQuestIfDone(quest, submission.team, {
+        createdBy: req.user.id,
+      }).catch((err) => {
+        console.error("Team quest completion failed:", err);
+        return null;
+      });
+    } else if (decision === "approve" && !quest.teamQuest) {
+      queueAchievementCheck([submission.student]);
+    }
+
+    res.json({
+      message: `Submission ${DECISIONS[decision]}`,
+      submission: submissionView(submission),
+      ...(quest.teamQuest ? { teamCompletion } : {}),
+    });
+  } catch (err) {
+    console.error("reviewSubmission error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to review submission" });
+  }
+};
+
+/* ================================================================
+   GET /api/quests/:id/submissions/:submissionId/files/:fileId
+   - Reviewers of the quest and the submitting student only
+================================================================= */
+exports.downloadSubmissionFile = async (req, res) => {
+  try {
+    const { id, submissionId, fileId } = req.params;
+    if (![id, submissionId, fileId].every(isValidId)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const submission = await Submission.findOne({ _id: submissionId, quest: id }).lean();
+    if (!submission) return res.status(404).json({ message: "Submission not found" });
+
+    if (req.user.role === "student") {
+      const own = await Student.exists({ _id: submission.student, user: req.user.id });
+      if (!own) return res.status(403).json({ message: "Forbidden" });
+    } else {
+      await loadReviewableQuest(id, req.user);
+    }
+
+    const file = (submission.attachments || []).find((a) => String(a._id) === fileId);
+    const filePath = file && submissionFilePath(file.fileName);
+    if (!file || !fs.existsSync(filePath)) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    res.set("Cache-Control", "private, no-store");
+    res.download(filePath, file.originalName);
+  } catch (err) {
+    console.error("downloadSubmissionFile error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to download file" });
+  }
+};
@@ -1,7 +1,8 @@
 const jwt = require("jsonwebtoken");
+const { isSessionActive } = require("../utils/authTokens");
 const secret = process.env.JWT_SECRET || "change_this";
 
-exports.authMiddleware = (req, res, next) => {
+exports.authMiddleware = async (req, res, next) => {
   if (req.method === "OPTIONS") return next();
 
   try {
@@ -22,11 +23,18 @@ exports.authMiddleware = (req, res, next) => {
       return res.status(401).json({ message: "Invalid token payload" });
     }
 
+    // access tokens are bound to a server-side session so logout,
+    // password resets and role changes take effect immediately
+    if (!payload.sid || !(await isSessionActive(payload.sid, uid))) {
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
     req.user = {
       id: uid,
       _id: uid,
       role: payload.role,
       email: payload.email,
+      sessionId: payload.sid,
     };
 
     next();
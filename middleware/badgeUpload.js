@@ -0,0 +1,94 @@
+// middleware/badgeUpload.js
+// Multer setup for badge icons (same pattern as the avatar upload in routes/userRoutes.js).
+// Icons are public and served from /uploads/badges.
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const multer = require("multer");
+
+const BADGE_DIR = path.join(__dirname, "..", "uploads", "badges");
+if (!fs.existsSync(BADGE_DIR)) fs.mkdirSync(BADGE_DIR, { recursive: true });
+
+// raster images only: icons are served from our own origin, and an SVG
+// can carry script. The extension comes from the checked type, never from
+// the client's file name, so static serving cannot be tricked into HTML.
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, BADGE_DIR),
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString("hex")}${EXTENSIONS[file.mimetype]}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  if (!EXTENSIONS[file.mimetype]) {
+    return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", "Only image files allowed"), false);
+  }
+  cb(null, true);
+};
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 1 * 1024 * 1024, files: 1 }, // 1MB
+  fileFilter,
+});
+
+const badgeIconUrl = (fileName) => `/uploads/badges/${fileName}`;
+
+const STORED_ICON = /^\/uploads\/badges\/[a-f0-9]{32}\.(png|jpg|gif|webp)$/;
+
+/**
+ * Validates an icon given as a string: an http(s) URL or an icon stored
+ * here. "" clears it. Returns { icon } (undefined when cleared) or { error }.
+ */
+function parseIconUrl(value) {
+  const icon = String(value ?? "").trim();
+  if (!icon) return { icon: undefined };
+  if (icon.length > 500) return { error: "icon URL is too long" };
+  if (STORED_ICON.test(icon)) return { icon };
+
+  let url;
+  try {
+    url = new URL(icon);
+  } catch {
+    return { error: "icon must be an http(s) URL or an uploaded badge icon" };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return { error: "icon must be an http(s) URL or an uploaded badge icon" };
+  }
+  return { icon: url.href };
+}
+
+// headers for the public /uploads/badges mount: never sniffed or run as a page
+function setBadgeIconHeaders(res) {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Security-Policy", "default-src 'none'; sandbox");
+}
+
+// deletes an icon previously stored here (ignores external URLs)
+function removeBadgeIcon(iconUrl) {
+  if (!iconUrl || !STORED_ICON.test(iconUrl)) return;
+  fs.unlink(path.join(BADGE_DIR, path.basename(iconUrl)), (err) => {
+    if (err && err.code !== "ENOENT") console.warn("Failed to delete badge icon:", err);
+  });
+}
+
+// optional single "icon" file; multer errors become 400s
+const uploadBadgeIcon = (req, res, next) => {
+  upload.single("icon")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (req.file) removeBadgeIcon(badgeIconUrl(req.file.filename));
+      return res.status(400).json({ message: err.message || "File upload error", code: err.code });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
+module.exports = { uploadBadgeIcon, badgeIconUrl, parseIconUrl, removeBadgeIcon, setBadgeIconHeaders };
@@ -1,9 +1,14 @@
 // models/Attendance.js
 const mongoose = require("mongoose");
 
+const ATTENDANCE_STATUSES = ["Present", "Absent", "Late", "Excused", "HalfDay"];
+
 const attendanceSchema = new mongoose.Schema(
   {
-    className: { type: String, required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    className: { type: String },                    // snapshot for display, kept in sync on rename
+    sessionName: { type: String, trim: true, default: "Day" }, // "Period 1", "Lab" ...
+    takenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     date: { type: Date, default: Date.now },        // original timestamp
     dateOnlyUTC: { type: Date, index: true },       // normalized UTC day (00:00 UTC)
     records: [
@@ -11,14 +16,27 @@ const attendanceSchema = new mongoose.Schema(
         studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
         studentName: String,
         enrollNo: String,
-        status: { type: String, enum: ["Present", "Absent"], required: true },
+        status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+        remarks: { type: String, trim: true, maxlength: 500 },
       },
     ],
+
+    // sessions older than the edit lock (utils/attendanceAudit.js) can be
+    // changed until this time after an admin unlocks them
+    unlockedUntil: Date,
+    unlockedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    unlockReason: { type: String, trim: true, maxlength: 500 },
   },
   { timestamps: true }
 );
 
-// compound indexes for fast lookups
-attendanceSchema.index({ className: 1, dateOnlyUTC: -1 });
+// one document per class, day and session; concurrent first saves of a
+// session race on this and the loser re-reads (legacy documents without a
+// classId are left out until scripts/migrateAttendanceClassId.js links them)
+attendanceSchema.index(
+  { classId: 1, dateOnlyUTC: -1, sessionName: 1 },
+  { unique: true, partialFilterExpression: { classId: { $exists: true } } }
+);
 
 module.exports = mongoose.model("Attendance", attendanceSchema);
+module.exports.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
@@ -0,0 +1,48 @@
+// models/AttendanceAlert.js
+const mongoose = require("mongoose");
+
+// Raised by utils/absenceAlerts.js after attendance is saved.
+// At most one open alert per student and type (enforced by the partial
+// unique index below, since evaluations can overlap).
+const attendanceAlertSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+
+    type: {
+      type: String,
+      enum: ["consecutive_absences", "low_attendance"],
+      required: true,
+    },
+
+    // snapshot of what triggered (and last re-evaluated) the alert
+    consecutiveAbsences: Number,
+    attendancePct: Number,
+    windowDays: Number,
+    lastAbsentDate: Date,
+
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+    },
+
+    notifiedTo: [String],
+    notifiedAt: Date,
+
+    acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    acknowledgedAt: Date,
+    note: { type: String, trim: true },
+    resolvedAt: Date,
+  },
+  { timestamps: true }
+);
+
+attendanceAlertSchema.index({ classId: 1, status: 1, createdAt: -1 });
+attendanceAlertSchema.index({ student: 1, type: 1, status: 1 });
+attendanceAlertSchema.index(
+  { student: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+module.exports = mongoose.model("AttendanceAlert", attendanceAlertSchema);
@@ -0,0 +1,36 @@
+// models/AttendanceRevision.js
+const mongoose = require("mongoose");
+
+// One change to one student's record in an Attendance session.
+// Written by utils/attendanceAudit.js; never updated or deleted.
+const attendanceRevisionSchema = new mongoose.Schema(
+  {
+    attendance: { type: mongoose.Schema.Types.ObjectId, ref: "Attendance", required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    dateOnlyUTC: Date,
+    sessionName: String,
+
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    studentName: String,
+
+    // null oldStatus = record created, null newStatus = record removed
+    oldStatus: { type: String, default: null },
+    newStatus: { type: String, default: null },
+    oldRemarks: String,
+    newRemarks: String,
+
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: { type: String, trim: true, maxlength: 500 },
+    source: {
+      type: String,
+      enum: ["manual", "import", "check-in"],
+      default: "manual",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+attendanceRevisionSchema.index({ attendance: 1, createdAt: -1 });
+attendanceRevisionSchema.index({ studentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AttendanceRevision", attendanceRevisionSchema);
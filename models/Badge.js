@@ -0,0 +1,38 @@
+// models/Badge.js
+const mongoose = require("mongoose");
+
+// Catalog entry for a badge. Badges with automatic criteria are granted by
+// utils/achievements.js; "manual" ones only through rewards. A badge with
+// a classId is limited to that class, otherwise it is school-wide.
+const badgeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    key: { type: String, required: true }, // lowercased name, keeps spellings unique
+    description: { type: String, trim: true, default: "" },
+    icon: { type: String, trim: true }, // /uploads/badges/<file> or an external URL
+
+    // quests-completed: count quests (optionally only of `difficulty`)
+    // attendance-streak: count consecutive present/late working days
+    // level / xp: reach count
+    criteria: {
+      type: {
+        type: String,
+        enum: ["manual", "quests-completed", "attendance-streak", "level", "xp"],
+        default: "manual",
+      },
+      count: { type: Number, min: 1 },
+      difficulty: { type: String, enum: ["Easy", "Medium", "Hard"] },
+    },
+
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class", default: null },
+    active: { type: Boolean, default: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+badgeSchema.index({ key: 1, classId: 1 }, { unique: true });
+badgeSchema.index({ active: 1, "criteria.type": 1 });
+
+module.exports = mongoose.model("Badge", badgeSchema);
@@ -0,0 +1,45 @@
+// models/Calendar.js
+const mongoose = require("mongoose");
+
+// School-wide calendar (classId unset) or a per-class override.
+// All dates are UTC days (00:00 UTC), like Attendance.dateOnlyUTC.
+const calendarSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      default: null,
+    },
+
+    // 0 = Sunday ... 6 = Saturday
+    workingWeekdays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [1, 2, 3, 4, 5],
+    },
+
+    holidays: [
+      {
+        date: { type: Date, required: true },
+        name: { type: String, trim: true, default: "Holiday" },
+      },
+    ],
+
+    terms: [
+      {
+        name: { type: String, required: true, trim: true },
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, required: true },
+      },
+    ],
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// one school calendar and at most one override per class
+calendarSchema.index({ classId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Calendar", calendarSchema);
@@ -0,0 +1,38 @@
+// models/CheckInWindow.js
+const mongoose = require("mongoose");
+
+// A teacher-opened self check-in period for one attendance session.
+// Students submit the rotating code derived from `secret` (utils/checkIn.js);
+// when the window closes everyone who did not check in is marked Absent.
+const checkInWindowSchema = new mongoose.Schema(
+  {
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    sessionName: { type: String, trim: true, default: "Day" },
+    dateOnlyUTC: { type: Date, required: true },
+
+    secret: { type: String, required: true, select: false },
+    rotateSeconds: { type: Number, default: 30 },
+
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    opensAt: { type: Date, default: Date.now },
+    closesAt: { type: Date, required: true },
+
+    status: { type: String, enum: ["open", "closed"], default: "open" },
+    closedAt: Date,
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // unset when it expired
+
+    checkedIn: [
+      {
+        student: { type: mongoose.Schema.Types.ObjectId, ref: "Student" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    absentMarked: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+checkInWindowSchema.index({ classId: 1, status: 1 });
+checkInWindowSchema.index({ status: 1, closesAt: 1 });
+
+module.exports = mongoose.model("CheckInWindow", checkInWindowSchema);
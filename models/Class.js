@@ -8,6 +8,34 @@ const classSchema = new mongoose.Schema(
     startDate: { type: Date, required: false },
     endDate: { type: Date, required: false },
     teacher: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // how multiple attendance sessions in a day roll up (see utils/attendanceRollup.js)
+    attendanceRules: {
+      presentMinRatio: { type: Number, min: 0, max: 1 },
+      partialMinRatio: { type: Number, min: 0, max: 1 },
+      lateCredit: { type: Number, min: 0, max: 1 },
+      halfDayCredit: { type: Number, min: 0, max: 1 },
+      partialCredit: { type: Number, min: 0, max: 1 },
+    },
+
+    // thresholds for absence alerts (see utils/absenceAlerts.js)
+    alertRules: {
+      enabled: { type: Boolean },
+      consecutiveAbsences: { type: Number, min: 1 },
+      minAttendancePct: { type: Number, min: 0, max: 100 },
+      windowDays: { type: Number, min: 1, max: 365 },
+      minDaysInWindow: { type: Number, min: 1 },
+    },
+
+    // XP for attendance (see utils/attendanceXp.js)
+    attendanceXpRules: {
+      enabled: { type: Boolean },
+      presentXP: { type: Number, min: 0 },
+      lateXP: { type: Number, min: 0 },
+      absencePenaltyXP: { type: Number, min: 0 },
+      streakDays: { type: Number, min: 0 },
+      streakBonusXP: { type: Number, min: 0 },
+    },
   },
   { timestamps: true }
 );
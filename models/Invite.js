@@ -0,0 +1,37 @@
+// models/Invite.js
+const mongoose = require("mongoose");
+
+// Admin-issued, single-use link that pre-binds an email to a role.
+const inviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+
+    role: {
+      type: String,
+      enum: ["student", "teacher", "admin"],
+      required: true,
+    },
+
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    acceptedAt: Date,
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Invite", inviteSchema);
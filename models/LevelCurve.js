@@ -0,0 +1,43 @@
+// models/LevelCurve.js
+const mongoose = require("mongoose");
+
+// How much XP each level needs: the school curve (classId unset) or a
+// per-class override. See utils/leveling.js for the formulas.
+const levelCurveSchema = new mongoose.Schema(
+  {
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      default: null,
+    },
+
+    type: { type: String, enum: ["linear", "exponential", "table"], required: true },
+
+    // linear: every level needs xpPerLevel more XP
+    xpPerLevel: { type: Number, min: 1 },
+    // exponential: level 2 needs baseXP, each following level factor times more
+    baseXP: { type: Number, min: 1 },
+    factor: { type: Number, min: 1 },
+    // table: total XP to reach level 2, 3, ... (ascending)
+    thresholds: [{ type: Number, min: 0 }],
+
+    maxLevel: { type: Number, min: 1 },
+
+    // shown from this level up until the next titled level
+    titles: [
+      {
+        level: { type: Number, required: true, min: 1 },
+        title: { type: String, required: true, trim: true },
+        icon: { type: String, trim: true }, // emoji or image URL
+        _id: false,
+      },
+    ],
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+levelCurveSchema.index({ classId: 1 }, { unique: true });
+
+module.exports = mongoose.model("LevelCurve", levelCurveSchema);
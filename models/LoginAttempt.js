@@ -0,0 +1,26 @@
+// models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+// Failure counters for login / forgot-password throttling.
+// key is "account:<email>" or "ip:<address>".
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    kind: { type: String, enum: ["login", "forgot"], required: true },
+
+    failures: { type: Number, default: 0 },
+    firstFailureAt: Date,
+    lastFailureAt: Date,
+
+    lockedUntil: Date,
+    unlockTokenHash: { type: String, index: true },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ key: 1, kind: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,30 @@
+// models/OidcState.js
+const mongoose = require("mongoose");
+
+// Pending SSO sign-in: created at /start, completed at /callback and
+// consumed once by /exchange. Expires after 10 minutes either way.
+const oidcStateSchema = new mongoose.Schema(
+  {
+    state: { type: String, required: true, unique: true },
+    provider: { type: String, required: true },
+    nonce: { type: String, required: true },
+    codeVerifier: { type: String, required: true },
+    frontendUrl: { type: String, required: true },
+    // sha256 of the random value in the starting browser's cookie
+    browserHash: { type: String, required: true },
+
+    // set by the callback
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    exchangeCodeHash: { type: String, index: true, sparse: true },
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 10 * 60 * 1000),
+    },
+  },
+  { timestamps: true }
+);
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcState", oidcStateSchema);
@@ -26,11 +26,66 @@ const questSchema = new mongoose.Schema(
     startDate: { type: Date, required: true },
     endDate: { type: Date, required: true },
 
+    // optional; when set, approved work earns rewardXP * points / max points
+    rubric: {
+      type: {
+        criteria: [
+          {
+            title: { type: String, required: true },
+            description: String,
+            levels: [{ label: String, points: Number }], // highest first
+          },
+        ],
+      },
+      default: null,
+    },
+
+    // unlock conditions, all must hold (see utils/questUnlock.js)
+    prerequisites: {
+      quests: [{ type: mongoose.Schema.Types.ObjectId, ref: "Quest" }],
+      minLevel: { type: Number, min: 1 },
+      minXP: { type: Number, min: 0 },
+    },
+
+    // team quest (see utils/teamQuest.js); null for individual quests
+    // completion: "all-members" needs approved work from every member,
+    //   "shared-target" needs the team's approved contributions to reach target
+    // xpMode: "split" divides rewardXP between members, "duplicate" gives each the full amount
+    teamQuest: {
+      type: {
+        completion: { type: String, enum: ["all-members", "shared-target"], required: true },
+        target: { type: Number, min: 1 },
+        xpMode: { type: String, enum: ["split", "duplicate"], default: "duplicate" },
+      },
+      default: null,
+    },
+
+    // differentiated quests (see utils/questAssignment.js); both empty =
+    // the whole class
+    assignedTo: {
+      students: [{ type: mongoose.Schema.Types.ObjectId, ref: "Student" }],
+      groups: [{ type: String, lowercase: true, trim: true }],
+    },
+
+    questline: { type: mongoose.Schema.Types.ObjectId, ref: "Questline", default: null },
+    questlineOrder: { type: Number, default: 0 },
+
+    // Scheduled -> Active at startDate -> Completed at endDate
+    // (moved along by utils/questScheduler.js)
     status: {
       type: String,
-      enum: ["Active", "Completed"],
+      enum: ["Scheduled", "Active", "Completed"],
       default: "Active",
     },
+    openedAt: Date,
+    closedAt: Date,
+    reminderSentAt: Date, // due-soon email sent
+
+    // occurrence of a recurring quest (see utils/questSeries.js);
+    // seriesException: edited on its own, series edits leave it alone
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "QuestSeries", default: null },
+    occurrenceDate: Date,
+    seriesException: { type: Boolean, default: false },
 
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -41,4 +96,9 @@ const questSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+questSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: "objectId" } } }
+);
+
 module.exports = mongoose.model("Quest", questSchema); // ✅ THIS LINE IS CRITICAL
@@ -0,0 +1,64 @@
+// models/QuestSeries.js
+const mongoose = require("mongoose");
+
+// A recurring quest. utils/questSeries.js generates one Quest per
+// occurrence (Quest.series + Quest.occurrenceDate) a few days ahead; the
+// fields below are copied onto each generated occurrence.
+const questSeriesSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    description: { type: String, required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    difficulty: { type: String, enum: ["Easy", "Medium", "Hard"], required: true },
+    rewardXP: { type: Number, required: true, min: 0 },
+    rubric: {
+      type: {
+        criteria: [
+          {
+            title: { type: String, required: true },
+            description: String,
+            levels: [{ label: String, points: Number }],
+          },
+        ],
+      },
+      default: null,
+    },
+
+    // copied to every occurrence, see utils/questAssignment.js
+    assignedTo: {
+      students: [{ type: mongoose.Schema.Types.ObjectId, ref: "Student" }],
+      groups: [{ type: String, lowercase: true, trim: true }],
+    },
+
+    // first occurrence; its time of day and length apply to every occurrence
+    startDate: { type: Date, required: true },
+    durationMinutes: { type: Number, required: true, min: 1 },
+
+    recurrence: {
+      frequency: { type: String, enum: ["daily", "weekly"], required: true },
+      interval: { type: Number, min: 1, default: 1 }, // every N days / weeks
+      weekdays: [{ type: Number, min: 0, max: 6 }], // weekly only, 0 = Sunday
+      until: Date,
+      count: { type: Number, min: 1 },
+      skipNonWorkingDays: { type: Boolean, default: true },
+    },
+
+    // occurrences cancelled one by one (UTC days); never regenerated
+    skippedDates: [Date],
+    generatedUntil: Date,
+
+    status: {
+      type: String,
+      enum: ["active", "ended", "cancelled"],
+      default: "active",
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+questSeriesSchema.index({ status: 1 });
+questSeriesSchema.index({ classId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("QuestSeries", questSeriesSchema);
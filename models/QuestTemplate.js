@@ -0,0 +1,58 @@
+// models/QuestTemplate.js
+const mongoose = require("mongoose");
+
+// A reusable quest without a class or dates. Instantiating it creates a
+// Quest per class; durationDays sets the end date from the start date.
+const questTemplateSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, required: true },
+
+    difficulty: {
+      type: String,
+      enum: ["Easy", "Medium", "Hard"],
+      required: true,
+    },
+
+    rewardXP: { type: Number, required: true, min: 0 },
+    durationDays: { type: Number, min: 0, default: 7 },
+
+    // same shape as Quest.rubric
+    rubric: {
+      type: {
+        criteria: [
+          {
+            title: { type: String, required: true },
+            description: String,
+            levels: [{ label: String, points: Number }],
+          },
+        ],
+      },
+      default: null,
+    },
+
+    tags: [{ type: String, trim: true, lowercase: true }],
+
+    // private: only the creator; school: everyone in the library
+    visibility: {
+      type: String,
+      enum: ["private", "school"],
+      default: "private",
+    },
+
+    sourceQuest: { type: mongoose.Schema.Types.ObjectId, ref: "Quest" },
+    usageCount: { type: Number, default: 0 },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+questTemplateSchema.index({ visibility: 1, difficulty: 1, tags: 1 });
+questTemplateSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("QuestTemplate", questTemplateSchema);
@@ -0,0 +1,31 @@
+// models/Questline.js
+const mongoose = require("mongoose");
+
+// An ordered chain of quests in one class. Quests join a line through
+// Quest.questline / Quest.questlineOrder; in a sequential line each quest
+// also requires the one before it.
+const questlineSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      required: true,
+    },
+
+    sequential: { type: Boolean, default: true },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+questlineSchema.index({ classId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Questline", questlineSchema);
@@ -22,6 +22,11 @@ const rewardSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // catalog badge; `badge` then holds its name
+    badgeRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Badge",
+    },
     reason: {
       type: String,
       trim: true,
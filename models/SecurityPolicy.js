@@ -0,0 +1,18 @@
+// models/SecurityPolicy.js
+const mongoose = require("mongoose");
+
+// Single settings document (key "global") managed by admins.
+const securityPolicySchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "global", unique: true },
+
+    twoFactorRequiredRoles: [
+      { type: String, enum: ["student", "teacher", "admin"] },
+    ],
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SecurityPolicy", securityPolicySchema);
@@ -0,0 +1,33 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+// One document per signed-in device. The refresh token itself is never
+// stored, only its sha256 hash; it is rotated on every refresh.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    refreshTokenHash: { type: String, required: true, unique: true },
+    previousTokenHash: { type: String, index: true }, // reuse detection
+
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+// let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
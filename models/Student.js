@@ -12,6 +12,11 @@ const studentSchema = new mongoose.Schema(
     name: { type: String, required: true },
     enrollNo: { type: String, required: true },
     contact: { type: String, required: true },
+    bio: { type: String, trim: true, maxlength: 1000 },
+
+    // guardian receives absence alerts
+    guardianName: { type: String, trim: true },
+    guardianEmail: { type: String, trim: true, lowercase: true },
 
     classId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +24,9 @@ const studentSchema = new mongoose.Schema(
       required: true,
     },
 
+    // teacher-defined subgroups used to assign quests, e.g. "remedial"
+    groups: [{ type: String, lowercase: true, trim: true }],
+
     xp: { type: Number, default: 0 },
     level: { type: Number, default: 1 },
 completedQuests: [
@@ -31,6 +39,9 @@ completedQuests: [
       type: Date,
       default: Date.now,
     },
+    // recurring quests: which series and occurrence this completion was for
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "QuestSeries" },
+    occurrenceDate: Date,
   },
 ],
 
@@ -38,8 +49,19 @@ completedQuests: [
     xpHistory: [
       {
         xp: { type: Number, required: true },
-        source: { type: String, required: true }, // "reward" | "quest" | "admin"
+        source: { type: String, required: true }, // "reward" | "quest" | "admin" | "attendance"
         reason: { type: String },
+        ref: { type: String }, // what the XP was for, e.g. "submission:<id>" (see utils/attendanceXp.js)
+        level: { type: Number }, // source "level-up": the level reached
+        // breakdown for rubric-scored quests
+        rubric: {
+          type: {
+            points: Number,
+            maxPoints: Number,
+            criteria: [{ title: String, level: String, points: Number, maxPoints: Number, _id: false }],
+          },
+          default: undefined,
+        },
         date: { type: Date, default: Date.now },
       },
     ],
@@ -0,0 +1,22 @@
+// models/StudentBadge.js
+const mongoose = require("mongoose");
+
+// A badge a student holds. One per student and badge, so granting twice
+// (a re-run of the achievements engine, a second reward) is a no-op.
+const studentBadgeSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    badge: { type: mongoose.Schema.Types.ObjectId, ref: "Badge", required: true },
+    awardedAt: { type: Date, default: Date.now },
+    awardedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = automatic
+    reward: { type: mongoose.Schema.Types.ObjectId, ref: "Reward" },
+    reason: { type: String, trim: true },
+  },
+  { timestamps: false }
+);
+
+studentBadgeSchema.index({ student: 1, badge: 1 }, { unique: true });
+studentBadgeSchema.index({ badge: 1, awardedAt: -1 });
+studentBadgeSchema.index({ reward: 1 }, { sparse: true });
+
+module.exports = mongoose.model("StudentBadge", studentBadgeSchema);
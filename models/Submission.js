@@ -0,0 +1,66 @@
+// models/Submission.js
+const mongoose = require("mongoose");
+
+// One attempt by a student at a quest. XP is granted only when a teacher
+// approves; "resubmit" lets the student send a new attempt.
+const submissionSchema = new mongoose.Schema(
+  {
+    quest: { type: mongoose.Schema.Types.ObjectId, ref: "Quest", required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    attempt: { type: Number, default: 1 },
+
+    // team quests: the student's team and how much this attempt adds
+    // towards a shared target
+    team: { type: mongoose.Schema.Types.ObjectId, ref: "Team" },
+    contribution: { type: Number, min: 0 },
+
+    text: { type: String, trim: true, maxlength: 10000 },
+    attachments: [
+      {
+        originalName: String,
+        fileName: String, // on disk under uploads/submissions
+        mimeType: String,
+        size: Number,
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "resubmit"],
+      default: "pending",
+    },
+
+    feedback: { type: String, trim: true, maxlength: 5000 },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    xpAwarded: { type: Number, default: 0 },
+
+    // set when the quest has a rubric (see utils/rubric.js)
+    rubricScore: {
+      type: {
+        points: Number,
+        maxPoints: Number,
+        criteria: [
+          {
+            criterionId: mongoose.Schema.Types.ObjectId,
+            title: String,
+            level: String,
+            points: Number,
+            maxPoints: Number,
+            _id: false,
+          },
+        ],
+      },
+      default: undefined,
+    },
+  },
+  { timestamps: true }
+);
+
+submissionSchema.index({ quest: 1, status: 1, createdAt: 1 });
+// two submits racing for the same attempt number: the second one fails
+submissionSchema.index({ student: 1, quest: 1, attempt: -1 }, { unique: true });
+submissionSchema.index({ team: 1, quest: 1, status: 1 });
+
+module.exports = mongoose.model("Submission", submissionSchema);
@@ -0,0 +1,41 @@
+// models/Team.js
+const mongoose = require("mongoose");
+
+// A team of students in one class, managed by the class teacher. A student
+// is in at most one team per class. completedQuests records team quests
+// the team finished and what each member received (see utils/teamQuest.js).
+const teamSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      required: true,
+    },
+
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: "Student" }],
+
+    completedQuests: [
+      {
+        quest: { type: mongoose.Schema.Types.ObjectId, ref: "Quest" },
+        completedAt: { type: Date, default: Date.now },
+        xpPerMember: Number,
+        members: [{ type: mongoose.Schema.Types.ObjectId, ref: "Student" }],
+        _id: false,
+      },
+    ],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+teamSchema.index({ classId: 1, name: 1 }, { unique: true });
+teamSchema.index({ members: 1 });
+
+module.exports = mongoose.model("Team", teamSchema);
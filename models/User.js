@@ -39,6 +39,35 @@ const userSchema = new mongoose.Schema(
       language: { type: String, default: "English" },
     },
 
+    // ✉️ Email verification
+    // no default: accounts created before verification existed have no
+    // value and are treated as verified; new sign-ups are set to false
+    emailVerified: Boolean,
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
+
+    // 🔑 TOTP two-factor authentication
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // until first code is confirmed
+      lastUsedStep: { type: Number, select: false }, // blocks code replay
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: Date }],
+        select: false,
+      },
+    },
+
+    // 🌐 Linked single sign-on identities
+    identities: [
+      {
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+
     // 🔐 Password reset
     resetPasswordToken: String,
     resetPasswordExpire: Date,
@@ -46,6 +75,8 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.index({ "identities.provider": 1, "identities.subject": 1 });
+
 /* 🔒 HASH PASSWORD BEFORE SAVE */
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -67,4 +98,18 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+/* ✉️ GENERATE EMAIL VERIFICATION TOKEN */
+userSchema.methods.getEmailVerificationToken = function () {
+  const verifyToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verifyToken)
+    .digest("hex");
+
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 h
+
+  return verifyToken;
+};
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,52 @@
+// models/XpLedgerEntry.js
+const mongoose = require("mongoose");
+
+// Append-only record of every XP change (see utils/xpService.js).
+// Student.xp is the sum of a student's entries; mistakes are undone with a
+// reversal entry pointing at the original, never by editing or deleting.
+const xpLedgerEntrySchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    xp: { type: Number, required: true },
+
+    // "reward" | "quest" | "attendance" | "admin" | "opening-balance"
+    source: { type: String, required: true },
+    reason: { type: String, trim: true },
+    ref: { type: String }, // what it was for, e.g. "reward:<id>", "submission:<id>"
+
+    // attendance entries: how many entries the ref had before this one, so
+    // two syncs correcting the same ref cannot both be booked
+    seq: { type: Number },
+
+    // set on reversal entries; at most one reversal per entry
+    reverses: { type: mongoose.Schema.Types.ObjectId, ref: "XpLedgerEntry" },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+xpLedgerEntrySchema.index({ student: 1, createdAt: 1 });
+xpLedgerEntrySchema.index({ ref: 1 });
+xpLedgerEntrySchema.index(
+  { reverses: 1 },
+  { unique: true, partialFilterExpression: { reverses: { $type: "objectId" } } }
+);
+xpLedgerEntrySchema.index(
+  { student: 1, ref: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $type: "number" } } }
+);
+// legacy XP is carried over once per student
+xpLedgerEntrySchema.index(
+  { student: 1 },
+  { unique: true, partialFilterExpression: { source: "opening-balance" }, name: "opening_balance_once" }
+);
+
+function appendOnly() {
+  throw new Error("XP ledger entries cannot be changed; add a reversal entry instead");
+}
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  xpLedgerEntrySchema.pre(op, appendOnly);
+}
+
+module.exports = mongoose.model("XpLedgerEntry", xpLedgerEntrySchema);
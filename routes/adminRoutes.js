@@ -1,13 +1,27 @@
 const express = require("express");
 const mongoose = require("mongoose");
+const crypto = require("crypto");
 const router = express.Router();
 
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { revokeAllSessions, hashToken } = require("../utils/authTokens");
+const sendEmail = require("../utils/sendEmail");
+const getFrontendUrl = require("../utils/frontendUrl");
 
 // Models
 const Class = require("../models/Class");
 const Student = require("../models/Student");
 const User = require("../models/User");
+const Invite = require("../models/Invite");
+const LoginAttempt = require("../models/LoginAttempt");
+const SecurityPolicy = require("../models/SecurityPolicy");
+const Calendar = require("../models/Calendar");
+const { getPolicy } = require("../utils/twoFactor");
+const { startOfUTCDay } = require("../utils/calendar");
+const { reconcileXp } = require("../utils/xpService");
+const LevelCurve = require("../models/LevelCurve");
+const { DEFAULT_CURVE, parseLevelCurve, saveLevelCurve, recomputeLevels } = require("../utils/leveling");
+const XpLedgerEntry = require("../models/XpLedgerEntry");
 
 /* =======================
    HELPERS & MIDDLEWARE
@@ -183,13 +197,20 @@ router.patch("/users/:id", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    const roleChanged = user.role !== role;
     user.role = role;
     await user.save();
 
+    // tokens carry the role, so force the user to sign in again
+    const revokedSessions = roleChanged
+      ? await revokeAllSessions(user._id, "role_changed")
+      : 0;
+
     res.json({
       message: "User role updated successfully",
       userId: user._id,
       role: user.role,
+      revokedSessions,
     });
   } catch (err) {
     console.error("PATCH /admin/users/:id error:", err);
@@ -197,4 +218,569 @@ router.patch("/users/:id", async (req, res) => {
   }
 });
 
+/* =======================
+   SECURITY POLICY (2FA)
+======================= */
+
+router.get("/security-policy", async (req, res) => {
+  try {
+    res.json(await getPolicy());
+  } catch (err) {
+    console.error("GET /admin/security-policy error:", err);
+    res.status(500).json({ message: "Failed to fetch security policy" });
+  }
+});
+
+router.put("/security-policy", async (req, res) => {
+  try {
+    const roles = req.body.twoFactorRequiredRoles;
+
+    if (
+      !Array.isArray(roles) ||
+      roles.some((r) => !["admin", "teacher", "student"].includes(r))
+    ) {
+      return res.status(400).json({
+        message: "twoFactorRequiredRoles must be an array of roles",
+      });
+    }
+
+    const before = await getPolicy();
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: "global" },
+      {
+        $set: {
+          twoFactorRequiredRoles: [...new Set(roles)],
+          updatedBy: req.user.id,
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    // users in newly enforced roles must enroll on their next login
+    const newlyRequired = roles.filter(
+      (r) => !(before.twoFactorRequiredRoles || []).includes(r)
+    );
+    let revokedSessions = 0;
+    if (newlyRequired.length) {
+      const users = await User.find({
+        role: { $in: newlyRequired },
+        "twoFactor.enabled": { $ne: true },
+        _id: { $ne: req.user.id },
+      })
+        .select("_id")
+        .lean();
+
+      for (const u of users) {
+        revokedSessions += await revokeAllSessions(u._id, "2fa_required");
+      }
+    }
+
+    res.json({ policy, revokedSessions });
+  } catch (err) {
+    console.error("PUT /admin/security-policy error:", err);
+    res.status(500).json({ message: "Failed to update security policy" });
+  }
+});
+
+// reset a user's 2FA (lost device); they re-enroll on next login if required
+router.delete("/users/:id/2fa", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+    await revokeAllSessions(user._id, "2fa_reset");
+
+    res.json({ message: "Two-factor authentication reset", userId: user._id });
+  } catch (err) {
+    console.error("DELETE /admin/users/:id/2fa error:", err);
+    res.status(500).json({ message: "Failed to reset 2FA" });
+  }
+});
+
+/* =======================
+   LOCKED ACCOUNTS
+======================= */
+
+router.get("/locked-accounts", async (req, res) => {
+  try {
+    const locks = await LoginAttempt.find({
+      kind: "login",
+      lockedUntil: { $gt: new Date() },
+    })
+      .select("key failures firstFailureAt lastFailureAt lockedUntil")
+      .sort({ lockedUntil: -1 })
+      .lean();
+
+    res.json(
+      locks.map((l) => {
+        const [type, ...rest] = l.key.split(":");
+        return {
+          _id: l._id,
+          type, // "account" | "ip"
+          value: rest.join(":"),
+          failures: l.failures,
+          firstFailureAt: l.firstFailureAt,
+          lastFailureAt: l.lastFailureAt,
+          lockedUntil: l.lockedUntil,
+        };
+      })
+    );
+  } catch (err) {
+    console.error("GET /admin/locked-accounts error:", err);
+    res.status(500).json({ message: "Failed to fetch locked accounts" });
+  }
+});
+
+router.delete("/locked-accounts/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid lock id" });
+    }
+
+    const lock = await LoginAttempt.findOneAndDelete({
+      _id: id,
+      kind: "login",
+    }).lean();
+
+    if (!lock) {
+      return res.status(404).json({ message: "Lock not found" });
+    }
+
+    res.json({ message: "Lock cleared", key: lock.key });
+  } catch (err) {
+    console.error("DELETE /admin/locked-accounts/:id error:", err);
+    res.status(500).json({ message: "Failed to clear lock" });
+  }
+});
+
+/* =======================
+   INVITES
+======================= */
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+router.post("/invites", async (req, res) => {
+  try {
+    const email = req.body.email?.toLowerCase().trim();
+    const { role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ message: "email and role are required" });
+    }
+
+    if (!["admin", "teacher", "student"].includes(role)) {
+      return res.status(400).json({ message: "Invalid role value" });
+    }
+
+    const hours =
+      req.body.expiresInHours !== undefined
+        ? Number(req.body.expiresInHours)
+        : INVITE_TTL_HOURS;
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+      return res
+        .status(400)
+        .json({ message: "expiresInHours must be between 0 and 720" });
+    }
+
+    const existing = await User.findOne({ email }).select("role").lean();
+    if (existing && existing.role === role) {
+      return res
+        .status(400)
+        .json({ message: `User already has the ${role} role` });
+    }
+
+    // a new invite supersedes any pending one for the same email
+    await Invite.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invite = await Invite.create({
+      email,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      invitedBy: req.user.id,
+    });
+
+    const inviteUrl = `${getFrontendUrl(req)}/accept-invite/${token}`;
+
+    let emailSent = true;
+    try {
+      await sendEmail({
+        to: email,
+        subject: `You're invited to ClassCraft as ${role}`,
+        text:
+          `You have been invited to join ClassCraft as a ${role}.\n\n` +
+          `Accept the invite using the link below (valid for ${hours} hours):\n` +
+          `${inviteUrl}\n\n` +
+          `If you were not expecting this, please ignore this email.`,
+      });
+    } catch (mailErr) {
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      message: emailSent
+        ? "Invite sent"
+        : "Invite created, but the email could not be sent",
+      emailSent,
+      invite: {
+        _id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error("POST /admin/invites error:", err);
+    res.status(500).json({ message: "Failed to create invite" });
+  }
+});
+
+router.get("/invites", async (req, res) => {
+  try {
+    const invites = await Invite.find()
+      .select("-tokenHash")
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const now = new Date();
+    res.json(
+      invites.map((inv) => ({
+        ...inv,
+        status: inv.acceptedAt
+          ? "accepted"
+          : inv.revokedAt
+          ? "revoked"
+          : inv.expiresAt <= now
+          ? "expired"
+          : "pending",
+      }))
+    );
+  } catch (err) {
+    console.error("GET /admin/invites error:", err);
+    res.status(500).json({ message: "Failed to fetch invites" });
+  }
+});
+
+router.delete("/invites/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid invite id" });
+    }
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!invite) {
+      return res.status(404).json({ message: "Pending invite not found" });
+    }
+
+    res.json({ message: "Invite revoked", inviteId: invite._id });
+  } catch (err) {
+    console.error("DELETE /admin/invites/:id error:", err);
+    res.status(500).json({ message: "Failed to revoke invite" });
+  }
+});
+
+/* =======================
+   CALENDARS
+   One school calendar (no classId) plus optional per-class overrides
+======================= */
+
+// validates a create/update body; returns { error } or { fields }
+function parseCalendarBody(body, { partial } = {}) {
+  const fields = {};
+  const toDay = (value) => {
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : startOfUTCDay(d);
+  };
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "name is required" };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.classId !== undefined && !partial) {
+    if (body.classId !== null && !isValidObjectId(body.classId)) {
+      return { error: "Invalid classId" };
+    }
+    fields.classId = body.classId || null;
+  }
+
+  if (body.workingWeekdays !== undefined) {
+    const days = body.workingWeekdays;
+    if (
+      !Array.isArray(days) ||
+      !days.length ||
+      days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+    ) {
+      return { error: "workingWeekdays must be a non-empty array of 0 (Sunday) to 6 (Saturday)" };
+    }
+    fields.workingWeekdays = [...new Set(days)].sort();
+  }
+
+  if (body.holidays !== undefined) {
+    if (!Array.isArray(body.holidays)) return { error: "holidays must be an array" };
+    fields.holidays = [];
+    for (const h of body.holidays) {
+      const date = toDay(h?.date);
+      if (!date) return { error: "Each holiday needs a valid date" };
+      fields.holidays.push({ date, name: String(h.name || "Holiday").trim().slice(0, 100) });
+    }
+  }
+
+  if (body.terms !== undefined) {
+    if (!Array.isArray(body.terms)) return { error: "terms must be an array" };
+    fields.terms = [];
+    for (const t of body.terms) {
+      const startDate = toDay(t?.startDate);
+      const endDate = toDay(t?.endDate);
+      if (!t?.name || !startDate || !endDate) {
+        return { error: "Each term needs a name, startDate and endDate" };
+      }
+      if (startDate > endDate) {
+        return { error: `Term "${t.name}" ends before it starts` };
+      }
+      fields.terms.push({ name: String(t.name).trim().slice(0, 100), startDate, endDate });
+    }
+  }
+
+  return { fields };
+}
+
+router.get("/calendar", async (req, res) => {
+  try {
+    const calendars = await Calendar.find()
+      .populate("classId", "name")
+      .sort({ classId: 1, name: 1 })
+      .lean();
+
+    res.json(calendars);
+  } catch (err) {
+    console.error("GET /admin/calendar error:", err);
+    res.status(500).json({ message: "Failed to fetch calendars" });
+  }
+});
+
+router.get("/calendar/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid calendar id" });
+    }
+
+    const calendar = await Calendar.findById(id).populate("classId", "name").lean();
+    if (!calendar) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    res.json(calendar);
+  } catch (err) {
+    console.error("GET /admin/calendar/:id error:", err);
+    res.status(500).json({ message: "Failed to fetch calendar" });
+  }
+});
+
+router.post("/calendar", async (req, res) => {
+  try {
+    const { error, fields } = parseCalendarBody(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (fields.classId && !(await Class.exists({ _id: fields.classId }))) {
+      return res.status(404).json({ message: "Class not found" });
+    }
+
+    if (await Calendar.exists({ classId: fields.classId || null })) {
+      return res.status(409).json({
+        message: fields.classId
+          ? "This class already has a calendar"
+          : "A school calendar already exists",
+      });
+    }
+
+    const calendar = await Calendar.create({ ...fields, createdBy: req.user.id });
+    res.status(201).json(calendar);
+  } catch (err) {
+    console.error("POST /admin/calendar error:", err);
+    res.status(500).json({ message: "Failed to create calendar" });
+  }
+});
+
+// classId cannot be changed; create a new calendar instead
+router.put("/calendar/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid calendar id" });
+    }
+
+    const { error, fields } = parseCalendarBody(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const calendar = await Calendar.findByIdAndUpdate(
+      id,
+      { $set: fields },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!calendar) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    res.json(calendar);
+  } catch (err) {
+    console.error("PUT /admin/calendar/:id error:", err);
+    res.status(500).json({ message: "Failed to update calendar" });
+  }
+});
+
+router.delete("/calendar/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid calendar id" });
+    }
+
+    const calendar = await Calendar.findByIdAndDelete(id).lean();
+    if (!calendar) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    res.json({ message: "Calendar deleted", calendarId: calendar._id });
+  } catch (err) {
+    console.error("DELETE /admin/calendar/:id error:", err);
+    res.status(500).json({ message: "Failed to delete calendar" });
+  }
+});
+
+/* =======================
+   XP LEDGER
+   Student.xp / level are derived from XpLedgerEntry (utils/xpService.js)
+======================= */
+
+// body: { dryRun?, classId?, studentIds? } — all students by default
+router.post("/xp/reconcile", async (req, res) => {
+  try {
+    const { dryRun, classId, studentIds } = req.body || {};
+    let ids;
+
+    if (studentIds !== undefined) {
+      if (!Array.isArray(studentIds) || studentIds.some((id) => !isValidObjectId(id))) {
+        return res.status(400).json({ message: "studentIds must be an array of student ids" });
+      }
+      ids = studentIds;
+    } else if (classId !== undefined) {
+      if (!isValidObjectId(classId)) {
+        return res.status(400).json({ message: "Invalid classId" });
+      }
+      ids = (await Student.find({ classId }).select("_id").lean()).map((s) => s._id);
+    }
+
+    const report = await reconcileXp({ studentIds: ids, dryRun: Boolean(dryRun) });
+    res.json(report);
+  } catch (err) {
+    console.error("POST /admin/xp/reconcile error:", err);
+    res.status(500).json({ message: "Failed to reconcile XP" });
+  }
+});
+
+/* =======================
+   LEVEL CURVE (school)
+   Classes without their own curve use this one (utils/leveling.js)
+======================= */
+
+router.get("/level-curve", async (req, res) => {
+  try {
+    const curve = await LevelCurve.findOne({ classId: null }).lean();
+    res.json(curve ? { ...curve, source: "school" } : { ...DEFAULT_CURVE, source: "default" });
+  } catch (err) {
+    console.error("GET /admin/level-curve error:", err);
+    res.status(500).json({ message: "Failed to load level curve" });
+  }
+});
+
+// body: { type, xpPerLevel? | baseXP?, factor? | thresholds?, maxLevel?, titles? }
+router.put("/level-curve", async (req, res) => {
+  try {
+    const { error, fields } = parseLevelCurve(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const curve = await saveLevelCurve(null, fields, req.user.id);
+
+    const releveled = await recomputeLevels(null);
+    res.json({ ...curve, source: "school", releveled });
+  } catch (err) {
+    console.error("PUT /admin/level-curve error:", err);
+    res.status(500).json({ message: "Failed to save level curve" });
+  }
+});
+
+// back to the default curve (a level every 100 XP)
+router.delete("/level-curve", async (req, res) => {
+  try {
+    await LevelCurve.deleteOne({ classId: null });
+    const releveled = await recomputeLevels(null);
+    res.json({ message: "School level curve removed", releveled });
+  } catch (err) {
+    console.error("DELETE /admin/level-curve error:", err);
+    res.status(500).json({ message: "Failed to remove level curve" });
+  }
+});
+
+router.get("/xp/ledger/:studentId", async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    if (!isValidObjectId(studentId)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+
+    const student = await Student.findById(studentId).select("name xp level").lean();
+    if (!student) return res.status(404).json({ message: "Student not found" });
+
+    const entries = await XpLedgerEntry.find({ student: studentId })
+      .populate("createdBy", "name")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      student,
+      ledgerXP: entries.reduce((sum, e) => sum + e.xp, 0),
+      entries,
+    });
+  } catch (err) {
+    console.error("GET /admin/xp/ledger error:", err);
+    res.status(500).json({ message: "Failed to load XP ledger" });
+  }
+});
+
 module.exports = router;
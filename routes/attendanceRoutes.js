@@ -1,18 +1,60 @@
 // routes/attendanceRoutes.js
 const express = require("express");
 const router = express.Router();
+const multer = require("multer");
 const {
   saveAttendance,
   getAttendanceByClass,
   getAttendanceHistory,
-  getMonthlyAttendance
+  getMonthlyAttendance,
+  exportMonthlyAttendance,
+  exportTermAttendance,
+  importAttendance,
+  getAttendanceAlerts,
+  acknowledgeAttendanceAlert,
+  startCheckIn,
+  getCheckIn,
+  closeCheckIn,
+  getAttendanceRevisions,
+  unlockAttendance,
 } = require("../controllers/attendanceController");
 const { authMiddleware } = require("../middleware/authMiddleware");
 
+// CSV imports are parsed in memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }, // 1MB
+  fileFilter: (req, file, cb) => {
+    const ok = /\.csv$/i.test(file.originalname) || /csv|text\/plain|ms-excel/.test(file.mimetype || "");
+    if (!ok) return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", "Only CSV files allowed"), false);
+    cb(null, true);
+  },
+});
+
+const uploadCsv = (req, res, next) => {
+  csvUpload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: err.message || "File upload error", code: err.code });
+    }
+    if (err) return next(err);
+    next();
+  });
+};
+
 // secure endpoints
 router.post("/save", authMiddleware, saveAttendance);
 router.get("/history", authMiddleware, getAttendanceHistory);
-router.get("/class/:className", authMiddleware, getAttendanceByClass);
+router.get("/class/:classId", authMiddleware, getAttendanceByClass);
 router.get("/monthly", authMiddleware, getMonthlyAttendance);
+router.get("/monthly/export", authMiddleware, exportMonthlyAttendance);
+router.get("/term/export", authMiddleware, exportTermAttendance);
+router.post("/import", authMiddleware, uploadCsv, importAttendance);
+router.get("/alerts", authMiddleware, getAttendanceAlerts);
+router.post("/alerts/:id/acknowledge", authMiddleware, acknowledgeAttendanceAlert);
+router.post("/check-in/start", authMiddleware, startCheckIn);
+router.get("/check-in/:id", authMiddleware, getCheckIn);
+router.post("/check-in/:id/close", authMiddleware, closeCheckIn);
+router.get("/:id/history", authMiddleware, getAttendanceRevisions);
+router.post("/:id/unlock", authMiddleware, unlockAttendance);
 
 module.exports = router;
@@ -2,12 +2,36 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const dotenv = require("dotenv");
 
 const User = require("../models/User");
+const Invite = require("../models/Invite");
+const OidcState = require("../models/OidcState");
 const sendEmail = require("../utils/sendEmail");
+const getFrontendUrl = require("../utils/frontendUrl");
+const {
+  hashToken,
+  issueSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAllSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshToken,
+} = require("../utils/authTokens");
+const throttle = require("../utils/loginThrottle");
+const { generateSecret, buildOtpauthUrl } = require("../utils/totp");
+const {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  remainingRecoveryCodes,
+  verifyUserCode,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+} = require("../utils/twoFactor");
+const oidc = require("../utils/oidc");
 
 dotenv.config();
 
@@ -15,15 +39,91 @@ dotenv.config();
    HELPERS
 ========================= */
 
-// Decide frontend URL (localhost vs production)
-const getFrontendUrl = (req) => {
-  const origin = req.headers.origin || "";
+// issue a fresh verification token and mail the link
+const sendVerificationEmail = async (user, req) => {
+  const verifyToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${getFrontendUrl(req)}/verify-email/${verifyToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Verify your ClassCraft email",
+    text:
+      `Welcome to ClassCraft!\n\n` +
+      `Please confirm your email address (link valid for 24 hours):\n` +
+      `${verifyUrl}\n\n` +
+      `If you did not create an account, please ignore this email.`,
+  });
+};
+
+// tell the account owner it was locked and how to unlock it early
+const sendUnlockEmail = async (user, unlockToken, req) => {
+  const unlockUrl = `${getFrontendUrl(req)}/unlock-account/${unlockToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Your ClassCraft account was locked",
+    text:
+      `We locked your account after several failed sign-in attempts.\n\n` +
+      `It will unlock automatically in ${throttle.config.lockoutMinutes} minutes, ` +
+      `or you can unlock it now with the link below:\n` +
+      `${unlockUrl}\n\n` +
+      `If these attempts were not you, consider resetting your password.`,
+  });
+};
 
-  if (origin.includes("localhost")) {
-    return process.env.FRONTEND_URL_LOCAL || "http://localhost:3000";
+// final step of every login flow: clear throttling, open a session
+const completeLogin = async (req, res, user, extra = {}) => {
+  await throttle.recordLoginSuccess({ email: user.email });
+
+  const { token, refreshToken } = await issueSession(user, req);
+  setRefreshCookie(res, refreshToken);
+
+  return res.json({
+    message: "Login successful",
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      avatarUrl: user.avatarUrl,
+    },
+    ...extra,
+  });
+};
+
+// second step shared by password and SSO sign-in: sends the 2FA challenge
+// (or the enrollment the role's policy demands) and returns the response,
+// or returns null when the user may go straight to completeLogin
+const sendTwoFactorChallenge = async (res, user, extra = {}) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      message: "Two-factor code required",
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user, "2fa"),
+      ...extra,
+    });
   }
 
-  return process.env.FRONTEND_URL_PROD || "https://class-craft-gayatri.netlify.app";
+  if (await isTwoFactorRequired(user.role)) {
+    const setupSecret = generateSecret();
+    user.twoFactor.pendingSecret = setupSecret;
+    await user.save({ validateBeforeSave: false });
+
+    return res.json({
+      message: "Two-factor setup required for your role",
+      twoFactorSetupRequired: true,
+      challengeToken: signChallengeToken(user, "2fa-setup"),
+      secret: setupSecret,
+      otpauthUrl: buildOtpauthUrl({ secret: setupSecret, account: user.email }),
+      ...extra,
+    });
+  }
+
+  return null;
 };
 
 /* =========================
@@ -32,7 +132,8 @@ const getFrontendUrl = (req) => {
 ========================= */
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    // role is never taken from the body: teachers and admins join via invites
+    const { name, email, password } = req.body;
 
     if (!name || !email || !password) {
       return res.status(400).json({ message: "All fields are required" });
@@ -56,12 +157,26 @@ router.post("/register", async (req, res) => {
       name,
       email: normalizedEmail,
       password,
-      role: role || "student",
+      role: "student",
+      emailVerified: false,
     });
 
     await user.save();
 
-    res.status(201).json({ message: "User registered successfully" });
+    let emailSent = true;
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (mailErr) {
+      // account exists; the user can ask for a new link
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      message: emailSent
+        ? "User registered successfully. Check your email to verify your account"
+        : "User registered, but the verification email could not be sent",
+      emailSent,
+    });
   } catch (err) {
     console.error("Register error:", err);
     res.status(500).json({ message: "Server error during registration" });
@@ -88,11 +203,17 @@ router.post("/login", async (req, res) => {
         .json({ message: "JWT secret not configured" });
     }
 
+    const attempt = { email: email.toLowerCase(), ip: req.ip };
+
+    const blocked = await throttle.checkLogin(attempt);
+    if (blocked) return throttle.sendThrottled(res, blocked);
+
     const user = await User.findOne({
       email: email.toLowerCase(),
     }).select("+password");
 
     if (!user) {
+      await throttle.recordLoginFailure(attempt);
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
@@ -102,18 +223,479 @@ router.post("/login", async (req, res) => {
 
     const isMatch = bcrypt.compareSync(password, user.password);
     if (!isMatch) {
+      const { unlockToken } = await throttle.recordLoginFailure(attempt);
+      if (unlockToken) {
+        sendUnlockEmail(user, unlockToken, req).catch(() => {});
+      }
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        message: "Please verify your email before logging in",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    // 🔑 second factor: password alone does not open a session
+    const challenged = await sendTwoFactorChallenge(res, user);
+    if (challenged) return challenged;
+
+    return completeLogin(req, res, user);
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ message: "Server error during login" });
+  }
+});
+
+/* =========================
+   LOGIN — SECOND STEP
+   POST /api/auth/login/2fa
+   body: { challengeToken, code }
+   - code is a TOTP or a recovery code
+   - for a "2fa-setup" challenge the code confirms enrollment
+========================= */
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res
+        .status(400)
+        .json({ message: "challengeToken and code are required" });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired challenge", code: "CHALLENGE_EXPIRED" });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(401).json({ message: "Invalid or expired challenge" });
+    }
+
+    const attempt = { email: user.email, ip: req.ip };
+    const blocked = await throttle.checkLogin(attempt);
+    if (blocked) return throttle.sendThrottled(res, blocked);
+
+    const enrolling = challenge.purpose === "2fa-setup";
+    const method = verifyUserCode(user, code, {
+      useSecret: enrolling ? "pendingSecret" : "secret",
+    });
+
+    if (!method) {
+      const { unlockToken } = await throttle.recordLoginFailure(attempt);
+      if (unlockToken) {
+        sendUnlockEmail(user, unlockToken, req).catch(() => {});
+      }
+      return res
+        .status(401)
+        .json({ message: "Invalid two-factor code", code: "INVALID_2FA_CODE" });
+    }
+
+    const extra = {};
+    if (enrolling) {
+      const { codes, entries } = generateRecoveryCodes();
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.recoveryCodes = entries;
+      extra.recoveryCodes = codes; // shown once
+    } else if (method === "recovery") {
+      extra.recoveryCodesRemaining = remainingRecoveryCodes(user);
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    return completeLogin(req, res, user, extra);
+  } catch (err) {
+    console.error("Login 2FA error:", err);
+    res.status(500).json({ message: "Server error during login" });
+  }
+});
+
+/* =========================
+   VERIFY EMAIL
+   POST /api/auth/verify-email/:token
+========================= */
+router.post("/verify-email/:token", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification token" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: "Email verified successfully" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/* =========================
+   RESEND VERIFICATION
+   POST /api/auth/resend-verification
+========================= */
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const email = req.body.email?.toLowerCase();
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email });
+
+    // 🔒 prevent email enumeration
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user, req);
+    }
+
+    res.json({
+      message: "If the account needs verification, a new link has been sent",
+    });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/* =========================
+   ACCEPT INVITE
+   POST /api/auth/accept-invite/:token
+   body: { name, password }
+   - new email: creates the account with the invited role
+   - existing email: password must match, role is upgraded
+   - unverified self-registration: nobody proved owning the address, so
+     the invitee takes the account over with the given password
+========================= */
+router.post("/accept-invite/:token", async (req, res) => {
+  try {
+    const { name, password } = req.body;
+
+    const invite = await Invite.findOne({
+      tokenHash: hashToken(req.params.token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!invite) {
+      return res.status(400).json({ message: "Invalid or expired invite" });
+    }
+
+    if (!password || password.length < 6) {
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+    }
+
+    let user = await User.findOne({ email: invite.email }).select("+password");
+
+    if (user && user.emailVerified === false) {
+      // whatever the registrant set up goes with the takeover
+      if (name) user.name = String(name).trim();
+      user.password = password;
+      user.role = invite.role;
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+      user.twoFactor = { enabled: false };
+      user.identities = [];
+      await user.save();
+
+      await revokeAllSessions(user._id, "invite_takeover");
+    } else if (user) {
+      if (!bcrypt.compareSync(password, user.password)) {
+        return res.status(401).json({ message: "Invalid email or password" });
+      }
+
+      const roleChanged = user.role !== invite.role;
+      user.role = invite.role;
+      user.emailVerified = true; // the invite link proves ownership
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+      await user.save();
+
+      if (roleChanged) await revokeAllSessions(user._id, "role_changed");
+    } else {
+      if (!name) {
+        return res.status(400).json({ message: "Name is required" });
+      }
+
+      user = new User({
+        name,
+        email: invite.email,
+        password,
+        role: invite.role,
+        emailVerified: true,
+      });
+      await user.save();
+    }
+
+    invite.acceptedAt = new Date();
+    invite.acceptedBy = user._id;
+    await invite.save();
+
+    res.status(201).json({
+      message: "Invite accepted",
+      user: { id: user._id, email: user.email, role: user.role },
+    });
+  } catch (err) {
+    console.error("Accept invite error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/* =========================
+   UNLOCK ACCOUNT
+   POST /api/auth/unlock/:token
+========================= */
+router.post("/unlock/:token", async (req, res) => {
+  try {
+    const email = await throttle.unlockWithToken(req.params.token);
+    if (!email) {
+      return res.status(400).json({ message: "Invalid or expired unlock token" });
+    }
+
+    res.json({ message: "Account unlocked, you can sign in again" });
+  } catch (err) {
+    console.error("Unlock account error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/* =========================
+   SINGLE SIGN-ON (OIDC)
+   GET  /api/auth/oidc/providers
+   GET  /api/auth/oidc/:provider/start      → redirect to IdP
+   GET  /api/auth/oidc/:provider/callback   → redirect to frontend with one-time code
+   POST /api/auth/oidc/exchange { code }    → same response as /login
+   (including the 2FA step)
+   The start request sets a short-lived cookie that the callback must
+   present, so a callback URL cannot be replayed in another browser.
+========================= */
+const OIDC_BROWSER_COOKIE = "oidcBrowser";
+
+const oidcCookieOptions = () => {
+  const production = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? "none" : "lax",
+    path: "/api/auth/oidc",
+    maxAge: 10 * 60 * 1000,
+  };
+};
+
+router.get("/oidc/providers", (req, res) => {
+  res.json(oidc.listProviders());
+});
+
+router.get("/oidc/:provider/start", async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    const { url, state, nonce, codeVerifier } =
+      await oidc.buildAuthorizationUrl(provider);
+
+    const browserKey = crypto.randomBytes(32).toString("hex");
+    await OidcState.create({
+      state,
+      provider: provider.name,
+      nonce,
+      codeVerifier,
+      browserHash: hashToken(browserKey),
+      frontendUrl: getFrontendUrl(req),
+    });
+    res.cookie(OIDC_BROWSER_COOKIE, browserKey, oidcCookieOptions());
+
+    // SPA can ask for the URL instead of following a redirect
+    if (req.query.mode === "json") return res.json({ url });
+    res.redirect(url);
+  } catch (err) {
+    console.error("OIDC start error:", err);
+    res.status(err.status || 500).json({ message: err.message || "SSO error" });
+  }
+});
+
+// link by (provider, sub) first, then by verified email, else provision.
+// An existing local account is only linked when the IdP vouches for the
+// email (email_verified); trustEmail alone is not enough. An unverified
+// self-registration is taken over like in accept-invite: its password,
+// 2FA, other identities and sessions do not survive the link.
+const findOrProvisionSsoUser = async (provider, claims) => {
+  const emailVerified = claims.email_verified === true;
+  const email = String(claims.email || "").toLowerCase();
+  const mappedRole = oidc.resolveRole(provider, claims);
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: claims.sub } },
+  });
+  let takenOver = false;
+
+  if (!user && email) {
+    user = await User.findOne({ email });
+    if (user) {
+      if (!emailVerified) {
+        const e = new Error("Unverified SSO email matches an existing account");
+        e.status = 403;
+        e.reason = "email_not_verified";
+        throw e;
+      }
+      if (user.emailVerified === false) {
+        user.password = crypto.randomBytes(32).toString("hex");
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpire = undefined;
+        user.twoFactor = { enabled: false };
+        user.identities = [];
+        takenOver = true;
+      }
+      user.identities.push({ provider: provider.name, subject: claims.sub });
+    }
+  }
+
+  if (!user) {
+    if (!provider.allowProvisioning) {
+      const e = new Error("No ClassCraft account for this identity");
+      e.status = 403;
+      throw e;
+    }
+
+    return User.create({
+      name: claims.name || claims.preferred_username || email,
+      email,
+      // unusable local password; the user can set one via forgot-password
+      password: crypto.randomBytes(32).toString("hex"),
+      role: mappedRole || provider.defaultRole,
+      emailVerified: true,
+      identities: [{ provider: provider.name, subject: claims.sub }],
+    });
+  }
+
+  const roleChanged = Boolean(mappedRole && user.role !== mappedRole);
+  if (roleChanged) user.role = mappedRole;
+  if (user.emailVerified === false && emailVerified) user.emailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  if (takenOver) await revokeAllSessions(user._id, "sso_takeover");
+  else if (roleChanged) await revokeAllSessions(user._id, "role_changed");
+  return user;
+};
+
+router.get("/oidc/:provider/callback", async (req, res) => {
+  const { code, state, error } = req.query;
+  const browserKey = req.cookies?.[OIDC_BROWSER_COOKIE];
+  const pending =
+    state && browserKey
+      ? await OidcState.findOne({
+          state: String(state),
+          provider: req.params.provider,
+          browserHash: hashToken(browserKey),
+          exchangeCodeHash: null,
+          expiresAt: { $gt: new Date() },
+        }).catch(() => null)
+      : null;
+
+  const { maxAge, ...cookieOptions } = oidcCookieOptions();
+  res.clearCookie(OIDC_BROWSER_COOKIE, cookieOptions);
+
+  const frontendUrl = pending?.frontendUrl || getFrontendUrl(req);
+  const fail = (reason) =>
+    res.redirect(`${frontendUrl}/login?ssoError=${encodeURIComponent(reason)}`);
+
+  try {
+    if (error) return fail(String(error));
+    if (!pending || !code) return fail("invalid_state");
+
+    const provider = oidc.getProvider(pending.provider);
+    const tokens = await oidc.exchangeCode(provider, String(code), pending.codeVerifier);
+    const claims = await oidc.verifyIdToken(provider, tokens.id_token, pending.nonce);
+
+    if (!claims.email || (claims.email_verified !== true && !provider.trustEmail)) {
+      return fail("email_not_verified");
+    }
+
+    const user = await findOrProvisionSsoUser(provider, claims);
+
+    const exchangeCode = crypto.randomBytes(32).toString("hex");
+    pending.user = user._id;
+    pending.exchangeCodeHash = hashToken(exchangeCode);
+    pending.expiresAt = new Date(Date.now() + 2 * 60 * 1000);
+    await pending.save();
+
+    res.redirect(`${frontendUrl}/sso/callback?code=${exchangeCode}`);
+  } catch (err) {
+    console.error("OIDC callback error:", err);
+    fail(err.reason || (err.status === 403 ? "no_account" : "sso_failed"));
+  }
+});
+
+router.post("/oidc/exchange", async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: "code is required" });
+
+    const pending = await OidcState.findOneAndDelete({
+      exchangeCodeHash: hashToken(code),
+      expiresAt: { $gt: new Date() },
+    }).lean();
+
+    if (!pending || !pending.user) {
+      return res.status(400).json({ message: "Invalid or expired SSO code" });
+    }
+
+    const user = await User.findById(pending.user);
+    if (!user) {
+      return res.status(401).json({ message: "User not found" });
+    }
+
+    // SSO replaces the password, not the second factor
+    const challenged = await sendTwoFactorChallenge(res, user, { sso: pending.provider });
+    if (challenged) return challenged;
+
+    return completeLogin(req, res, user, { sso: pending.provider });
+  } catch (err) {
+    console.error("OIDC exchange error:", err);
+    res.status(500).json({ message: "Server error during SSO login" });
+  }
+});
+
+/* =========================
+   REFRESH
+   POST /api/auth/refresh
+   body: { refreshToken } (or httpOnly cookie)
+========================= */
+router.post("/refresh", async (req, res) => {
+  try {
+    const presented = readRefreshToken(req);
+    if (!presented) {
+      return res.status(401).json({ message: "Refresh token is required" });
+    }
+
+    const { user, token, refreshToken } = await rotateSession(
+      presented,
+      (id) => User.findById(id),
+      req
     );
+    setRefreshCookie(res, refreshToken);
 
     res.json({
-      message: "Login successful",
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -123,8 +705,32 @@ router.post("/login", async (req, res) => {
       },
     });
   } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ message: "Server error during login" });
+    if (err.status) {
+      clearRefreshCookie(res);
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Server error during token refresh" });
+  }
+});
+
+/* =========================
+   LOGOUT
+   POST /api/auth/logout
+   - revokes the session behind the refresh token
+========================= */
+router.post("/logout", async (req, res) => {
+  try {
+    const presented = readRefreshToken(req);
+    if (presented) {
+      await revokeSessionByToken(presented, "logout");
+    }
+
+    clearRefreshCookie(res);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error during logout" });
   }
 });
 
@@ -139,6 +745,9 @@ router.post("/forgot-password", async (req, res) => {
       return res.status(400).json({ message: "Email is required" });
     }
 
+    const blocked = await throttle.checkForgotPassword({ email, ip: req.ip });
+    if (blocked) return throttle.sendThrottled(res, blocked);
+
     const user = await User.findOne({ email });
     if (!user) {
       // 🔒 prevent email enumeration
@@ -188,10 +797,7 @@ router.put("/reset-password/:token", async (req, res) => {
         .json({ message: "Password must be at least 6 characters" });
     }
 
-    const resetPasswordToken = crypto
-      .createHash("sha256")
-      .update(req.params.token)
-      .digest("hex");
+    const resetPasswordToken = hashToken(req.params.token);
 
     const user = await User.findOne({
       resetPasswordToken,
@@ -210,6 +816,9 @@ router.put("/reset-password/:token", async (req, res) => {
 
     await user.save();
 
+    // 🔒 sign out every device that may hold the old credentials
+    await revokeAllSessions(user._id, "password_reset");
+
     res.json({ message: "Password reset successful" });
   } catch (err) {
     console.error("Reset password error:", err);
@@ -0,0 +1,318 @@
+// routes/badgeRoutes.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Badge = require("../models/Badge");
+const StudentBadge = require("../models/StudentBadge");
+const Class = require("../models/Class");
+const Student = require("../models/Student");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { uploadBadgeIcon, badgeIconUrl, parseIconUrl, removeBadgeIcon } = require("../middleware/badgeUpload");
+const { parseCriteria, describeCriteria, checkAchievements } = require("../utils/achievements");
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+/* ======================================================
+   HELPERS
+====================================================== */
+const requireStaff = (req, res, next) => {
+  if (!["teacher", "admin"].includes(req.user.role)) {
+    return res.status(403).json({ message: "Only teachers or admins can manage badges" });
+  }
+  next();
+};
+
+// class badges belong to the class teacher; school-wide ones to admins
+async function checkBadgeScope(classId, user) {
+  if (!classId) {
+    if (user.role !== "admin") {
+      const e = new Error("Only admins can manage school-wide badges");
+      e.status = 403;
+      throw e;
+    }
+    return null;
+  }
+  if (!isValidId(classId)) {
+    const e = new Error("Invalid classId");
+    e.status = 400;
+    throw e;
+  }
+  const cls = await Class.findById(classId).select("teacher name").lean();
+  if (!cls) {
+    const e = new Error("Class not found");
+    e.status = 404;
+    throw e;
+  }
+  if (user.role !== "admin" && String(cls.teacher) !== String(user.id)) {
+    const e = new Error("Forbidden");
+    e.status = 403;
+    throw e;
+  }
+  return cls;
+}
+
+async function loadBadge(id, user) {
+  if (!isValidId(id)) {
+    const e = new Error("Invalid badge id");
+    e.status = 400;
+    throw e;
+  }
+  const badge = await Badge.findById(id);
+  if (!badge) {
+    const e = new Error("Badge not found");
+    e.status = 404;
+    throw e;
+  }
+  await checkBadgeScope(badge.classId, user);
+  return badge;
+}
+
+// multipart bodies carry criteria as a JSON string
+function criteriaFromBody(body) {
+  let input = body.criteria;
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return { error: "criteria must be valid JSON" };
+    }
+  }
+  return parseCriteria(input);
+}
+
+const badgeView = (badge) => ({
+  ...(badge.toObject ? badge.toObject() : badge),
+  criteriaText: describeCriteria(badge.criteria),
+});
+
+// the uploaded icon is orphaned when the request fails
+const discardUpload = (req) => {
+  if (req.file) removeBadgeIcon(badgeIconUrl(req.file.filename));
+};
+
+router.use(authMiddleware, requireStaff);
+
+/* ======================================================
+   CREATE BADGE
+   POST /api/badges (multipart or JSON)
+   body: { name, description?, criteria?, classId?, icon? (file or URL) }
+   Without classId the badge is school-wide (admins only)
+====================================================== */
+router.post("/", uploadBadgeIcon, async (req, res) => {
+  try {
+    const { name, description, classId } = req.body;
+    if (!name || !String(name).trim()) {
+      discardUpload(req);
+      return res.status(400).json({ message: "name is required" });
+    }
+
+    const { criteria, error } = criteriaFromBody(req.body);
+    if (error) {
+      discardUpload(req);
+      return res.status(400).json({ message: error });
+    }
+
+    const iconUrl = req.file ? { icon: badgeIconUrl(req.file.filename) } : parseIconUrl(req.body.icon);
+    if (iconUrl.error) return res.status(400).json({ message: iconUrl.error });
+
+    const cls = await checkBadgeScope(classId || null, req.user);
+
+    const badge = await Badge.create({
+      name: String(name).trim().slice(0, 60),
+      key: String(name).trim().slice(0, 60).toLowerCase(),
+      description: String(description || "").trim().slice(0, 500),
+      icon: iconUrl.icon,
+      criteria,
+      classId: cls ? cls._id : null,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json(badgeView(badge));
+  } catch (err) {
+    discardUpload(req);
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A badge with this name already exists" });
+    }
+    console.error("Create badge error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to create badge" });
+  }
+});
+
+/* ======================================================
+   LIST BADGES
+   GET /api/badges?classId=&active=
+   Teachers see school-wide badges and those of their classes
+====================================================== */
+router.get("/", async (req, res) => {
+  try {
+    const { classId, active } = req.query;
+    const query = {};
+
+    if (classId) {
+      await checkBadgeScope(classId, req.user);
+      query.classId = { $in: [null, classId] };
+    } else if (req.user.role !== "admin") {
+      const own = await Class.find({ teacher: req.user.id }).distinct("_id");
+      query.classId = { $in: [null, ...own] };
+    }
+    if (active !== undefined) query.active = active === "true";
+
+    const badges = await Badge.find(query).sort({ classId: 1, name: 1 }).lean();
+    const counts = await StudentBadge.aggregate([
+      { $match: { badge: { $in: badges.map((b) => b._id) } } },
+      { $group: { _id: "$badge", holders: { $sum: 1 } } },
+    ]);
+    const holdersById = new Map(counts.map((c) => [String(c._id), c.holders]));
+
+    res.json(badges.map((b) => ({ ...badgeView(b), holders: holdersById.get(String(b._id)) || 0 })));
+  } catch (err) {
+    console.error("Fetch badges error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to fetch badges" });
+  }
+});
+
+/* ======================================================
+   READ SINGLE BADGE (with holders)
+   GET /api/badges/:id
+   School-wide badges are readable by teachers; holders are limited to
+   their classes
+====================================================== */
+router.get("/:id", async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(400).json({ message: "Invalid badge id" });
+    const badge = await Badge.findById(req.params.id).lean();
+    if (!badge) return res.status(404).json({ message: "Badge not found" });
+    if (badge.classId) await checkBadgeScope(badge.classId, req.user);
+
+    let held = await StudentBadge.find({ badge: badge._id })
+      .populate("student", "name enrollNo classId")
+      .populate("awardedBy", "name")
+      .sort({ awardedAt: -1 })
+      .lean();
+
+    if (req.user.role !== "admin") {
+      const own = new Set((await Class.find({ teacher: req.user.id }).distinct("_id")).map(String));
+      held = held.filter((sb) => sb.student && own.has(String(sb.student.classId)));
+    }
+
+    res.json({
+      ...badgeView(badge),
+      holders: held
+        .filter((sb) => sb.student)
+        .map((sb) => ({
+          student: sb.student,
+          awardedAt: sb.awardedAt,
+          awardedBy: sb.awardedBy || null, // null = earned automatically
+          reward: sb.reward || null,
+          reason: sb.reason,
+        })),
+    });
+  } catch (err) {
+    console.error("Fetch badge error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to fetch badge" });
+  }
+});
+
+/* ======================================================
+   UPDATE BADGE
+   PUT /api/badges/:id (multipart or JSON)
+   body: { name?, description?, criteria?, active?, icon? (file, URL or "" to clear) }
+   Badges already granted stay granted when the criteria change
+====================================================== */
+router.put("/:id", uploadBadgeIcon, async (req, res) => {
+  try {
+    const badge = await loadBadge(req.params.id, req.user);
+    const { name, description, active } = req.body;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        discardUpload(req);
+        return res.status(400).json({ message: "name cannot be empty" });
+      }
+      badge.name = String(name).trim().slice(0, 60);
+      badge.key = badge.name.toLowerCase();
+    }
+    if (description !== undefined) badge.description = String(description).trim().slice(0, 500);
+    if (active !== undefined) badge.active = active === true || active === "true";
+
+    if (req.body.criteria !== undefined) {
+      const { criteria, error } = criteriaFromBody(req.body);
+      if (error) {
+        discardUpload(req);
+        return res.status(400).json({ message: error });
+      }
+      badge.criteria = criteria;
+    }
+
+    const oldIcon = badge.icon;
+    if (req.file) {
+      badge.icon = badgeIconUrl(req.file.filename);
+    } else if (req.body.icon !== undefined) {
+      const { icon, error } = parseIconUrl(req.body.icon);
+      if (error) return res.status(400).json({ message: error });
+      badge.icon = icon;
+    }
+
+    await badge.save();
+    if (oldIcon && oldIcon !== badge.icon) removeBadgeIcon(oldIcon);
+
+    res.json(badgeView(badge));
+  } catch (err) {
+    discardUpload(req);
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A badge with this name already exists" });
+    }
+    console.error("Update badge error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to update badge" });
+  }
+});
+
+/* ======================================================
+   EVALUATE BADGE CRITERIA NOW
+   POST /api/badges/:id/evaluate
+   Grants the badge to every eligible student who already meets it,
+   e.g. right after creating it
+====================================================== */
+router.post("/:id/evaluate", async (req, res) => {
+  try {
+    const badge = await loadBadge(req.params.id, req.user);
+    if (!badge.active || badge.criteria.type === "manual") {
+      return res.status(400).json({ message: "Only active badges with automatic criteria can be evaluated" });
+    }
+
+    const studentIds = await Student.find(badge.classId ? { classId: badge.classId } : {}).distinct("_id");
+    const granted = (await checkAchievements(studentIds)).filter((g) => String(g.badgeId) === String(badge._id));
+
+    res.json({ checked: studentIds.length, granted: granted.length });
+  } catch (err) {
+    console.error("Evaluate badge error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to evaluate badge" });
+  }
+});
+
+/* ======================================================
+   DELETE BADGE
+   DELETE /api/badges/:id
+   A badge students already hold is deactivated instead, so their
+   achievements survive
+====================================================== */
+router.delete("/:id", async (req, res) => {
+  try {
+    const badge = await loadBadge(req.params.id, req.user);
+
+    if (await StudentBadge.exists({ badge: badge._id })) {
+      badge.active = false;
+      await badge.save();
+      return res.json({ message: "Badge has holders and was deactivated", badge: badgeView(badge) });
+    }
+
+    await badge.deleteOne();
+    removeBadgeIcon(badge.icon);
+    res.json({ message: "Badge deleted" });
+  } catch (err) {
+    console.error("Delete badge error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to delete badge" });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,19 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const Class = require("../models/Class");
+const Attendance = require("../models/Attendance");
+const Student = require("../models/Student");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { getCalendarForClass } = require("../utils/calendar");
+const { normalizeGroups } = require("../utils/questAssignment");
+const LevelCurve = require("../models/LevelCurve");
+const {
+  parseLevelCurve,
+  getLevelCurveForClass,
+  thresholdFor,
+  saveLevelCurve,
+  recomputeLevels,
+} = require("../utils/leveling");
 
 // helper: ensure user has one of allowed roles
 function ensureRole(user, allowed = []) {
@@ -137,8 +149,62 @@ router.put("/:id", authMiddleware, async (req, res) => {
     if (req.body.grade !== undefined) cls.grade = String(req.body.grade).trim();
     if (req.body.startDate !== undefined) cls.startDate = new Date(req.body.startDate);
     if (req.body.endDate !== undefined) cls.endDate = new Date(req.body.endDate);
+    if (req.body.attendanceRules !== undefined) {
+      const rules = req.body.attendanceRules || {};
+      for (const key of ["presentMinRatio", "partialMinRatio", "lateCredit", "halfDayCredit", "partialCredit"]) {
+        if (rules[key] === undefined) continue;
+        const v = Number(rules[key]);
+        if (Number.isNaN(v) || v < 0 || v > 1) {
+          return res.status(400).json({ message: `attendanceRules.${key} must be between 0 and 1` });
+        }
+        cls.set(`attendanceRules.${key}`, v);
+      }
+    }
+    if (req.body.alertRules !== undefined) {
+      const rules = req.body.alertRules || {};
+      const limits = {
+        consecutiveAbsences: [1, 60],
+        minAttendancePct: [0, 100],
+        windowDays: [1, 365],
+        minDaysInWindow: [1, 365],
+      };
+      if (rules.enabled !== undefined) cls.set("alertRules.enabled", Boolean(rules.enabled));
+      for (const [key, [min, max]] of Object.entries(limits)) {
+        if (rules[key] === undefined) continue;
+        const v = Number(rules[key]);
+        if (Number.isNaN(v) || v < min || v > max) {
+          return res.status(400).json({ message: `alertRules.${key} must be between ${min} and ${max}` });
+        }
+        cls.set(`alertRules.${key}`, v);
+      }
+    }
+    if (req.body.attendanceXpRules !== undefined) {
+      const rules = req.body.attendanceXpRules || {};
+      const limits = {
+        presentXP: [0, 1000],
+        lateXP: [0, 1000],
+        absencePenaltyXP: [0, 1000],
+        streakDays: [0, 365],
+        streakBonusXP: [0, 10000],
+      };
+      if (rules.enabled !== undefined) cls.set("attendanceXpRules.enabled", Boolean(rules.enabled));
+      for (const [key, [min, max]] of Object.entries(limits)) {
+        if (rules[key] === undefined) continue;
+        const v = Number(rules[key]);
+        if (!Number.isInteger(v) || v < min || v > max) {
+          return res.status(400).json({ message: `attendanceXpRules.${key} must be a whole number between ${min} and ${max}` });
+        }
+        cls.set(`attendanceXpRules.${key}`, v);
+      }
+    }
 
+    const renamed = cls.isModified("name");
     await cls.save();
+
+    // attendance is keyed by classId; only the display snapshot follows the rename
+    if (renamed) {
+      await Attendance.updateMany({ classId: cls._id }, { $set: { className: cls.name } });
+    }
     const populated = await Class.findById(cls._id).populate("teacher", "name email").lean();
     res.json(populated);
   } catch (err) {
@@ -147,6 +213,198 @@ router.put("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/classes/:id/calendar
+ * Effective calendar (school calendar + class override) — owner or admin only
+ */
+router.get("/:id/calendar", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid class id" });
+
+    const cls = await Class.findById(id).select("teacher").lean();
+    if (!cls) return res.status(404).json({ message: "Class not found" });
+
+    if (String(cls.teacher) !== String(req.user.id) && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const { configured, workingWeekdays, holidays, terms } = await getCalendarForClass(cls._id);
+    return res.json({ classId: cls._id, configured, workingWeekdays, holidays, terms });
+  } catch (err) {
+    console.error("Error in GET /classes/:id/calendar:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// class owner or admin; sends the error response and returns null otherwise
+async function ownedClassOr404(req, res) {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400).json({ message: "Invalid class id" });
+    return null;
+  }
+  const cls = await Class.findById(id).select("teacher").lean();
+  if (!cls) {
+    res.status(404).json({ message: "Class not found" });
+    return null;
+  }
+  if (String(cls.teacher) !== String(req.user.id) && req.user.role !== "admin") {
+    res.status(403).json({ message: "Forbidden" });
+    return null;
+  }
+  return cls;
+}
+
+/**
+ * GET /api/classes/:id/level-curve
+ * Effective level curve (class override, else school, else default) with
+ * the XP needed for the first levels — owner or admin only
+ */
+router.get("/:id/level-curve", authMiddleware, async (req, res) => {
+  try {
+    const cls = await ownedClassOr404(req, res);
+    if (!cls) return;
+
+    const curve = await getLevelCurveForClass(cls._id);
+    const source = !curve._id ? "default" : curve.classId ? "class" : "school";
+    const preview = [];
+    for (let level = 1; level <= 20 && Number.isFinite(thresholdFor(curve, level)); level++) {
+      preview.push({ level, xp: thresholdFor(curve, level) });
+    }
+
+    return res.json({ classId: cls._id, source, curve, preview });
+  } catch (err) {
+    console.error("Error in GET /classes/:id/level-curve:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * PUT /api/classes/:id/level-curve
+ * Class override — owner or admin only; students are re-levelled
+ * Request body: { type, xpPerLevel? | baseXP?, factor? | thresholds?, maxLevel?, titles? }
+ */
+router.put("/:id/level-curve", authMiddleware, async (req, res) => {
+  try {
+    const cls = await ownedClassOr404(req, res);
+    if (!cls) return;
+
+    const { error, fields } = parseLevelCurve(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const curve = await saveLevelCurve(cls._id, fields, req.user.id);
+
+    const releveled = await recomputeLevels(cls._id);
+    return res.json({ ...curve, releveled });
+  } catch (err) {
+    console.error("Error in PUT /classes/:id/level-curve:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/classes/:id/level-curve
+ * Drop the override; the class follows the school curve again
+ */
+router.delete("/:id/level-curve", authMiddleware, async (req, res) => {
+  try {
+    const cls = await ownedClassOr404(req, res);
+    if (!cls) return;
+
+    await LevelCurve.deleteOne({ classId: cls._id });
+    const releveled = await recomputeLevels(cls._id);
+    return res.json({ message: "Class level curve removed", releveled });
+  } catch (err) {
+    console.error("Error in DELETE /classes/:id/level-curve:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * GET /api/classes/:id/groups
+ * Student subgroups of the class (used to assign quests) — owner or admin only
+ */
+router.get("/:id/groups", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid class id" });
+
+    const cls = await Class.findById(id).select("teacher").lean();
+    if (!cls) return res.status(404).json({ message: "Class not found" });
+
+    if (String(cls.teacher) !== String(req.user.id) && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const students = await Student.find({ classId: cls._id, "groups.0": { $exists: true } })
+      .select("name groups")
+      .sort({ name: 1 })
+      .lean();
+
+    const groups = new Map();
+    for (const s of students) {
+      for (const g of s.groups) {
+        if (!groups.has(g)) groups.set(g, []);
+        groups.get(g).push({ _id: s._id, name: s.name });
+      }
+    }
+
+    return res.json(
+      [...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, members]) => ({ name, members }))
+    );
+  } catch (err) {
+    console.error("Error in GET /classes/:id/groups:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * PUT /api/classes/:id/groups/:name
+ * Set the members of a subgroup — owner or admin only
+ * Request body: { studentIds } (full list; empty removes the group)
+ */
+router.put("/:id/groups/:name", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid class id" });
+
+    const [name] = normalizeGroups([req.params.name]);
+    if (!name) return res.status(400).json({ message: "Invalid group name" });
+
+    const { studentIds } = req.body;
+    if (!Array.isArray(studentIds) || studentIds.some((s) => !isValidObjectId(s))) {
+      return res.status(400).json({ message: "studentIds must be an array of student ids" });
+    }
+
+    const cls = await Class.findById(id).select("teacher").lean();
+    if (!cls) return res.status(404).json({ message: "Class not found" });
+
+    if (String(cls.teacher) !== String(req.user.id) && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const ids = [...new Set(studentIds.map(String))];
+    const count = await Student.countDocuments({ _id: { $in: ids }, classId: cls._id });
+    if (count !== ids.length) {
+      return res.status(400).json({ message: "All students must belong to this class" });
+    }
+
+    await Student.updateMany(
+      { classId: cls._id, _id: { $nin: ids }, groups: name },
+      { $pull: { groups: name } }
+    );
+    await Student.updateMany({ _id: { $in: ids } }, { $addToSet: { groups: name } });
+
+    return res.json({ name, members: ids.length });
+  } catch (err) {
+    console.error("Error in PUT /classes/:id/groups/:name:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
 /**
  * DELETE /api/classes/:id
  * Delete — owner or admin only
@@ -4,11 +4,41 @@ const router = express.Router();
 const mongoose = require("mongoose");
 const Quest = require("../models/Quest");
 const Class = require("../models/Class");
+const Questline = require("../models/Questline");
+const QuestSeries = require("../models/QuestSeries");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { dueOnWorkingDay } = require("../utils/calendar");
+const { parseRubric } = require("../utils/rubric");
+const { parsePrerequisites, createsCycle } = require("../utils/questUnlock");
+const { statusForDates } = require("../utils/questScheduler");
+const { parseRecurrence, generateOccurrences } = require("../utils/questSeries");
+const { parseTeamQuest } = require("../utils/teamQuest");
+const { parseAssignment } = require("../utils/questAssignment");
+const {
+  submitQuest,
+  getQuestSubmissions,
+  reviewSubmission,
+  downloadSubmissionFile,
+} = require("../controllers/submissionController");
+
+// questline must belong to the quest's class; null removes it
+async function checkQuestline(questlineId, classId) {
+  if (questlineId === null || questlineId === "") return { questline: null };
+  if (!mongoose.Types.ObjectId.isValid(questlineId)) return { error: "Invalid questline id" };
+  const line = await Questline.exists({ _id: questlineId, classId });
+  return line ? { questline: questlineId } : { error: "Questline not found in this class" };
+}
 
 /* ======================================================
    CREATE QUEST
    POST /api/quests
+   - recurrence: { frequency: "daily"|"weekly", interval?, weekdays?,
+     until? | count?, skipNonWorkingDays? } creates a series instead;
+     startDate/endDate then describe the first occurrence
+   - teamQuest: { completion: "all-members"|"shared-target", target?,
+     xpMode?: "split"|"duplicate" } makes it a team quest
+   - assignedTo: { students?: [studentId], groups?: [name] } limits the
+     quest to those students / groups; omitted = the whole class
 ====================================================== */
 router.post("/", authMiddleware, async (req, res) => {
   try {
@@ -25,6 +55,14 @@ router.post("/", authMiddleware, async (req, res) => {
       startDate,
       endDate,
       status,
+      adjustForCalendar,
+      rubric,
+      prerequisites,
+      questline,
+      questlineOrder,
+      recurrence,
+      teamQuest,
+      assignedTo,
     } = req.body;
 
     if (
@@ -54,6 +92,73 @@ router.post("/", authMiddleware, async (req, res) => {
       return res.status(400).json({ message: "rewardXP must be a valid number" });
     }
 
+    const parsedRubric = rubric === undefined ? { rubric: null } : parseRubric(rubric);
+    if (parsedRubric.error) {
+      return res.status(400).json({ message: parsedRubric.error });
+    }
+
+    const parsedPrereqs =
+      prerequisites === undefined
+        ? { prerequisites: { quests: [] } }
+        : await parsePrerequisites(prerequisites, { classId: cls._id });
+    if (parsedPrereqs.error) {
+      return res.status(400).json({ message: parsedPrereqs.error });
+    }
+
+    const line = questline === undefined ? { questline: null } : await checkQuestline(questline, cls._id);
+    if (line.error) {
+      return res.status(400).json({ message: line.error });
+    }
+
+    const parsedTeam = teamQuest === undefined ? { teamQuest: null } : parseTeamQuest(teamQuest);
+    if (parsedTeam.error) {
+      return res.status(400).json({ message: parsedTeam.error });
+    }
+
+    const parsedAssignment =
+      assignedTo === undefined ? { assignedTo: { students: [], groups: [] } } : await parseAssignment(assignedTo, cls._id);
+    if (parsedAssignment.error) {
+      return res.status(400).json({ message: parsedAssignment.error });
+    }
+
+    if (recurrence !== undefined && recurrence !== null) {
+      const start = new Date(startDate);
+      const durationMinutes = Math.round((new Date(endDate) - start) / 60000);
+      if (Number.isNaN(durationMinutes) || durationMinutes < 1) {
+        return res.status(400).json({ message: "endDate must be after startDate" });
+      }
+      if (parsedPrereqs.prerequisites.quests.length || line.questline || parsedTeam.teamQuest) {
+        return res.status(400).json({
+          message: "Recurring quests cannot have quest prerequisites, a questline or team settings",
+        });
+      }
+
+      const parsedRule = parseRecurrence(recurrence, start);
+      if (parsedRule.error) {
+        return res.status(400).json({ message: parsedRule.error });
+      }
+
+      const series = await QuestSeries.create({
+        title: title.trim(),
+        description: description.trim(),
+        classId: cls._id,
+        difficulty,
+        rewardXP: xp,
+        rubric: parsedRubric.rubric,
+        startDate: start,
+        durationMinutes,
+        recurrence: parsedRule.recurrence,
+        assignedTo: parsedAssignment.assignedTo,
+        createdBy: req.user.id,
+      });
+      await generateOccurrences(series.toObject());
+
+      const quests = await Quest.find({ series: series._id }).sort({ startDate: 1 });
+      return res.status(201).json({ series: await QuestSeries.findById(series._id), quests });
+    }
+
+    const dueDate = await dueOnWorkingDay(cls._id, endDate, adjustForCalendar);
+
     const quest = await Quest.create({
       title: title.trim(),
       description: description.trim(),
@@ -61,8 +166,15 @@ router.post("/", authMiddleware, async (req, res) => {
       difficulty,
       rewardXP: xp,
       startDate: new Date(startDate),
-      endDate: new Date(endDate),
-      status: status || "Active",
+      endDate: dueDate,
+      // future quests stay hidden until the scheduler opens them
+      status: status || statusForDates(startDate, dueDate),
+      rubric: parsedRubric.rubric,
+      teamQuest: parsedTeam.teamQuest,
+      assignedTo: parsedAssignment.assignedTo,
+      prerequisites: parsedPrereqs.prerequisites,
+      questline: line.questline,
+      questlineOrder: Number(questlineOrder) || 0,
       createdBy: req.user.id, // keep track of creator
     });
 
@@ -173,6 +285,74 @@ router.put("/:id", authMiddleware, async (req, res) => {
       }
     });
 
+    // already reviewed work keeps the score it was given
+    if (req.body.rubric !== undefined) {
+      const parsed = parseRubric(req.body.rubric);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      quest.rubric = parsed.rubric;
+    }
+
+    if (req.body.teamQuest !== undefined) {
+      const parsed = parseTeamQuest(req.body.teamQuest);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      quest.teamQuest = parsed.teamQuest;
+    }
+
+    if (req.body.assignedTo !== undefined) {
+      const parsed = await parseAssignment(req.body.assignedTo, quest.classId);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      quest.assignedTo = parsed.assignedTo;
+    }
+
+    if (req.body.questline !== undefined) {
+      const line = await checkQuestline(req.body.questline, quest.classId);
+      if (line.error) {
+        return res.status(400).json({ message: line.error });
+      }
+      quest.questline = line.questline;
+    }
+    if (req.body.questlineOrder !== undefined) {
+      quest.questlineOrder = Number(req.body.questlineOrder) || 0;
+    }
+
+    // checked with the quest's new place in its line, which also counts
+    const placement = { questline: quest.questline, questlineOrder: quest.questlineOrder };
+    if (req.body.prerequisites !== undefined) {
+      const parsed = await parsePrerequisites(req.body.prerequisites, {
+        classId: quest.classId,
+        questId: quest._id,
+        placement,
+      });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      quest.prerequisites = parsed.prerequisites;
+    } else if (
+      (quest.isModified("questline") || quest.isModified("questlineOrder")) &&
+      (await createsCycle(quest.classId, { [quest._id]: placement }))
+    ) {
+      return res.status(400).json({ message: "This place in the questline would create a prerequisite cycle" });
+    }
+
+    if (req.body.endDate !== undefined) {
+      quest.endDate = await dueOnWorkingDay(quest.classId, req.body.endDate, req.body.adjustForCalendar);
+    }
+
+    // moved dates put the quest back on the scheduler's track
+    if (quest.isModified("startDate") || quest.isModified("endDate")) {
+      if (req.body.status === undefined) quest.status = statusForDates(quest.startDate, quest.endDate);
+      if (quest.isModified("endDate")) quest.reminderSentAt = undefined;
+    }
+
+    // editing one occurrence detaches it from later series edits
+    if (quest.series && quest.isModified()) quest.seriesException = true;
+
     await quest.save();
     res.json(quest);
   } catch (err) {
@@ -184,6 +364,8 @@ router.put("/:id", authMiddleware, async (req, res) => {
 /* ======================================================
    DELETE QUEST
    DELETE /api/quests/:id
+   Deleting an occurrence of a series cancels just that occurrence;
+   the quest is dropped from other quests' prerequisites
 ====================================================== */
 router.delete("/:id", authMiddleware, async (req, res) => {
   try {
@@ -202,43 +384,34 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       return res.status(403).json({ message: "Forbidden" });
     }
 
+    if (quest.series && quest.occurrenceDate) {
+      await QuestSeries.updateOne(
+        { _id: quest.series },
+        { $addToSet: { skippedDates: quest.occurrenceDate } }
+      );
+    }
+
     await quest.deleteOne();
+    await Quest.updateMany(
+      { "prerequisites.quests": quest._id },
+      { $pull: { "prerequisites.quests": quest._id } }
+    );
     res.json({ message: "Quest deleted successfully" });
   } catch (err) {
     console.error("Delete quest error:", err);
     res.status(500).json({ message: "Failed to delete quest", error: err.message });
   }
 });
-/* ======================================================*/
-router.post("/tasks/:questId/complete", authMiddleware, async (req, res) => {
-  if (req.user.role !== "student") {
-    return res.status(403).json({ message: "Forbidden" });
-  }
-
-  const student = await Student.findOne({ user: req.user.id });
-  const quest = await Quest.findById(req.params.questId);
-
-  if (!student || !quest) {
-    return res.status(404).json({ message: "Not found" });
-  }
-
-  // add XP
-  student.xp += quest.rewardXP;
-
-  // OPTIONAL: track completed quests
-  student.completedQuests = student.completedQuests || [];
-  if (!student.completedQuests.includes(quest._id)) {
-    student.completedQuests.push(quest._id);
-  }
-
-  await student.save();
-
-  res.json({
-    message: "Quest completed",
-    gainedXP: quest.rewardXP,
-    totalXP: student.xp
-  });
-});
-
+/* ======================================================
+   SUBMISSIONS
+   POST /api/quests/tasks/:questId/complete   (student, legacy path)
+   GET  /api/quests/:id/submissions           (review queue)
+   POST /api/quests/:id/submissions/:submissionId/review
+   GET  /api/quests/:id/submissions/:submissionId/files/:fileId
+====================================================== */
+router.post("/tasks/:questId/complete", authMiddleware, submitQuest);
+router.get("/:id/submissions", authMiddleware, getQuestSubmissions);
+router.post("/:id/submissions/:submissionId/review", authMiddleware, reviewSubmission);
+router.get("/:id/submissions/:submissionId/files/:fileId", authMiddleware, downloadSubmissionFile);
 
 module.exports = router;
@@ -0,0 +1,246 @@
+// routes/questSeriesRoutes.js
+// Recurring quests as a whole. Single occurrences are ordinary quests and
+// are edited or deleted through /api/quests/:id.
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Quest = require("../models/Quest");
+const QuestSeries = require("../models/QuestSeries");
+const Student = require("../models/Student");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { parseRubric } = require("../utils/rubric");
+const { parseAssignment } = require("../utils/questAssignment");
+const {
+  parseRecurrence,
+  generateOccurrences,
+  untouchedFutureOccurrences,
+} = require("../utils/questSeries");
+
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+/* ======================================================
+   HELPERS
+====================================================== */
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+const requireStaff = (req, res, next) => {
+  if (!["teacher", "admin"].includes(req.user.role)) {
+    return res.status(403).json({ message: "Only teachers or admins can manage recurring quests" });
+  }
+  next();
+};
+
+// series the user may manage (creator teacher or admin)
+async function loadSeries(id, user) {
+  if (!isValidId(id)) {
+    const e = new Error("Invalid series id");
+    e.status = 400;
+    throw e;
+  }
+  const series = await QuestSeries.findById(id);
+  if (!series) {
+    const e = new Error("Series not found");
+    e.status = 404;
+    throw e;
+  }
+  if (user.role === "teacher" && String(series.createdBy) !== String(user.id)) {
+    const e = new Error("Forbidden");
+    e.status = 403;
+    throw e;
+  }
+  return series;
+}
+
+// occurrences with how many students completed each one
+async function occurrencesOf(seriesId) {
+  const quests = await Quest.find({ series: seriesId })
+    .select("title startDate endDate status occurrenceDate seriesException rewardXP")
+    .sort({ startDate: 1 })
+    .lean();
+
+  const counts = await Student.aggregate([
+    { $match: { "completedQuests.series": seriesId } },
+    { $unwind: "$completedQuests" },
+    { $match: { "completedQuests.series": seriesId } },
+    { $group: { _id: "$completedQuests.quest", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+
+  return quests.map((q) => ({ ...q, completedCount: countById.get(String(q._id)) || 0 }));
+}
+
+router.use(authMiddleware, requireStaff);
+
+/* ======================================================
+   LIST SERIES
+   GET /api/quest-series?classId=&status=
+   Series are created with POST /api/quests and a recurrence
+====================================================== */
+router.get("/", async (req, res) => {
+  try {
+    const { classId, status } = req.query;
+    const query = req.user.role === "admin" ? {} : { createdBy: req.user.id };
+
+    if (classId) {
+      if (!isValidId(classId)) {
+        return res.status(400).json({ message: "Invalid classId" });
+      }
+      query.classId = classId;
+    }
+    if (status) {
+      if (!["active", "ended", "cancelled"].includes(status)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+      query.status = status;
+    }
+
+    const list = await QuestSeries.find(query)
+      .populate("classId", "name grade")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(list);
+  } catch (err) {
+    console.error("Fetch quest series error:", err);
+    res.status(500).json({ message: "Failed to fetch series", error: err.message });
+  }
+});
+
+/* ======================================================
+   READ SINGLE SERIES (with its occurrences)
+   GET /api/quest-series/:id
+====================================================== */
+router.get("/:id", async (req, res) => {
+  try {
+    const series = await loadSeries(req.params.id, req.user);
+    res.json({ ...series.toObject(), occurrences: await occurrencesOf(series._id) });
+  } catch (err) {
+    console.error("Fetch quest series error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to fetch series" });
+  }
+});
+
+/* ======================================================
+   UPDATE WHOLE SERIES
+   PUT /api/quest-series/:id
+   body: { title?, description?, difficulty?, rewardXP?, rubric?,
+           assignedTo?, startDate?, durationMinutes?, recurrence? }
+   Changes reach future occurrences nobody has submitted to and that were
+   not edited on their own. A new schedule replaces those occurrences.
+====================================================== */
+router.put("/:id", async (req, res) => {
+  try {
+    const series = await loadSeries(req.params.id, req.user);
+    if (series.status === "cancelled") {
+      return res.status(400).json({ message: "Series is cancelled" });
+    }
+
+    const { title, description, difficulty, rewardXP, rubric, assignedTo, startDate, durationMinutes, recurrence } =
+      req.body;
+    const fields = {};
+
+    for (const [key, value] of [["title", title], ["description", description]]) {
+      if (value === undefined) continue;
+      if (typeof value !== "string" || !value.trim()) {
+        return res.status(400).json({ message: `${key} cannot be empty` });
+      }
+      fields[key] = value.trim();
+    }
+    if (difficulty !== undefined) {
+      if (!DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({ message: `difficulty must be one of ${DIFFICULTIES.join(", ")}` });
+      }
+      fields.difficulty = difficulty;
+    }
+    if (rewardXP !== undefined) {
+      const xp = Number(rewardXP);
+      if (Number.isNaN(xp) || xp < 0) {
+        return res.status(400).json({ message: "rewardXP must be a valid number" });
+      }
+      fields.rewardXP = xp;
+    }
+    if (rubric !== undefined) {
+      const parsed = parseRubric(rubric);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      fields.rubric = parsed.rubric;
+    }
+    if (assignedTo !== undefined) {
+      const parsed = await parseAssignment(assignedTo, series.classId);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      fields.assignedTo = parsed.assignedTo;
+    }
+
+    const schedule = {};
+    if (startDate !== undefined) {
+      const start = new Date(startDate);
+      if (Number.isNaN(start.getTime())) {
+        return res.status(400).json({ message: "Invalid startDate" });
+      }
+      schedule.startDate = start;
+    }
+    if (durationMinutes !== undefined) {
+      const minutes = Number(durationMinutes);
+      if (!Number.isInteger(minutes) || minutes < 1) {
+        return res.status(400).json({ message: "durationMinutes must be a whole number >= 1" });
+      }
+      schedule.durationMinutes = minutes;
+    }
+    if (recurrence !== undefined) {
+      const parsed = parseRecurrence(recurrence, schedule.startDate || series.startDate);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      schedule.recurrence = parsed.recurrence;
+    }
+
+    const now = new Date();
+    const untouched = await untouchedFutureOccurrences(series._id, now);
+    const rescheduled = Object.keys(schedule).length > 0;
+
+    series.set({ ...fields, ...schedule });
+    if (rescheduled) {
+      series.generatedUntil = null;
+      series.status = "active";
+    }
+    await series.save();
+
+    if (rescheduled) {
+      await Quest.deleteMany({ _id: { $in: untouched.map((q) => q._id) } });
+      await generateOccurrences(series.toObject(), now);
+    } else if (Object.keys(fields).length && untouched.length) {
+      await Quest.updateMany({ _id: { $in: untouched.map((q) => q._id) } }, { $set: fields });
+    }
+
+    res.json({
+      ...(await QuestSeries.findById(series._id).lean()),
+      occurrences: await occurrencesOf(series._id),
+    });
+  } catch (err) {
+    console.error("Update quest series error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to update series" });
+  }
+});
+
+/* ======================================================
+   CANCEL WHOLE SERIES
+   DELETE /api/quest-series/:id
+   Stops new occurrences and removes future ones nobody has submitted
+   to; past and in-progress occurrences are kept
+====================================================== */
+router.delete("/:id", async (req, res) => {
+  try {
+    const series = await loadSeries(req.params.id, req.user);
+
+    // stop the generator first so it cannot re-create what is removed below
+    series.status = "cancelled";
+    await series.save();
+
+    const untouched = await untouchedFutureOccurrences(series._id, new Date(), { includeExceptions: true });
+    await Quest.deleteMany({ _id: { $in: untouched.map((q) => q._id) } });
+
+    res.json({ message: "Series cancelled", removedOccurrences: untouched.length });
+  } catch (err) {
+    console.error("Cancel quest series error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to cancel series" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,365 @@
+// routes/questTemplateRoutes.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Quest = require("../models/Quest");
+const QuestTemplate = require("../models/QuestTemplate");
+const Class = require("../models/Class");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { dueOnWorkingDay, DAY_MS } = require("../utils/calendar");
+const { parseRubric } = require("../utils/rubric");
+const { statusForDates } = require("../utils/questScheduler");
+
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+const MAX_TAGS = 10;
+const MAX_TARGETS = 50;
+
+/* ======================================================
+   HELPERS
+====================================================== */
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const requireStaff = (req, res, next) => {
+  if (!["teacher", "admin"].includes(req.user.role)) {
+    return res.status(403).json({ message: "Only teachers or admins can use quest templates" });
+  }
+  next();
+};
+
+const isOwnerOrAdmin = (template, user) =>
+  user.role === "admin" || String(template.createdBy) === String(user.id);
+
+const canView = (template, user) =>
+  template.visibility === "school" || isOwnerOrAdmin(template, user);
+
+const normalizeTags = (tags) =>
+  [...new Set((Array.isArray(tags) ? tags : String(tags || "").split(","))
+    .map((t) => String(t).trim().toLowerCase().slice(0, 30))
+    .filter(Boolean))].slice(0, MAX_TAGS);
+
+// validates create/update bodies; returns { error } or { fields }
+function parseTemplateBody(body, { partial } = {}) {
+  const fields = {};
+
+  for (const key of ["title", "description"]) {
+    if (body[key] === undefined && partial) continue;
+    if (typeof body[key] !== "string" || !body[key].trim()) {
+      return { error: `${key} is required` };
+    }
+    fields[key] = body[key].trim();
+  }
+
+  if (body.difficulty !== undefined || !partial) {
+    if (!DIFFICULTIES.includes(body.difficulty)) {
+      return { error: `difficulty must be one of ${DIFFICULTIES.join(", ")}` };
+    }
+    fields.difficulty = body.difficulty;
+  }
+
+  if (body.rewardXP !== undefined || !partial) {
+    const xp = Number(body.rewardXP);
+    if (Number.isNaN(xp) || xp < 0) return { error: "rewardXP must be a valid number" };
+    fields.rewardXP = xp;
+  }
+
+  if (body.durationDays !== undefined) {
+    const days = Number(body.durationDays);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return { error: "durationDays must be a whole number between 0 and 365" };
+    }
+    fields.durationDays = days;
+  }
+
+  if (body.rubric !== undefined) {
+    const { rubric, error } = parseRubric(body.rubric);
+    if (error) return { error };
+    fields.rubric = rubric;
+  }
+
+  if (body.tags !== undefined) fields.tags = normalizeTags(body.tags);
+
+  if (body.visibility !== undefined) {
+    if (!["private", "school"].includes(body.visibility)) {
+      return { error: "visibility must be private or school" };
+    }
+    fields.visibility = body.visibility;
+  }
+
+  return { fields };
+}
+
+async function loadTemplate(id, user) {
+  if (!isValidId(id)) {
+    const e = new Error("Invalid template id");
+    e.status = 400;
+    throw e;
+  }
+  const template = await QuestTemplate.findById(id);
+  if (!template || !canView(template, user)) {
+    const e = new Error("Template not found");
+    e.status = 404;
+    throw e;
+  }
+  return template;
+}
+
+router.use(authMiddleware, requireStaff);
+
+/* ======================================================
+   CREATE TEMPLATE
+   POST /api/quest-templates
+====================================================== */
+router.post("/", async (req, res) => {
+  try {
+    const { error, fields } = parseTemplateBody(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const template = await QuestTemplate.create({ ...fields, createdBy: req.user.id });
+    res.status(201).json(template);
+  } catch (err) {
+    console.error("Create quest template error:", err);
+    res.status(500).json({ message: "Failed to create template", error: err.message });
+  }
+});
+
+/* ======================================================
+   SAVE AN EXISTING QUEST AS A TEMPLATE
+   POST /api/quest-templates/from-quest/:questId
+   body: { tags?, visibility?, title? ... } overrides the quest's fields
+====================================================== */
+router.post("/from-quest/:questId", async (req, res) => {
+  try {
+    const { questId } = req.params;
+    if (!isValidId(questId)) {
+      return res.status(400).json({ message: "Invalid quest id" });
+    }
+
+    const quest = await Quest.findById(questId).lean();
+    if (!quest) return res.status(404).json({ message: "Quest not found" });
+
+    if (req.user.role === "teacher" && String(quest.createdBy) !== String(req.user.id)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const durationDays = Math.max(
+      0,
+      Math.round((new Date(quest.endDate) - new Date(quest.startDate)) / DAY_MS)
+    );
+
+    const { error, fields } = parseTemplateBody({
+      title: quest.title,
+      description: quest.description,
+      difficulty: quest.difficulty,
+      rewardXP: quest.rewardXP,
+      durationDays: Math.min(durationDays, 365),
+      ...(quest.rubric ? { rubric: quest.rubric } : {}),
+      ...req.body,
+    });
+    if (error) return res.status(400).json({ message: error });
+
+    const template = await QuestTemplate.create({
+      ...fields,
+      sourceQuest: quest._id,
+      createdBy: req.user.id,
+    });
+    res.status(201).json(template);
+  } catch (err) {
+    console.error("Save quest as template error:", err);
+    res.status(500).json({ message: "Failed to save template", error: err.message });
+  }
+});
+
+/* ======================================================
+   LIST / SEARCH TEMPLATES
+   GET /api/quest-templates?scope=all|mine|library&q=&difficulty=&tag=
+   - all (default): own templates plus the school library
+   - tag may be repeated or comma separated; all tags must match
+====================================================== */
+router.get("/", async (req, res) => {
+  try {
+    const { scope = "all", q, difficulty } = req.query;
+
+    const scopes = {
+      all: { $or: [{ createdBy: req.user.id }, { visibility: "school" }] },
+      mine: { createdBy: req.user.id },
+      library: { visibility: "school" },
+    };
+    if (!scopes[scope]) {
+      return res.status(400).json({ message: "scope must be all, mine or library" });
+    }
+    const query = { ...scopes[scope] };
+
+    if (difficulty) {
+      if (!DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({ message: "Invalid difficulty" });
+      }
+      query.difficulty = difficulty;
+    }
+
+    const tags = normalizeTags(req.query.tag);
+    if (tags.length) query.tags = { $all: tags };
+
+    if (q && String(q).trim()) {
+      const re = new RegExp(escapeRegex(String(q).trim().slice(0, 100)), "i");
+      query.$and = [{ $or: [{ title: re }, { description: re }, { tags: re }] }];
+    }
+
+    const templates = await QuestTemplate.find(query)
+      .populate("createdBy", "name")
+      .sort({ usageCount: -1, createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json(templates);
+  } catch (err) {
+    console.error("Fetch quest templates error:", err);
+    res.status(500).json({ message: "Failed to fetch templates", error: err.message });
+  }
+});
+
+/* ======================================================
+   READ SINGLE TEMPLATE
+   GET /api/quest-templates/:id
+====================================================== */
+router.get("/:id", async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.id, req.user);
+    await template.populate("createdBy", "name");
+    res.json(template);
+  } catch (err) {
+    console.error("Fetch quest template error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to fetch template" });
+  }
+});
+
+/* ======================================================
+   UPDATE / SHARE TEMPLATE
+   PUT /api/quest-templates/:id
+   - visibility: "school" shares it to the library, "private" withdraws it
+====================================================== */
+router.put("/:id", async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.id, req.user);
+    if (!isOwnerOrAdmin(template, req.user)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const { error, fields } = parseTemplateBody(req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+
+    template.set(fields);
+    await template.save();
+    res.json(template);
+  } catch (err) {
+    console.error("Update quest template error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to update template" });
+  }
+});
+
+/* ======================================================
+   DELETE TEMPLATE
+   DELETE /api/quest-templates/:id
+   Quests already created from it are kept
+====================================================== */
+router.delete("/:id", async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.id, req.user);
+    if (!isOwnerOrAdmin(template, req.user)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    await template.deleteOne();
+    res.json({ message: "Template deleted successfully" });
+  } catch (err) {
+    console.error("Delete quest template error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to delete template" });
+  }
+});
+
+/* ======================================================
+   INSTANTIATE TEMPLATE INTO CLASSES
+   POST /api/quest-templates/:id/instantiate
+   body: {
+     classIds?: [id], startDate?,         // same dates for every class
+     targets?: [{ classId, startDate }],  // or per-class start dates
+     durationDays?, status?, adjustForCalendar?
+   }
+   endDate = startDate + durationDays, moved to a working day per class
+====================================================== */
+router.post("/:id/instantiate", async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.id, req.user);
+    const { classIds, startDate, targets, status, adjustForCalendar } = req.body;
+
+    const list = Array.isArray(targets)
+      ? targets.map((t) => ({ classId: t?.classId, startDate: t?.startDate || startDate }))
+      : (Array.isArray(classIds) ? classIds : []).map((classId) => ({ classId, startDate }));
+
+    if (!list.length) {
+      return res.status(400).json({ message: "classIds or targets is required" });
+    }
+    if (list.length > MAX_TARGETS) {
+      return res.status(400).json({ message: `At most ${MAX_TARGETS} classes per call` });
+    }
+
+    const durationDays =
+      req.body.durationDays === undefined ? template.durationDays : Number(req.body.durationDays);
+    if (!Number.isInteger(durationDays) || durationDays < 0 || durationDays > 365) {
+      return res.status(400).json({ message: "durationDays must be a whole number between 0 and 365" });
+    }
+    if (status !== undefined && !["Scheduled", "Active", "Completed"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+
+    for (const t of list) {
+      if (!isValidId(t.classId)) {
+        return res.status(400).json({ message: `Invalid classId: ${t.classId}` });
+      }
+      const start = new Date(t.startDate);
+      if (!t.startDate || Number.isNaN(start.getTime())) {
+        return res.status(400).json({ message: `A valid startDate is required for class ${t.classId}` });
+      }
+      t.start = start;
+    }
+
+    const classes = await Class.find({ _id: { $in: list.map((t) => t.classId) } }).select("_id").lean();
+    const found = new Set(classes.map((c) => String(c._id)));
+    const missing = list.find((t) => !found.has(String(t.classId)));
+    if (missing) {
+      return res.status(404).json({ message: `Class not found: ${missing.classId}` });
+    }
+
+    const docs = [];
+    for (const t of list) {
+      const end = await dueOnWorkingDay(
+        t.classId,
+        new Date(t.start.getTime() + durationDays * DAY_MS),
+        adjustForCalendar
+      );
+      docs.push({
+        title: template.title,
+        description: template.description,
+        classId: t.classId,
+        difficulty: template.difficulty,
+        rewardXP: template.rewardXP,
+        rubric: template.rubric,
+        startDate: t.start,
+        endDate: end,
+        status: status || statusForDates(t.start, end),
+        createdBy: req.user.id,
+      });
+    }
+
+    const quests = await Quest.insertMany(docs);
+    await QuestTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: quests.length } });
+
+    res.status(201).json({ message: `Created ${quests.length} quest(s)`, quests });
+  } catch (err) {
+    console.error("Instantiate quest template error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to create quests" });
+  }
+});
+
+module.exports = router;
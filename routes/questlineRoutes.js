@@ -0,0 +1,243 @@
+// routes/questlineRoutes.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Quest = require("../models/Quest");
+const Questline = require("../models/Questline");
+const Class = require("../models/Class");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { createsCycle } = require("../utils/questUnlock");
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+/* ======================================================
+   HELPERS
+====================================================== */
+const requireStaff = (req, res, next) => {
+  if (!["teacher", "admin"].includes(req.user.role)) {
+    return res.status(403).json({ message: "Only teachers or admins can manage questlines" });
+  }
+  next();
+};
+
+// questline the user may manage (creator teacher or admin)
+async function loadQuestline(id, user) {
+  if (!isValidId(id)) {
+    const e = new Error("Invalid questline id");
+    e.status = 400;
+    throw e;
+  }
+  const line = await Questline.findById(id);
+  if (!line) {
+    const e = new Error("Questline not found");
+    e.status = 404;
+    throw e;
+  }
+  if (user.role === "teacher" && String(line.createdBy) !== String(user.id)) {
+    const e = new Error("Forbidden");
+    e.status = 403;
+    throw e;
+  }
+  return line;
+}
+
+/**
+ * questIds: the full ordered list for the line. Quests listed get the
+ * line and their position; quests no longer listed leave it. An order
+ * that would loop with the quests' prerequisites is refused.
+ */
+async function setQuestOrder(line, questIds) {
+  const ids = [...new Set(questIds.map(String))];
+  if (ids.some((id) => !isValidId(id))) {
+    const e = new Error("questIds contains an invalid id");
+    e.status = 400;
+    throw e;
+  }
+
+  const count = await Quest.countDocuments({ _id: { $in: ids }, classId: line.classId });
+  if (count !== ids.length) {
+    const e = new Error("All quests must exist in the questline's class");
+    e.status = 400;
+    throw e;
+  }
+
+  const changes = Object.fromEntries(
+    ids.map((id, i) => [id, { questline: line._id, questlineOrder: i + 1 }])
+  );
+  if (await createsCycle(line.classId, changes, { [line._id]: { sequential: line.sequential } })) {
+    const e = new Error("This order would create a prerequisite cycle");
+    e.status = 400;
+    throw e;
+  }
+
+  await Quest.updateMany(
+    { questline: line._id, _id: { $nin: ids } },
+    { $set: { questline: null, questlineOrder: 0 } }
+  );
+  await Quest.bulkWrite(
+    ids.map((id, i) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { questline: line._id, questlineOrder: i + 1 } },
+      },
+    }))
+  );
+}
+
+const questsOf = (lineId) =>
+  Quest.find({ questline: lineId })
+    .select("title difficulty rewardXP status questlineOrder prerequisites startDate endDate")
+    .sort({ questlineOrder: 1 })
+    .lean();
+
+router.use(authMiddleware, requireStaff);
+
+/* ======================================================
+   CREATE QUESTLINE
+   POST /api/questlines
+   body: { title, description?, classId, sequential?, questIds? }
+====================================================== */
+router.post("/", async (req, res) => {
+  try {
+    const { title, description, classId, sequential, questIds } = req.body;
+
+    if (!title || !String(title).trim() || !classId) {
+      return res.status(400).json({ message: "title and classId are required" });
+    }
+    if (!isValidId(classId)) {
+      return res.status(400).json({ message: "Invalid classId" });
+    }
+
+    const cls = await Class.findById(classId).select("_id").lean();
+    if (!cls) return res.status(404).json({ message: "Class not found" });
+
+    const line = await Questline.create({
+      title: String(title).trim(),
+      description: String(description || "").trim(),
+      classId: cls._id,
+      sequential: sequential === undefined ? true : Boolean(sequential),
+      createdBy: req.user.id,
+    });
+
+    if (Array.isArray(questIds) && questIds.length) {
+      try {
+        await setQuestOrder(line, questIds);
+      } catch (err) {
+        await line.deleteOne();
+        throw err;
+      }
+    }
+
+    res.status(201).json({ ...line.toObject(), quests: await questsOf(line._id) });
+  } catch (err) {
+    console.error("Create questline error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to create questline" });
+  }
+});
+
+/* ======================================================
+   LIST QUESTLINES
+   GET /api/questlines?classId=
+====================================================== */
+router.get("/", async (req, res) => {
+  try {
+    const { classId } = req.query;
+    const query = req.user.role === "admin" ? {} : { createdBy: req.user.id };
+
+    if (classId) {
+      if (!isValidId(classId)) {
+        return res.status(400).json({ message: "Invalid classId" });
+      }
+      query.classId = classId;
+    }
+
+    const lines = await Questline.find(query)
+      .populate("classId", "name grade")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const counts = await Quest.aggregate([
+      { $match: { questline: { $in: lines.map((l) => l._id) } } },
+      { $group: { _id: "$questline", count: { $sum: 1 } } },
+    ]);
+    const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    res.json(lines.map((l) => ({ ...l, questCount: countById.get(String(l._id)) || 0 })));
+  } catch (err) {
+    console.error("Fetch questlines error:", err);
+    res.status(500).json({ message: "Failed to fetch questlines", error: err.message });
+  }
+});
+
+/* ======================================================
+   READ SINGLE QUESTLINE (with its quests in order)
+   GET /api/questlines/:id
+====================================================== */
+router.get("/:id", async (req, res) => {
+  try {
+    const line = await loadQuestline(req.params.id, req.user);
+    res.json({ ...line.toObject(), quests: await questsOf(line._id) });
+  } catch (err) {
+    console.error("Fetch questline error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to fetch questline" });
+  }
+});
+
+/* ======================================================
+   UPDATE QUESTLINE
+   PUT /api/questlines/:id
+   body: { title?, description?, sequential?, questIds? (full order) }
+====================================================== */
+router.put("/:id", async (req, res) => {
+  try {
+    const line = await loadQuestline(req.params.id, req.user);
+    const { title, description, sequential, questIds } = req.body;
+
+    if (title !== undefined) {
+      if (!String(title).trim()) return res.status(400).json({ message: "title cannot be empty" });
+      line.title = String(title).trim();
+    }
+    if (description !== undefined) line.description = String(description || "").trim();
+    if (sequential !== undefined) line.sequential = Boolean(sequential);
+
+    if (questIds !== undefined) {
+      if (!Array.isArray(questIds)) {
+        return res.status(400).json({ message: "questIds must be an array" });
+      }
+      await setQuestOrder(line, questIds);
+    } else if (line.isModified("sequential") && line.sequential) {
+      // the existing order now counts as prerequisites too
+      const changes = Object.fromEntries((await questsOf(line._id)).map((q) => [q._id, {}]));
+      if (await createsCycle(line.classId, changes, { [line._id]: { sequential: true } })) {
+        return res.status(400).json({ message: "Making this line sequential would create a prerequisite cycle" });
+      }
+    }
+
+    await line.save();
+    res.json({ ...line.toObject(), quests: await questsOf(line._id) });
+  } catch (err) {
+    console.error("Update questline error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to update questline" });
+  }
+});
+
+/* ======================================================
+   DELETE QUESTLINE
+   DELETE /api/questlines/:id
+   The quests stay; they just leave the line
+====================================================== */
+router.delete("/:id", async (req, res) => {
+  try {
+    const line = await loadQuestline(req.params.id, req.user);
+
+    await Quest.updateMany({ questline: line._id }, { $set: { questline: null, questlineOrder: 0 } });
+    await line.deleteOne();
+
+    res.json({ message: "Questline deleted successfully" });
+  } catch (err) {
+    console.error("Delete questline error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to delete questline" });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,11 @@ const mongoose = require("mongoose");
 const Reward = require("../models/Reward");
 const Student = require("../models/Student");
 const Class = require("../models/Class");
+const Badge = require("../models/Badge");
+const StudentBadge = require("../models/StudentBadge");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { awardXp, reverseXp, runInTransaction } = require("../utils/xpService");
+const { grantBadge, queueAchievementCheck } = require("../utils/achievements");
 /* ====================================================== */
 console.log("Reward is:", Reward);
 console.log("Reward.create:", typeof Reward.create);
@@ -16,9 +20,10 @@ router.post("/", authMiddleware, async (req, res) => {
       return res.status(403).json({ message: "Forbidden" });
     }
 
-    const { studentId, classId, xp, badge, reason, date } = req.body;
+    const { studentId, classId, xp, badgeId, reason, date } = req.body;
+    let { badge } = req.body;
 
-    if (!studentId || !classId || xp === undefined || !badge || !date) {
+    if (!studentId || !classId || xp === undefined || (!badge && !badgeId) || !date) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
@@ -43,29 +48,63 @@ router.post("/", authMiddleware, async (req, res) => {
       });
     }
 
-    // ✅ create reward
-    const reward = await Reward.create({
-      student: studentId,
-      classId,
-      xp: Number(xp),
-      badge,
-      reason,
-      date: new Date(date),
-      createdBy: req.user.id,
+    // ✅ link a catalog badge: by badgeId, or a free-text name matching one
+    // (the class's badge wins over a school-wide one of the same name)
+    let catalogBadge = null;
+    if (badgeId) {
+      if (!mongoose.Types.ObjectId.isValid(badgeId)) {
+        return res.status(400).json({ message: "Invalid badge ID" });
+      }
+      catalogBadge = await Badge.findOne({ _id: badgeId, active: true, classId: { $in: [null, classId] } }).lean();
+      if (!catalogBadge) {
+        return res.status(404).json({ message: "Badge not found for this class" });
+      }
+    } else {
+      const matches = await Badge.find({
+        key: String(badge).trim().toLowerCase(),
+        active: true,
+        classId: { $in: [null, classId] },
+      }).lean();
+      catalogBadge = matches.find((b) => b.classId) || matches[0] || null;
+    }
+    if (catalogBadge) badge = catalogBadge.name;
+
+    // ✅ create reward + grant its XP and badge (one transaction)
+    const reward = await runInTransaction(async (session) => {
+      const [created] = await Reward.create(
+        [
+          {
+            student: studentId,
+            classId,
+            xp: Number(xp),
+            badge,
+            badgeRef: catalogBadge?._id,
+            reason,
+            date: new Date(date),
+            createdBy: req.user.id,
+          },
+        ],
+        { session }
+      );
+
+      await awardXp(
+        studentId,
+        { xp: created.xp, source: "reward", reason: reason || badge, ref: `reward:${created._id}` },
+        { session, createdBy: req.user.id }
+      );
+      if (catalogBadge) {
+        await grantBadge(studentId, catalogBadge._id, {
+          awardedBy: req.user.id,
+          reward: created._id,
+          reason: reason || badge,
+          session,
+        });
+      }
+      return created;
     });
 
-    // ✅ increment XP + history (atomic)
-    await Student.findByIdAndUpdate(studentId, {
-      $inc: { xp: Number(xp) },
-      $push: {
-        xpHistory: {
-          xp: Number(xp),
-          source: "reward",
-          reason,
-          date: new Date(),
-        },
-      },
-    });
+    // the reward's XP may unlock level or XP badges
+    queueAchievementCheck([studentId]);
 
     res.status(201).json(reward);
   } catch (err) {
@@ -106,19 +145,37 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       return res.status(403).json({ message: "Forbidden" });
     }
 
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid reward ID" });
+    }
+
     const reward = await Reward.findById(req.params.id);
     if (!reward) return res.status(404).json({ message: "Reward not found" });
 
-    // rollback XP
-    const student = await Student.findById(reward.student);
-    if (student) {
-      student.xp = Math.max(0, student.xp - reward.xp);
-      await student.save();
+    if (req.user.role === "teacher" && String(reward.createdBy) !== String(req.user.id)) {
+      return res.status(403).json({ message: "Forbidden" });
     }
 
-    await reward.deleteOne();
+    // take the XP back with a reversal entry (rewards from before the
+    // ledger are deducted by their amount)
+    await runInTransaction(async (session) => {
+      const student = await Student.exists({ _id: reward.student }).session(session);
+      if (student) {
+        await reverseXp(reward.student, `reward:${reward._id}`, {
+          reason: `reward "${reward.badge}" removed`,
+          fallback: { xp: reward.xp, source: "reward", reason: reward.reason || reward.badge },
+          createdBy: req.user.id,
+          session,
+        });
+      }
+      // a badge granted by this reward goes with it
+      await StudentBadge.deleteOne({ reward: reward._id }, { session });
+      await reward.deleteOne({ session });
+    });
+
     res.json({ message: "Reward deleted" });
   } catch (err) {
+    console.error("Delete reward error:", err);
     res.status(500).json({ message: "Failed to delete reward" });
   }
 });
@@ -8,6 +8,16 @@ const Quest = require("../models/Quest"); // ✅ REQUIRED
 const Class = require("../models/Class");
 const { authMiddleware } = require("../middleware/authMiddleware");
 const Reward = require("../models/Reward"); // ADD THIS
+const Submission = require("../models/Submission");
+const { recordCheckIn } = require("../utils/checkIn");
+const { evaluateQuestAccess } = require("../utils/questUnlock");
+const { buildStudentSchedule } = require("../utils/questScheduler");
+const { findStudentTeam, teamSummary, teamQuestProgress } = require("../utils/teamQuest");
+const { assignedToFilter, normalizeGroups } = require("../utils/questAssignment");
+const { getLevelCurveForClass, levelInfo } = require("../utils/leveling");
+const { awardXp } = require("../utils/xpService");
+const { studentBadges, queueAchievementCheck } = require("../utils/achievements");
+const { submitQuest, getMySubmissions } = require("../controllers/submissionController");
 
 /* =======================
    HELPERS
@@ -48,6 +58,28 @@ async function ensureClassOwnershipOrAdmin(classId, user) {
   return cls;
 }
 
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// "" / null clears the guardian email; returns { email } or { error }
+function parseGuardianEmail(value) {
+  const email = String(value ?? "").trim().toLowerCase();
+  if (!email) return { email: null };
+  if (email.length > 254 || !EMAIL_RE.test(email)) return { error: "guardianEmail is not a valid email address" };
+  return { email };
+}
+
+// what PUT /:id may change; XP, level and history only move through
+// utils/xpService.js (see xpAdjustment)
+const PROFILE_FIELDS = ["name", "contact", "enrollNo", "bio", "guardianName"];
+
+// task status shown to students for their latest submission
+const TASK_STATUS_BY_SUBMISSION = {
+  pending: "submitted",
+  approved: "completed",
+  rejected: "rejected",
+  resubmit: "resubmit",
+};
+
 /* =======================
    ROUTES
 ======================= */
@@ -75,11 +107,23 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
 }
 
 
-    // fetch quests assigned to student's class
-    const quests = await Quest.find({
+    // fetch quests assigned to the student (whole class, them or their groups)
+    const classQuests = await Quest.find({
       classId: student.classId,
       status: "Active",
-    }).sort({ startDate: 1 });
+      ...assignedToFilter(student),
+    })
+      .sort({ startDate: 1 })
+      .lean();
+
+    // locked quests stay hidden until their prerequisites are met
+    const { access, questlines } = await evaluateQuestAccess(student, classQuests);
+    const quests = classQuests.filter((q) => access.get(String(q._id)).unlocked);
+
+    // the class may have been deleted: no team then, and the school curve
+    const classId = student.classId?._id || null;
+    const team = classId ? await findStudentTeam(student._id, classId) : null;
+    const levelProgress = levelInfo(await getLevelCurveForClass(classId), student.xp);
 
     // derived values (safe defaults)
    const completedTasks = student.completedQuests?.length || 0;
@@ -89,9 +133,13 @@ const totalTasks = quests.length;
       student: {
         _id: student._id,
         name: student.name,
-        level: student.level,
+        level: levelProgress.level,
+        levelTitle: levelProgress.title,
+        levelIcon: levelProgress.icon,
         xp: student.xp,
-        nextLevelXp: (student.level + 1) * 100,
+        currentLevelXp: levelProgress.currentLevelXp,
+        nextLevelXp: levelProgress.nextLevelXp,
+        levelProgressPercent: levelProgress.progressPercent,
         completedTasks,
     totalTasks,
     xpHistory: student.xpHistory || [],
@@ -101,6 +149,10 @@ const totalTasks = quests.length;
         bio: student.bio || "",
       },
       quests, // 👈 optional (for tasks page later)
+      lockedQuests: classQuests.length - quests.length,
+      questlines,
+      team: team ? await teamSummary(team, quests) : null,
+      badges: await studentBadges(student._id),
     });
   } catch (err) {
     console.error("Student dashboard error:", err);
@@ -121,25 +173,59 @@ router.get("/tasks", authMiddleware, async (req, res) => {
       return res.status(404).json({ message: "Student profile not found" });
     }
 
-    const quests = await Quest.find({
+    const classQuests = await Quest.find({
       classId: student.classId,
       status: "Active",
+      ...assignedToFilter(student),
     }).lean();
 
+    const { access } = await evaluateQuestAccess(student, classQuests);
+    const quests = classQuests.filter((q) => access.get(String(q._id)).unlocked);
+
     const completedSet = new Set(
   (student.completedQuests || []).map((c) => String(c.quest))
 );
 
-    const tasks = quests.map((q) => ({
-      _id: q._id,
-      title: q.title,
-      description: q.description,
-      xp: q.rewardXP,
-      dueDate: q.endDate,
-      status: completedSet.has(String(q._id))
-        ? "completed"
-        : "pending",
-    }));
+    // latest attempt per quest decides the task status
+    const submissions = await Submission.find({
+      student: student._id,
+      quest: { $in: quests.map((q) => q._id) },
+    })
+      .sort({ attempt: 1 })
+      .select("quest status feedback xpAwarded rubricScore")
+      .lean();
+    const latest = new Map(submissions.map((s) => [String(s.quest), s]));
+
+    const team = quests.some((q) => q.teamQuest)
+      ? await findStudentTeam(student._id, student.classId)
+      : null;
+    const teamProgress = new Map();
+    for (const q of quests.filter((q) => q.teamQuest && team)) {
+      teamProgress.set(String(q._id), await teamQuestProgress(q, team));
+    }
+
+    const tasks = quests.map((q) => {
+      const sub = latest.get(String(q._id));
+      return {
+        _id: q._id,
+        title: q.title,
+        description: q.description,
+        xp: q.rewardXP,
+        dueDate: q.endDate,
+        // approved work on a team quest waits for the rest of the team
+        status: completedSet.has(String(q._id))
+          ? "completed"
+          : q.teamQuest && sub?.status === "approved"
+            ? "contributed"
+            : TASK_STATUS_BY_SUBMISSION[sub?.status] || "pending",
+        feedback: sub?.feedback || null,
+        rubric: q.rubric || null,
+        awardedXP: sub?.status === "approved" ? sub.xpAwarded : null,
+        rubricScore: sub?.status === "approved" ? sub.rubricScore || null : null,
+        teamQuest: q.teamQuest || null,
+        teamProgress: teamProgress.get(String(q._id)) || null,
+      };
+    });
 
     res.json(tasks);
   } catch (err) {
@@ -147,65 +233,110 @@ router.get("/tasks", authMiddleware, async (req, res) => {
     res.status(500).json({ message: "Failed to load student tasks" });
   }
 });
-router.post("/tasks/:id/complete", authMiddleware, async (req, res) => {
+// completing a task now means submitting it for teacher review
+router.post("/tasks/:id/complete", authMiddleware, submitQuest);
+router.post("/tasks/:id/submit", authMiddleware, submitQuest);
+router.get("/tasks/:id/submissions", authMiddleware, getMySubmissions);
+
+
+/**
+ * GET /schedule?days=7
+ * Student's upcoming, overdue and soon-to-open quests
+ */
+router.get("/schedule", authMiddleware, async (req, res) => {
   try {
     if (req.user.role !== "student") {
       return res.status(403).json({ message: "Forbidden" });
     }
 
-    const questId = req.params.id;
-    if (!isValidId(questId)) {
-      return res.status(400).json({ message: "Invalid task id" });
+    const student = await Student.findOne({ user: req.user.id })
+      .select("_id classId groups xp level completedQuests")
+      .lean();
+    if (!student) {
+      return res.status(404).json({ message: "Student profile not found" });
+    }
+
+    const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 60);
+    res.json(await buildStudentSchedule(student, { days }));
+  } catch (err) {
+    console.error("Student schedule error:", err);
+    res.status(500).json({ message: "Failed to load schedule" });
+  }
+});
+
+/**
+ * GET /:id/schedule?days=7
+ * Same view for one student — class owner or admin
+ */
+router.get("/:id/schedule", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) {
+      return res.status(400).json({ message: "Invalid student id" });
+    }
+    if (!["teacher", "admin"].includes(req.user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
     }
 
-    const student = await Student.findOne({ user: req.user.id });
+    const student = await Student.findById(id)
+      .select("_id classId groups xp level completedQuests")
+      .lean();
     if (!student) {
       return res.status(404).json({ message: "Student not found" });
     }
 
-    const completedQuests = student.completedQuests || [];
+    await ensureClassOwnershipOrAdmin(student.classId, req.user);
 
-    const alreadyCompleted = completedQuests.some(
-      (c) => String(c.quest) === questId
-    );
-    if (alreadyCompleted) {
-      return res.status(400).json({ message: "Task already completed" });
+    const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 60);
+    res.json(await buildStudentSchedule(student, { days }));
+  } catch (err) {
+    if (err.code === 403 || err.code === 404) {
+      return res.status(err.code).json({ message: err.message });
     }
+    console.error("Student schedule error:", err);
+    res.status(500).json({ message: "Failed to load schedule" });
+  }
+});
 
-    const quest = await Quest.findById(questId);
-    if (!quest) {
-      return res.status(404).json({ message: "Task not found" });
+/**
+ * POST /check-in
+ * Student submits the code shown by the teacher; marks them Present
+ * in today's session for the open check-in window
+ */
+router.post("/check-in", authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== "student") {
+      return res.status(403).json({ message: "Forbidden" });
     }
 
-    if (String(quest.classId) !== String(student.classId)) {
-      return res.status(403).json({ message: "Quest not assigned to your class" });
+    if (!req.body.code) {
+      return res.status(400).json({ message: "code is required" });
     }
 
-    // award XP
-    student.xp += quest.rewardXP;
-    student.level = Math.floor(student.xp / 100) + 1;
+    const student = await Student.findOne({ user: req.user.id })
+      .select("_id user name enrollNo classId")
+      .lean();
+    if (!student) {
+      return res.status(404).json({ message: "Student profile not found" });
+    }
 
-    student.completedQuests.push({
-      quest: quest._id,
-    });
+    const { window, alreadyCheckedIn } = await recordCheckIn(student, req.body.code);
 
-    student.xpHistory.push({
-      xp: quest.rewardXP,
-      source: "quest",
-      reason: quest.title,
-      date: new Date(),
+    res.json({
+      message: alreadyCheckedIn ? "You are already checked in" : "Checked in ✅",
+      sessionName: window.sessionName,
+      date: window.dateOnlyUTC,
+      alreadyCheckedIn,
     });
-
-    await student.save();
-
-    res.json({ message: "Task completed successfully" });
   } catch (err) {
-    console.error("Complete task error:", err);
-    res.status(500).json({ message: "Failed to complete task" });
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Student check-in error:", err);
+    res.status(500).json({ message: "Failed to check in" });
   }
 });
 
-
 /**
  * GET /count-by-teacher
  */
@@ -373,7 +504,7 @@ router.post("/", authMiddleware, async (req, res) => {
       return res.status(403).json({ message: "Forbidden" });
     }
 
-    const { name, contact, classId, enrollNo, userId } = req.body;
+    const { name, contact, classId, enrollNo, userId, guardianName, guardianEmail } = req.body;
 
     // ✅ Required fields
     if (!name || !contact || !classId) {
@@ -382,6 +513,9 @@ router.post("/", authMiddleware, async (req, res) => {
       });
     }
 
+    const guardian = parseGuardianEmail(guardianEmail);
+    if (guardian.error) return res.status(400).json({ message: guardian.error });
+
     // ✅ classId must always be valid
     if (!isValidId(classId)) {
       return res.status(400).json({ message: "Invalid class id" });
@@ -436,6 +570,8 @@ router.post("/", authMiddleware, async (req, res) => {
       contact,
       enrollNo: finalEnroll,
       classId,
+      ...(guardianName ? { guardianName } : {}),
+      ...(guardian.email ? { guardianEmail: guardian.email } : {}),
       ...(userId ? { user: userId } : {}),
     });
 
@@ -448,6 +584,8 @@ router.post("/", authMiddleware, async (req, res) => {
 
 /**
  * PUT /:id
+ * body: profile fields, groups, and optionally
+ *   xpAdjustment: { xp, reason } (booked as an "admin" ledger entry)
  */
 router.put("/:id", authMiddleware, async (req, res) => {
   try {
@@ -468,11 +606,47 @@ router.put("/:id", authMiddleware, async (req, res) => {
       return res.status(403).json({ message: "Forbidden" });
     }
 
-    const updated = await Student.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    ).populate("classId", "name grade");
+    const $set = {};
+    const $unset = {};
+    for (const key of PROFILE_FIELDS) {
+      if (req.body[key] !== undefined) $set[key] = req.body[key];
+    }
+    if (req.body.groups !== undefined) $set.groups = normalizeGroups(req.body.groups);
+    if (req.body.guardianEmail !== undefined) {
+      const { email, error } = parseGuardianEmail(req.body.guardianEmail);
+      if (error) return res.status(400).json({ message: error });
+      if (email) $set.guardianEmail = email;
+      else $unset.guardianEmail = "";
+    }
+
+    const { xpAdjustment } = req.body;
+    if (xpAdjustment !== undefined) {
+      const xp = Number(xpAdjustment?.xp);
+      if (!Number.isInteger(xp) || xp === 0) {
+        return res.status(400).json({ message: "xpAdjustment.xp must be a non-zero whole number" });
+      }
+      if (!xpAdjustment.reason || !String(xpAdjustment.reason).trim()) {
+        return res.status(400).json({ message: "xpAdjustment.reason is required" });
+      }
+    }
+
+    if (Object.keys($set).length || Object.keys($unset).length) {
+      await Student.updateOne(
+        { _id: existing._id },
+        { $set, ...(Object.keys($unset).length ? { $unset } : {}) },
+        { runValidators: true }
+      );
+    }
+    if (xpAdjustment !== undefined) {
+      await awardXp(
+        existing._id,
+        { xp: Number(xpAdjustment.xp), source: "admin", reason: String(xpAdjustment.reason).trim().slice(0, 200) },
+        { createdBy: req.user.id }
+      );
+      queueAchievementCheck([existing._id]);
+    }
+
+    const updated = await Student.findById(existing._id).populate("classId", "name grade");
 
     res.json(updated);
   } catch (err) {
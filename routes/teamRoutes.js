@@ -0,0 +1,234 @@
+// routes/teamRoutes.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Team = require("../models/Team");
+const Class = require("../models/Class");
+const Quest = require("../models/Quest");
+const Student = require("../models/Student");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { teamSummary, completeTeamQuestIfDone } = require("../utils/teamQuest");
+
+const MAX_MEMBERS = 50;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+/* ======================================================
+   HELPERS
+====================================================== */
+const requireStaff = (req, res, next) => {
+  if (!["teacher", "admin"].includes(req.user.role)) {
+    return res.status(403).json({ message: "Only teachers or admins can manage teams" });
+  }
+  next();
+};
+
+// teams are managed by the class teacher (or an admin)
+async function loadOwnedClass(classId, user) {
+  if (!isValidId(classId)) {
+    const e = new Error("Invalid classId");
+    e.status = 400;
+    throw e;
+  }
+  const cls = await Class.findById(classId).select("teacher name").lean();
+  if (!cls) {
+    const e = new Error("Class not found");
+    e.status = 404;
+    throw e;
+  }
+  if (user.role !== "admin" && String(cls.teacher) !== String(user.id)) {
+    const e = new Error("Forbidden");
+    e.status = 403;
+    throw e;
+  }
+  return cls;
+}
+
+async function loadTeam(id, user) {
+  if (!isValidId(id)) {
+    const e = new Error("Invalid team id");
+    e.status = 400;
+    throw e;
+  }
+  const team = await Team.findById(id);
+  if (!team) {
+    const e = new Error("Team not found");
+    e.status = 404;
+    throw e;
+  }
+  await loadOwnedClass(team.classId, user);
+  return team;
+}
+
+/**
+ * memberIds: the full member list. Members must be students of the class
+ * and not already in another team of the class.
+ */
+async function checkMembers(memberIds, classId, teamId) {
+  if (!Array.isArray(memberIds)) {
+    const e = new Error("memberIds must be an array");
+    e.status = 400;
+    throw e;
+  }
+  const ids = [...new Set(memberIds.map(String))];
+  if (ids.some((id) => !isValidId(id))) {
+    const e = new Error("memberIds contains an invalid id");
+    e.status = 400;
+    throw e;
+  }
+  if (ids.length > MAX_MEMBERS) {
+    const e = new Error(`A team can have at most ${MAX_MEMBERS} members`);
+    e.status = 400;
+    throw e;
+  }
+
+  const count = await Student.countDocuments({ _id: { $in: ids }, classId });
+  if (count !== ids.length) {
+    const e = new Error("All members must be students of the team's class");
+    e.status = 400;
+    throw e;
+  }
+
+  const taken = await Team.findOne({ classId, _id: { $ne: teamId }, members: { $in: ids } })
+    .select("name")
+    .lean();
+  if (taken) {
+    const e = new Error(`Some students are already in team "${taken.name}"`);
+    e.status = 409;
+    throw e;
+  }
+  return ids;
+}
+
+const activeTeamQuests = (classId) =>
+  Quest.find({ classId, status: "Active", teamQuest: { $ne: null } })
+    .select("title rewardXP classId teamQuest")
+    .lean();
+
+router.use(authMiddleware, requireStaff);
+
+/* ======================================================
+   CREATE TEAM
+   POST /api/teams
+   body: { name, classId, memberIds? }
+====================================================== */
+router.post("/", async (req, res) => {
+  try {
+    const { name, classId, memberIds = [] } = req.body;
+    if (!name || !String(name).trim() || !classId) {
+      return res.status(400).json({ message: "name and classId are required" });
+    }
+
+    const cls = await loadOwnedClass(classId, req.user);
+    const members = await checkMembers(memberIds, cls._id, null);
+
+    const team = await Team.create({
+      name: String(name).trim().slice(0, 60),
+      classId: cls._id,
+      members,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json(team);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A team with this name already exists in the class" });
+    }
+    console.error("Create team error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to create team" });
+  }
+});
+
+/* ======================================================
+   LIST TEAMS OF A CLASS (with totals)
+   GET /api/teams?classId=
+====================================================== */
+router.get("/", async (req, res) => {
+  try {
+    const cls = await loadOwnedClass(req.query.classId, req.user);
+
+    const teams = await Team.find({ classId: cls._id }).sort({ name: 1 }).lean();
+    const quests = await activeTeamQuests(cls._id);
+
+    const summaries = [];
+    for (const team of teams) summaries.push(await teamSummary(team, quests));
+
+    res.json(summaries.sort((a, b) => b.totalXP - a.totalXP));
+  } catch (err) {
+    console.error("Fetch teams error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to fetch teams" });
+  }
+});
+
+/* ======================================================
+   READ SINGLE TEAM
+   GET /api/teams/:id
+====================================================== */
+router.get("/:id", async (req, res) => {
+  try {
+    const team = await loadTeam(req.params.id, req.user);
+    const quests = await activeTeamQuests(team.classId);
+    res.json({ ...(await teamSummary(team.toObject(), quests)), completedQuests: team.completedQuests });
+  } catch (err) {
+    console.error("Fetch team error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to fetch team" });
+  }
+});
+
+/* ======================================================
+   UPDATE TEAM
+   PUT /api/teams/:id
+   body: { name?, memberIds? (full list) }
+   Past team completions and the XP they gave are kept; removing a member
+   can complete an all-members quest for the rest of the team
+====================================================== */
+router.put("/:id", async (req, res) => {
+  try {
+    const team = await loadTeam(req.params.id, req.user);
+    const { name, memberIds } = req.body;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: "name cannot be empty" });
+      team.name = String(name).trim().slice(0, 60);
+    }
+    if (memberIds !== undefined) {
+      team.members = await checkMembers(memberIds, team.classId, team._id);
+    }
+
+    await team.save();
+
+    if (memberIds !== undefined) {
+      // the roster is saved; the scheduler retries a failed completion
+      for (const quest of await activeTeamQuests(team.classId)) {
+        await completeTeamQuestIfDone(quest, team._id, { createdBy: req.user.id }).catch((err) =>
+          console.error("Team quest completion failed:", err)
+        );
+      }
+    }
+
+    res.json(team);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A team with this name already exists in the class" });
+    }
+    console.error("Update team error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to update team" });
+  }
+});
+
+/* ======================================================
+   DELETE TEAM
+   DELETE /api/teams/:id
+====================================================== */
+router.delete("/:id", async (req, res) => {
+  try {
+    const team = await loadTeam(req.params.id, req.user);
+    await team.deleteOne();
+    res.json({ message: "Team deleted successfully" });
+  } catch (err) {
+    console.error("Delete team error:", err);
+    res.status(err.status || 500).json({ message: err.message || "Failed to delete team" });
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,20 @@ const router = express.Router();
 const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
+const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs"); // use bcryptjs for wide compatibility; swap to bcrypt if needed
 const User = require("../models/User");
+const Session = require("../models/Session");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { revokeSession, revokeAllSessions } = require("../utils/authTokens");
+const { generateSecret, buildOtpauthUrl } = require("../utils/totp");
+const {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  remainingRecoveryCodes,
+  verifyUserCode,
+  isTwoFactorRequired,
+} = require("../utils/twoFactor");
 
 // Ensure uploads folder exists
 const uploadDir = path.join(__dirname, "..", "uploads", "avatars");
@@ -173,6 +184,9 @@ router.put("/change-password", authMiddleware, async (req, res) => {
     user.password = hash;
     await user.save();
 
+    // keep the current device signed in, drop the rest
+    await revokeAllSessions(userId, "password_changed", req.user.sessionId);
+
     res.json({ message: "Password changed" });
   } catch (err) {
     console.error("PUT /users/change-password error:", err);
@@ -180,6 +194,191 @@ router.put("/change-password", authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/users/me/sessions
+router.get("/me/sessions", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json(
+      sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.user.sessionId),
+      }))
+    );
+  } catch (err) {
+    console.error("GET /users/me/sessions error:", err);
+    res.status(500).json({ message: "Error loading sessions", error: err.message });
+  }
+});
+
+// DELETE /api/users/me/sessions/:id
+router.delete("/me/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid session id" });
+    }
+
+    const revoked = await revokeSession(userId, req.params.id, "revoked_by_user");
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+
+    res.json({ message: "Session revoked", id: revoked._id });
+  } catch (err) {
+    console.error("DELETE /users/me/sessions/:id error:", err);
+    res.status(500).json({ message: "Error revoking session", error: err.message });
+  }
+});
+
+// GET /api/users/me/2fa
+router.get("/me/2fa", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+
+    const user = await User.findById(userId).select("role twoFactor +twoFactor.recoveryCodes");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: await isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: remainingRecoveryCodes(user),
+    });
+  } catch (err) {
+    console.error("GET /users/me/2fa error:", err);
+    res.status(500).json({ message: "Error loading 2FA status", error: err.message });
+  }
+});
+
+// POST /api/users/me/2fa/setup — returns a new secret + otpauth URI (not active yet)
+router.post("/me/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: "2FA is already enabled" });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ secret, otpauthUrl: buildOtpauthUrl({ secret, account: user.email }) });
+  } catch (err) {
+    console.error("POST /users/me/2fa/setup error:", err);
+    res.status(500).json({ message: "Error starting 2FA setup", error: err.message });
+  }
+});
+
+// POST /api/users/me/2fa/enable — confirm setup with a code, returns recovery codes once
+router.post("/me/2fa/enable", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+    if (!req.body.code) return res.status(400).json({ message: "code is required" });
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: "2FA is already enabled" });
+    if (!user.twoFactor?.pendingSecret) return res.status(400).json({ message: "Start 2FA setup first" });
+
+    if (!verifyUserCode(user, req.body.code, { useSecret: "pendingSecret" })) {
+      return res.status(400).json({ message: "Invalid two-factor code", code: "INVALID_2FA_CODE" });
+    }
+
+    const { codes, entries } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.recoveryCodes = entries;
+    await user.save({ validateBeforeSave: false });
+
+    // other devices signed in with the password only
+    await revokeAllSessions(userId, "2fa_enabled", req.user.sessionId);
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes: codes });
+  } catch (err) {
+    console.error("POST /users/me/2fa/enable error:", err);
+    res.status(500).json({ message: "Error enabling 2FA", error: err.message });
+  }
+});
+
+// POST /api/users/me/2fa/recovery-codes — replace all recovery codes
+router.post("/me/2fa/recovery-codes", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: "2FA is not enabled" });
+
+    if (!verifyUserCode(user, req.body.code)) {
+      return res.status(400).json({ message: "Invalid two-factor code", code: "INVALID_2FA_CODE" });
+    }
+
+    const { codes, entries } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = entries;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error("POST /users/me/2fa/recovery-codes error:", err);
+    res.status(500).json({ message: "Error regenerating recovery codes", error: err.message });
+  }
+});
+
+// POST /api/users/me/2fa/disable — needs password and a current code
+router.post("/me/2fa/disable", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const { password, code } = req.body;
+    if (!userId) return res.status(401).json({ message: "Unauthorized" });
+    if (!password || !code) return res.status(400).json({ message: "password and code are required" });
+
+    const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: "2FA is not enabled" });
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: "2FA is required for your role and cannot be disabled" });
+    }
+
+    const ok = await bcrypt.compare(password, user.password);
+    if (!ok) return res.status(403).json({ message: "Current password incorrect" });
+
+    if (!verifyUserCode(user, code)) {
+      return res.status(400).json({ message: "Invalid two-factor code", code: "INVALID_2FA_CODE" });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("POST /users/me/2fa/disable error:", err);
+    res.status(500).json({ message: "Error disabling 2FA", error: err.message });
+  }
+});
+
 // DELETE /api/users/me
 router.delete("/me", authMiddleware, async (req, res) => {
   try {
@@ -187,6 +386,7 @@ router.delete("/me", authMiddleware, async (req, res) => {
     if (!userId) return res.status(401).json({ message: "Unauthorized" });
 
     await User.findByIdAndDelete(userId);
+    await revokeAllSessions(userId, "account_deleted");
     res.json({ message: "Account deleted" });
   } catch (err) {
     console.error("DELETE /users/me error:", err);
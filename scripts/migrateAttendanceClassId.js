@@ -0,0 +1,97 @@
+// scripts/migrateAttendanceClassId.js
+// One-off: link legacy Attendance documents (keyed by className) to classId.
+//
+//   node scripts/migrateAttendanceClassId.js            # apply
+//   node scripts/migrateAttendanceClassId.js --dry-run  # report only
+//
+// A name that matches exactly one class is linked directly. When several
+// classes share the name, each document is matched through the classId of
+// the students in its records. Anything still ambiguous is reported and
+// left untouched.
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../database/db");
+const Attendance = require("../models/Attendance");
+const Class = require("../models/Class");
+const Student = require("../models/Student");
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function classIdFromRecords(doc, candidateIds) {
+  const studentIds = (doc.records || []).map((r) => r.studentId);
+  const students = await Student.find({ _id: { $in: studentIds } }).select("classId").lean();
+
+  const votes = new Map();
+  for (const s of students) {
+    const id = String(s.classId);
+    if (candidateIds.has(id)) votes.set(id, (votes.get(id) || 0) + 1);
+  }
+
+  const ranked = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+  if (!ranked.length || (ranked[1] && ranked[1][1] === ranked[0][1])) return null;
+  return ranked[0][0];
+}
+
+async function run() {
+  await connectDB();
+
+  const legacy = { classId: { $exists: false } };
+  const names = await Attendance.distinct("className", legacy);
+  const summary = { linked: 0, unresolved: [] };
+
+  for (const name of names) {
+    const classes = await Class.find({ name }).select("_id").lean();
+
+    if (classes.length === 1) {
+      const filter = { ...legacy, className: name };
+      const count = await Attendance.countDocuments(filter);
+      if (!dryRun) {
+        await Attendance.collection.updateMany(filter, { $set: { classId: classes[0]._id } });
+      }
+      summary.linked += count;
+      continue;
+    }
+
+    const candidateIds = new Set(classes.map((c) => String(c._id)));
+    const docs = await Attendance.find({ ...legacy, className: name }).select("_id records").lean();
+
+    for (const doc of docs) {
+      const classId = candidateIds.size ? await classIdFromRecords(doc, candidateIds) : null;
+      if (!classId) {
+        summary.unresolved.push({ attendanceId: String(doc._id), className: name });
+        continue;
+      }
+      if (!dryRun) {
+        await Attendance.collection.updateOne(
+          { _id: doc._id },
+          { $set: { classId: new mongoose.Types.ObjectId(classId) } }
+        );
+      }
+      summary.linked++;
+    }
+  }
+
+  // the old className index is superseded by { classId, dateOnlyUTC }
+  if (!dryRun) {
+    const indexes = await Attendance.collection.indexes();
+    if (indexes.some((i) => i.name === "className_1_dateOnlyUTC_-1")) {
+      await Attendance.collection.dropIndex("className_1_dateOnlyUTC_-1");
+    }
+    await Attendance.syncIndexes();
+  }
+
+  console.log(`${dryRun ? "[dry-run] " : ""}Linked ${summary.linked} attendance document(s)`);
+  if (summary.unresolved.length) {
+    console.warn(`⚠️ ${summary.unresolved.length} document(s) could not be matched to a class:`);
+    console.table(summary.unresolved);
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Attendance migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
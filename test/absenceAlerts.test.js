@@ -0,0 +1,125 @@
+// test/absenceAlerts.test.js
+// Absence rules with emails captured instead of sent.
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const sent = [];
+require.cache[require.resolve("../utils/sendEmail")] = {
+  exports: async (mail) => {
+    sent.push(mail);
+  },
+};
+
+const Attendance = require("../models/Attendance");
+const AttendanceAlert = require("../models/AttendanceAlert");
+const Calendar = require("../models/Calendar");
+const Class = require("../models/Class");
+const Student = require("../models/Student");
+const User = require("../models/User");
+const { evaluateAbsenceAlerts } = require("../utils/absenceAlerts");
+const { fakeModel } = require("./helpers/fakeModel");
+
+const NOW = new Date("2026-10-19T12:00:00Z"); // a Monday
+const day = (d) => new Date(`2026-10-${String(d).padStart(2, "0")}T00:00:00Z`);
+
+describe("absence alerts", () => {
+  let alerts;
+  let sessions;
+  let cls;
+  let student;
+
+  beforeEach(() => {
+    sent.length = 0;
+    alerts = fakeModel(AttendanceAlert);
+    sessions = fakeModel(Attendance);
+    fakeModel(Calendar).insert({ name: "School", classId: null, workingWeekdays: [1, 2, 3, 4, 5] });
+    const teacher = fakeModel(User).insert({ name: "T", email: "teacher@school.test", password: "x", role: "teacher" });
+    cls = fakeModel(Class).insert({
+      name: "7A",
+      teacher: teacher._id,
+      alertRules: { consecutiveAbsences: 3, minAttendancePct: 75, windowDays: 30, minDaysInWindow: 5 },
+    });
+    student = fakeModel(Student).insert({
+      name: "Ada",
+      enrollNo: "E1",
+      classId: cls._id,
+      guardianEmail: "guardian@home.test",
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  // statuses: { dayOfOctober: status }
+  const mark = (statuses) => {
+    for (const [d, status] of Object.entries(statuses)) {
+      sessions.insert({ classId: cls._id, dateOnlyUTC: day(d), records: [{ studentId: student._id, status }] });
+    }
+  };
+  const evaluate = () => evaluateAbsenceAlerts(cls._id, [student._id], { now: NOW });
+  const openTypes = () => alerts.docs.filter((a) => a.status === "open").map((a) => a.type);
+
+  it("raises a streak alert across a weekend and past excused days", async () => {
+    cls.alertRules.minDaysInWindow = 10; // too few days for the percentage rule
+    mark({ 12: "Present", 13: "Present", 14: "Absent", 15: "Excused", 16: "Absent", 18: "Present", 19: "Absent" });
+
+    const [alert] = await evaluate();
+    assert.equal(alert.type, "consecutive_absences");
+    assert.equal(alert.consecutiveAbsences, 3);
+    assert.deepEqual(alert.lastAbsentDate, day(19));
+    assert.deepEqual(sent.map((m) => m.to), ["teacher@school.test, guardian@home.test"]);
+  });
+
+  it("does not count a streak broken by a present day", async () => {
+    mark({ 14: "Absent", 15: "Absent", 16: "Present", 19: "Absent" });
+    await evaluate();
+    assert.deepEqual(openTypes(), []);
+  });
+
+  it("raises a low attendance alert below the threshold once enough days are marked", async () => {
+    mark({ 12: "Absent", 13: "Present", 14: "Absent" });
+    await evaluate();
+    assert.deepEqual(openTypes(), []); // 33% but only three days marked
+
+    mark({ 15: "Present", 16: "Present", 19: "Present" });
+    const [alert] = await evaluate();
+    assert.equal(alert.type, "low_attendance");
+    assert.equal(alert.attendancePct, 66.7);
+  });
+
+  it("keeps one open alert and resolves it when the rule no longer holds", async () => {
+    mark({ 14: "Absent", 15: "Absent", 16: "Absent" });
+    await evaluate();
+    mark({ 19: "Absent" });
+    await evaluate();
+    assert.equal(alerts.docs.length, 1);
+    assert.equal(alerts.docs[0].consecutiveAbsences, 4);
+    assert.equal(sent.length, 1);
+
+    sessions.docs.at(-1).records[0].status = "Present";
+    await evaluate();
+    assert.equal(alerts.docs[0].status, "resolved");
+  });
+
+  it("opens one alert and sends one email when evaluations overlap", async () => {
+    mark({ 14: "Absent", 15: "Absent", 16: "Absent" });
+
+    // both evaluations have looked for an open alert before either creates one
+    const create = AttendanceAlert.create;
+    let arrived = 0;
+    let release;
+    const bothArrived = new Promise((resolve) => (release = resolve));
+    mock.method(AttendanceAlert, "create", async (data) => {
+      if (++arrived === 2) release();
+      await bothArrived;
+      return create(data);
+    });
+
+    const results = await Promise.all([evaluate(), evaluate()]);
+    assert.equal(alerts.docs.length, 1);
+    assert.equal(sent.length, 1);
+    assert.deepEqual(
+      results.map(([alert]) => String(alert._id)),
+      [String(alerts.docs[0]._id), String(alerts.docs[0]._id)]
+    );
+  });
+});
@@ -0,0 +1,75 @@
+// test/attendanceExport.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+
+const {
+  attendanceToCsv,
+  renderAttendancePdf,
+  csvCell,
+  termSummary,
+} = require("../utils/attendanceExport");
+
+// a month's grid the way buildMonthlyMatrix returns it
+const month = (m, students) => ({
+  className: "7A",
+  year: 2026,
+  month: m,
+  days: students[0].daily.map((_, i) => i + 1),
+  workingDays: students[0].daily.length,
+  students,
+});
+const row = (studentId, name, daily) => ({ studentId, name, enrollNo: name.toUpperCase(), daily });
+
+describe("attendance export", () => {
+  it("defuses cells a spreadsheet would run as formulas", () => {
+    assert.equal(csvCell("=SUM(A1)"), "'=SUM(A1)");
+    assert.equal(csvCell("+1"), "'+1");
+    assert.equal(csvCell("@cmd"), "'@cmd");
+    assert.equal(csvCell("-2+3"), "'-2+3");
+    assert.equal(csvCell("\tx"), "'\tx");
+    assert.equal(csvCell("\r=1"), "\"'\r=1\"");
+    assert.equal(csvCell("-"), "-"); // the not-marked code stays readable
+    assert.equal(csvCell('a "b", c'), '"a ""b"", c"');
+    assert.equal(csvCell(null), "");
+  });
+
+  it("adds up each student over the term", () => {
+    const matrices = [
+      month(9, [row("s1", "Bo", ["Present", "Absent"]), row("s2", "Al", ["Late", "NA"])]),
+      month(10, [row("s1", "Bo", ["Present", "Excused"]), row("s3", "Cy", ["HalfDay", "Absent"])]),
+    ];
+
+    const summary = termSummary(matrices);
+    assert.deepEqual(
+      summary.map((s) => [s.name, s.present, s.absent, s.late, s.excused, s.halfDay, s.percentage]),
+      [
+        ["Al", 0, 0, 1, 0, 0, 100],
+        ["Bo", 2, 1, 0, 1, 0, 66.7],
+        ["Cy", 0, 1, 0, 0, 1, 25],
+      ]
+    );
+
+    const csv = attendanceToCsv(matrices);
+    assert.match(csv, /\r\nTerm summary,2026-09 to 2026-10\r\n/);
+    assert.match(csv, /\r\nBO,Bo,2,1,0,1,0,0,66.7%\r\n/);
+  });
+
+  it("renders a PDF register", async () => {
+    const out = new PassThrough();
+    const chunks = [];
+    out.on("data", (c) => chunks.push(c));
+    const done = new Promise((resolve) => out.on("end", resolve));
+
+    renderAttendancePdf(
+      [month(9, [row("s1", "Bo", ["Present", "Absent"])]), month(10, [row("s1", "Bo", ["Late", "NA"])])],
+      out
+    );
+    await done;
+
+    const pdf = Buffer.concat(chunks).toString("latin1");
+    assert.ok(pdf.startsWith("%PDF-"));
+    assert.equal((pdf.match(/\/Type \/Page\b/g) || []).length, 3); // two months and the summary
+    assert.match(pdf, /%%EOF\s*$/);
+  });
+});
@@ -0,0 +1,46 @@
+// test/attendanceImport.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCsv, validateImportRows } = require("../utils/attendanceImport");
+
+const students = new Map([
+  ["e1", { _id: "s1", enrollNo: "E1" }],
+  ["e2", { _id: "s2", enrollNo: "E2" }],
+]);
+const today = new Date("2026-10-19T12:00:00Z");
+
+describe("attendance CSV import", () => {
+  it("reports file line numbers when blank lines are skipped", () => {
+    const rows = parseCsv("enrollNo,date,status\r\n\r\nE1,2026-10-01,P\n\n\nE2,2026-10-01,maybe\n");
+    const { entries, errors } = validateImportRows(rows, students, { today });
+
+    assert.deepEqual(entries.map((e) => e.row), [3]);
+    assert.deepEqual(errors.map((e) => e.row), [6]);
+  });
+
+  it("counts the lines inside a quoted cell", () => {
+    const rows = parseCsv('enrollNo,date,status,remarks\nE1,2026-10-01,P,"two\nlines"\nE2,2026-10-01,?,\n');
+    const { errors } = validateImportRows(rows, students, { today });
+    assert.deepEqual(errors.map((e) => e.row), [4]);
+  });
+
+  it("treats session names that differ only in case as one session", () => {
+    const rows = parseCsv(
+      "enrollNo,date,status,session\nE1,2026-10-01,P,Lab\nE2,2026-10-01,P,lab\nE1,2026-10-01,A,LAB\nE2,2026-10-02,P,day\n"
+    );
+    const { entries, errors } = validateImportRows(rows, students, { today });
+
+    assert.deepEqual(
+      entries.map((e) => e.sessionName),
+      ["Lab", "Lab", "Day"]
+    );
+    assert.deepEqual(errors, [{ row: 4, enrollNo: "E1", message: "Duplicate of row 2" }]);
+  });
+
+  it("uses the stored spelling of a session name", () => {
+    const rows = parseCsv("enrollNo,date,status,session\nE1,2026-10-01,P,lab\n");
+    const { entries } = validateImportRows(rows, students, { today, knownSessions: ["Lab"] });
+    assert.equal(entries[0].sessionName, "Lab");
+  });
+});
@@ -0,0 +1,70 @@
+// test/attendanceRoutes.test.js
+// Who may write to or export a class's register.
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Attendance = require("../models/Attendance");
+const Class = require("../models/Class");
+const Session = require("../models/Session");
+const Student = require("../models/Student");
+const attendanceRoutes = require("../routes/attendanceRoutes");
+const { fakeModel } = require("./helpers/fakeModel");
+const { startApp, bearerFor } = require("./helpers/app");
+
+describe("attendance access", () => {
+  let api;
+  let sessions;
+  let cls;
+  let student;
+  let asStudent;
+
+  before(async () => {
+    api = await startApp({ "/api/attendance": attendanceRoutes });
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    cls = fakeModel(Class).insert({ name: "7A" });
+    student = fakeModel(Student).insert({ name: "Ada", enrollNo: "E1", classId: cls._id });
+    sessions = fakeModel(Attendance);
+    asStudent = bearerFor(fakeModel(Session), { role: "student", id: student.user });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const post = (path, body, headers) =>
+    fetch(`${api.url}/api/attendance${path}`, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("does not let a student save the register", async () => {
+    const res = await post(
+      "/save",
+      { classId: String(cls._id), records: [{ studentId: String(student._id), status: "Present" }] },
+      asStudent
+    );
+    assert.equal(res.status, 403);
+    assert.equal(sessions.docs.length, 0);
+  });
+
+  it("does not let a student import into the register", async () => {
+    const csv = "enrollNo,date,status\nE1,2026-10-01,P\n";
+    for (const commit of [false, true]) {
+      const res = await post("/import", { classId: String(cls._id), csv, commit }, asStudent);
+      assert.equal(res.status, 403);
+    }
+    assert.equal(sessions.docs.length, 0);
+  });
+
+  it("does not let a student export the register", async () => {
+    const classId = String(cls._id);
+    for (const path of [
+      `/monthly/export?classId=${classId}&year=2026&month=10`,
+      `/term/export?classId=${classId}&from=2026-09&to=2026-10&format=pdf`,
+    ]) {
+      const res = await fetch(`${api.url}/api/attendance${path}`, { headers: asStudent });
+      assert.equal(res.status, 403);
+    }
+  });
+});
@@ -0,0 +1,87 @@
+// test/attendanceXp.test.js
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Attendance = require("../models/Attendance");
+const Calendar = require("../models/Calendar");
+const Class = require("../models/Class");
+const LevelCurve = require("../models/LevelCurve");
+const Student = require("../models/Student");
+const XpLedgerEntry = require("../models/XpLedgerEntry");
+const { syncAttendanceXp } = require("../utils/attendanceXp");
+const { fakeModel } = require("./helpers/fakeModel");
+
+// a standalone mongod: every transaction falls back to running without one
+function withoutTransactions() {
+  mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async () => {
+      const err = new Error("Transaction numbers are only allowed on a replica set member or mongos");
+      err.code = 20;
+      throw err;
+    },
+    endSession: async () => {},
+  }));
+}
+
+const MONDAY = new Date("2026-10-12T00:00:00Z");
+const NOW = new Date("2026-10-13T12:00:00Z");
+
+describe("attendance XP sync", () => {
+  let students;
+  let ledger;
+  let sessions;
+  let cls;
+  let student;
+
+  beforeEach(() => {
+    withoutTransactions();
+    fakeModel(Calendar);
+    fakeModel(LevelCurve);
+    students = fakeModel(Student);
+    ledger = fakeModel(XpLedgerEntry);
+    sessions = fakeModel(Attendance);
+    cls = fakeModel(Class).insert({
+      name: "7A",
+      attendanceXpRules: { enabled: true, presentXP: 5, absencePenaltyXP: 3 },
+    });
+    student = students.insert({ name: "Ada", classId: cls._id, xp: 0 });
+    sessions.insert({
+      classId: cls._id,
+      dateOnlyUTC: MONDAY,
+      records: [{ studentId: student._id, status: "Present" }],
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const sync = () => syncAttendanceXp(cls._id, [student._id], { from: MONDAY, now: NOW });
+  const ledgerXp = () => ledger.docs.reduce((sum, e) => sum + e.xp, 0);
+
+  it("books the day once however often it runs", async () => {
+    await sync();
+    await sync();
+
+    assert.equal(ledgerXp(), 5);
+    assert.equal(students.docs[0].xp, 5);
+  });
+
+  it("does not double-book when two syncs overlap", async () => {
+    const results = await Promise.all([sync(), sync()]);
+
+    assert.equal(ledgerXp(), 5);
+    assert.equal(students.docs[0].xp, 5);
+    assert.equal(results.flat().length, 1);
+  });
+
+  it("corrects the day when the mark changes", async () => {
+    await sync();
+    sessions.docs[0].records[0].status = "Absent";
+    await sync();
+
+    assert.equal(ledgerXp(), -3);
+    assert.deepEqual(
+      ledger.docs.map((e) => e.seq),
+      [0, 1]
+    );
+  });
+});
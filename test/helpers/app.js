@@ -0,0 +1,43 @@
+// test/helpers/app.js
+// Starts routers on an ephemeral port and signs access tokens backed by a
+// (faked) server-side session, the way authMiddleware expects.
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const secret = process.env.JWT_SECRET || "change_this";
+
+/**
+ * mounts: { "/api/admin": router, ... }. Returns { url, close }.
+ */
+async function startApp(mounts) {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  for (const [path, router] of Object.entries(mounts)) app.use(path, router);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Adds an active session to the faked Session collection and returns the
+ * Authorization header for it.
+ */
+function bearerFor(sessions, { role = "admin", id = new mongoose.Types.ObjectId() } = {}) {
+  const session = sessions.insert({
+    user: id,
+    refreshTokenHash: new mongoose.Types.ObjectId().toHexString(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  const token = jwt.sign({ id, role, sid: session._id }, secret, { expiresIn: "5m" });
+  return { Authorization: `Bearer ${token}` };
+}
+
+module.exports = { startApp, bearerFor };
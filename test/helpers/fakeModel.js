@@ -0,0 +1,399 @@
+// test/helpers/fakeModel.js
+// In-memory stand-in for the Mongoose model methods this code base calls,
+// so utils and routes can be tested without a MongoDB server. Supports the
+// query operators ($or, $and, $in, $nin, $ne, $gt/$gte/$lt/$lte, $exists,
+// $elemMatch) and update operators ($set, $unset, $inc, $max, $min, $push,
+// $addToSet, $pull, $setOnInsert) in use, plus the model's unique indexes
+// (partial ones only for the documents their filter matches).
+const { mock } = require("node:test");
+const mongoose = require("mongoose");
+
+// unmocked calls fail straight away instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const { ObjectId } = mongoose.Types;
+
+const isObjectId = (v) => v instanceof ObjectId;
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v) && !isObjectId(v) && !(v instanceof Date);
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value; // Date and ObjectId are never mutated in place
+}
+
+const comparable = (v) => (v instanceof Date ? v.getTime() : isObjectId(v) ? String(v) : v);
+
+function equals(a, b) {
+  if (isObjectId(a) || isObjectId(b)) return String(a) === String(b);
+  if (a instanceof Date || b instanceof Date) return comparable(a) === comparable(b);
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => equals(v, b[i]));
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((k) => equals(a[k], b[k]));
+  }
+  return a === b;
+}
+
+// every value a dotted path reaches, stepping through arrays like MongoDB
+function valuesAt(doc, path) {
+  let values = [doc];
+  for (const part of path.split(".")) {
+    const next = [];
+    for (const v of values) {
+      if (Array.isArray(v)) {
+        for (const el of v) if (el !== null && typeof el === "object" && part in el) next.push(el[part]);
+        if (/^\d+$/.test(part) && v[Number(part)] !== undefined) next.push(v[Number(part)]);
+      } else if (v !== null && typeof v === "object" && v[part] !== undefined) {
+        next.push(v[part]);
+      }
+    }
+    values = next;
+  }
+  // a field holding an array also matches on its elements
+  return values.flatMap((v) => (Array.isArray(v) ? [v, ...v] : [v]));
+}
+
+function matchOperators(values, ops) {
+  return Object.entries(ops).every(([op, arg]) => {
+    const some = (pred) => values.some((v) => v !== null && v !== undefined && pred(comparable(v), comparable(arg)));
+    switch (op) {
+      case "$eq":
+        return matchValue(values, arg);
+      case "$ne":
+        return !matchValue(values, arg);
+      case "$in":
+        return arg.some((a) => matchValue(values, a));
+      case "$nin":
+        return !arg.some((a) => matchValue(values, a));
+      case "$gt":
+        return some((v, a) => v > a);
+      case "$gte":
+        return some((v, a) => v >= a);
+      case "$lt":
+        return some((v, a) => v < a);
+      case "$lte":
+        return some((v, a) => v <= a);
+      case "$exists":
+        return Boolean(arg) === values.some((v) => v !== undefined);
+      case "$elemMatch":
+        return values.some((v) => Array.isArray(v) && v.some((el) => matches(el, arg)));
+      case "$type":
+        return values.some((v) => (arg === "objectId" ? isObjectId(v) : typeof v === arg));
+      default:
+        throw new Error(`fakeModel: unsupported query operator ${op}`);
+    }
+  });
+}
+
+// null matches a missing field too
+function matchValue(values, expected) {
+  if (expected === null || expected === undefined) {
+    return !values.length || values.some((v) => v === null || v === undefined);
+  }
+  return values.some((v) => equals(v, expected));
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    if (key === "$nor") return !cond.some((f) => matches(doc, f));
+    const values = valuesAt(doc, key);
+    if (isPlainObject(cond) && Object.keys(cond).some((k) => k.startsWith("$"))) {
+      return matchOperators(values, cond);
+    }
+    return matchValue(values, cond);
+  });
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split(".");
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(target[part]) && !Array.isArray(target[part])) target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((v, part) => (v === null || v === undefined ? undefined : v[part]), doc);
+
+function unsetPath(doc, path) {
+  const parts = path.split(".");
+  const parent = getPath(doc, parts.slice(0, -1).join(".")) ?? (parts.length === 1 ? doc : undefined);
+  if (parent && typeof parent === "object") delete parent[parts[parts.length - 1]];
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  const hasOperators = Object.keys(update).some((k) => k.startsWith("$"));
+  const ops = hasOperators ? update : { $set: update };
+
+  for (const [op, fields] of Object.entries(ops)) {
+    for (const [path, arg] of Object.entries(fields || {})) {
+      const current = getPath(doc, path);
+      switch (op) {
+        case "$set":
+          setPath(doc, path, clone(arg));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(arg));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + arg);
+          break;
+        case "$max":
+          if (current === undefined || current === null || comparable(arg) > comparable(current)) setPath(doc, path, arg);
+          break;
+        case "$min":
+          if (current === undefined || current === null || comparable(arg) < comparable(current)) setPath(doc, path, arg);
+          break;
+        case "$push": {
+          const items = isPlainObject(arg) && "$each" in arg ? arg.$each : [arg];
+          setPath(doc, path, [...(current || []), ...clone(items)]);
+          break;
+        }
+        case "$addToSet": {
+          const items = isPlainObject(arg) && "$each" in arg ? arg.$each : [arg];
+          const list = [...(current || [])];
+          for (const item of items) if (!list.some((v) => equals(v, item))) list.push(clone(item));
+          setPath(doc, path, list);
+          break;
+        }
+        case "$pull":
+          setPath(doc, path, (current || []).filter((v) => !(isPlainObject(arg) ? matches(v, arg) : equals(v, arg))));
+          break;
+        default:
+          throw new Error(`fakeModel: unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+}
+
+function sortDocs(docs, sort) {
+  if (!sort) return docs;
+  const spec = typeof sort === "string" ? { [sort.replace(/^-/, "")]: sort.startsWith("-") ? -1 : 1 } : sort;
+  return [...docs].sort((a, b) => {
+    for (const [path, dir] of Object.entries(spec)) {
+      const x = comparable(getPath(a, path));
+      const y = comparable(getPath(b, path));
+      if (x === y) continue;
+      if (x === undefined || x === null) return -dir;
+      if (y === undefined || y === null) return dir;
+      return x < y ? -dir : dir;
+    }
+    return 0;
+  });
+}
+
+// thenable with the chain methods the code calls; select/populate/session
+// are accepted and ignored
+function query(run, { many = false } = {}) {
+  const state = { sort: null, limit: null, lean: false };
+  const q = {
+    select: () => q,
+    populate: () => q,
+    session: () => q,
+    lean: () => {
+      state.lean = true;
+      return q;
+    },
+    sort: (s) => {
+      state.sort = s;
+      return q;
+    },
+    limit: (n) => {
+      state.limit = n;
+      return q;
+    },
+    exec: () => Promise.resolve().then(() => run(state)),
+    then: (resolve, reject) => q.exec().then(resolve, reject),
+    catch: (reject) => q.exec().catch(reject),
+  };
+  return q;
+}
+
+/**
+ * Replaces the model's query methods with in-memory ones until
+ * mock.restoreAll(). Returns { docs, insert } for seeding and assertions.
+ */
+function fakeModel(Model, seed = []) {
+  const docs = [];
+
+  const uniqueIndexes = Model.schema
+    .indexes()
+    .filter(([, opts]) => opts?.unique)
+    .map(([fields, opts]) => ({ fields: Object.keys(fields), partial: opts.partialFilterExpression }));
+  for (const [path, type] of Object.entries(Model.schema.paths)) {
+    if (type.options?.unique && path !== "_id") uniqueIndexes.push({ fields: [path] });
+  }
+
+  function checkUnique(candidate, ignore) {
+    for (const { fields, partial } of uniqueIndexes) {
+      if (partial && !matches(candidate, partial)) continue;
+      const clash = docs.find(
+        (d) =>
+          d !== ignore &&
+          (!partial || matches(d, partial)) &&
+          fields.every((f) => equals(getPath(d, f) ?? null, getPath(candidate, f) ?? null))
+      );
+      if (clash) {
+        const err = new Error(`E11000 duplicate key error (${fields.join(", ")})`);
+        err.code = 11000;
+        throw err;
+      }
+    }
+  }
+
+  // applies schema defaults and casting the way Model.create would
+  const build = (data) => new Model(data).toObject({ depopulate: true });
+
+  function insert(data) {
+    const doc = build(data);
+    checkUnique(doc);
+    docs.push(doc);
+    return doc;
+  }
+
+  const hydrate = (doc, lean) => {
+    if (!doc) return null;
+    if (lean) return clone(doc);
+    const hydrated = Model.hydrate(clone(doc));
+    return hydrated;
+  };
+
+  const find = (filter) => docs.filter((d) => matches(d, filter));
+
+  function upsertDoc(filter, update) {
+    const base = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith("$") && !(isPlainObject(value) && Object.keys(value).some((k) => k.startsWith("$")))) {
+        setPath(base, key, clone(value));
+      }
+    }
+    const doc = applyUpdate(base, update, { inserting: true });
+    return insert(doc);
+  }
+
+  function updateOneDoc(filter, update, opts = {}) {
+    const doc = find(filter)[0];
+    if (!doc) {
+      if (!opts.upsert) return { doc: null, before: null, matched: 0 };
+      const inserted = upsertDoc(filter, update);
+      return { doc: inserted, before: null, matched: 0, upserted: inserted };
+    }
+    const before = clone(doc);
+    const next = applyUpdate(clone(doc), update);
+    checkUnique(next, doc);
+    Object.keys(doc).forEach((k) => delete doc[k]);
+    Object.assign(doc, next);
+    return { doc, before, matched: 1, modified: !equals(before, doc) };
+  }
+
+  const methods = {
+    find: (filter = {}) =>
+      query((s) => {
+        let out = sortDocs(find(filter), s.sort);
+        if (s.limit) out = out.slice(0, s.limit);
+        return out.map((d) => hydrate(d, s.lean));
+      }),
+    findOne: (filter = {}) => query((s) => hydrate(sortDocs(find(filter), s.sort)[0], s.lean)),
+    findById: (id) => query((s) => hydrate(find({ _id: id })[0], s.lean)),
+    exists: (filter = {}) => query(() => (find(filter)[0] ? { _id: find(filter)[0]._id } : null)),
+    countDocuments: (filter = {}) => query(() => find(filter).length),
+    distinct: (path, filter = {}) =>
+      query(() => {
+        const out = [];
+        for (const d of find(filter)) {
+          for (const v of valuesAt(d, path)) if (!Array.isArray(v) && !out.some((o) => equals(o, v))) out.push(v);
+        }
+        return out;
+      }),
+    create: async (data) => {
+      if (Array.isArray(data)) return data.map((d) => Model.hydrate(clone(insert(d))));
+      return Model.hydrate(clone(insert(data)));
+    },
+    insertMany: async (list) => list.map((d) => Model.hydrate(clone(insert(d)))),
+    updateOne: (filter, update, opts) =>
+      query(() => {
+        const r = updateOneDoc(filter, update, opts);
+        return {
+          matchedCount: r.matched,
+          modifiedCount: r.modified ? 1 : 0,
+          upsertedCount: r.upserted ? 1 : 0,
+          upsertedId: r.upserted?._id,
+        };
+      }),
+    updateMany: (filter, update) =>
+      query(() => {
+        let modifiedCount = 0;
+        for (const doc of find(filter)) {
+          const before = clone(doc);
+          applyUpdate(doc, update);
+          if (!equals(before, doc)) modifiedCount++;
+        }
+        return { matchedCount: modifiedCount, modifiedCount };
+      }),
+    findOneAndUpdate: (filter, update, opts = {}) =>
+      query((s) => {
+        const r = updateOneDoc(filter, update, opts);
+        return hydrate(opts.new ? r.doc : r.before, s.lean);
+      }),
+    findByIdAndUpdate: (id, update, opts = {}) =>
+      query((s) => {
+        const r = updateOneDoc({ _id: id }, update, opts);
+        return hydrate(opts.new ? r.doc : r.before, s.lean);
+      }),
+    findOneAndDelete: (filter) =>
+      query((s) => {
+        const doc = find(filter)[0];
+        if (doc) docs.splice(docs.indexOf(doc), 1);
+        return hydrate(doc, s.lean);
+      }),
+    deleteOne: (filter) =>
+      query(() => {
+        const doc = find(filter)[0];
+        if (doc) docs.splice(docs.indexOf(doc), 1);
+        return { deletedCount: doc ? 1 : 0 };
+      }),
+    deleteMany: (filter = {}) =>
+      query(() => {
+        const gone = find(filter);
+        for (const d of gone) docs.splice(docs.indexOf(d), 1);
+        return { deletedCount: gone.length };
+      }),
+  };
+
+  for (const [name, impl] of Object.entries(methods)) mock.method(Model, name, impl);
+
+  // document.save() / deleteOne() on hydrated documents
+  mock.method(Model.prototype, "save", async function save() {
+    const data = this.toObject({ depopulate: true });
+    const existing = docs.find((d) => equals(d._id, data._id));
+    if (existing) {
+      checkUnique(data, existing);
+      Object.keys(existing).forEach((k) => delete existing[k]);
+      Object.assign(existing, data);
+    } else {
+      insert(data);
+    }
+    this.isNew = false;
+    return this;
+  });
+  mock.method(Model.prototype, "deleteOne", async function deleteOne() {
+    const existing = docs.find((d) => equals(d._id, this._id));
+    if (existing) docs.splice(docs.indexOf(existing), 1);
+    return { deletedCount: existing ? 1 : 0 };
+  });
+
+  for (const d of seed) insert(d);
+  return { docs, insert };
+}
+
+module.exports = { fakeModel, matches, applyUpdate };
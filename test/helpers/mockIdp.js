@@ -0,0 +1,117 @@
+// test/helpers/mockIdp.js
+// Minimal OpenID Connect provider for tests and local SSO development:
+// discovery, an /authorize that signs the configured user straight in,
+// a /token endpoint that checks PKCE, and RS256 id_tokens with a JWKS.
+//
+// Local use: `node test/helpers/mockIdp.js` (port MOCK_IDP_PORT, 4100) and
+// point an OIDC_PROVIDERS entry's issuer at http://localhost:4100.
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Returns { url, user, provider(overrides), close }. Set `idp.user` to the
+ * claims the next sign-in should carry.
+ */
+async function startMockIdp({ port = 0, clientId = "classcraft", user } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString("hex");
+  const codes = new Map(); // code -> { clientId, redirectUri, nonce, challenge, claims }
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const idp = {
+    url: null,
+    user: user || {
+      sub: "idp-user-1",
+      email: "sso.user@school.test",
+      email_verified: true,
+      name: "SSO User",
+      groups: [],
+    },
+  };
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: idp.url,
+      authorization_endpoint: `${idp.url}/authorize`,
+      token_endpoint: `${idp.url}/token`,
+      jwks_uri: `${idp.url}/jwks`,
+      response_types_supported: ["code"],
+      id_token_signing_alg_values_supported: ["RS256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }] });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const q = req.query;
+    if (q.client_id !== clientId || q.response_type !== "code" || q.code_challenge_method !== "S256") {
+      return res.status(400).json({ error: "invalid_request" });
+    }
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      redirectUri: q.redirect_uri,
+      nonce: q.nonce,
+      challenge: q.code_challenge,
+      claims: { ...idp.user },
+    });
+
+    const back = new URL(q.redirect_uri);
+    back.searchParams.set("code", code);
+    back.searchParams.set("state", q.state);
+    res.redirect(back.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: verifier } = req.body;
+    const pending = codes.get(code);
+    codes.delete(code);
+
+    const challenge = verifier && crypto.createHash("sha256").update(verifier).digest("base64url");
+    if (
+      grantType !== "authorization_code" ||
+      !pending ||
+      pending.redirectUri !== redirectUri ||
+      pending.challenge !== challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: idp.url,
+      audience: clientId,
+      expiresIn: "5m",
+    });
+    res.json({ access_token: crypto.randomBytes(16).toString("hex"), token_type: "Bearer", id_token: idToken });
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(port, "127.0.0.1", () => resolve(s));
+  });
+  idp.url = `http://127.0.0.1:${server.address().port}`;
+
+  // an OIDC_PROVIDERS entry for this IdP
+  idp.provider = (overrides = {}) => ({
+    name: "mock",
+    issuer: idp.url,
+    clientId,
+    redirectUri: "http://127.0.0.1/api/auth/oidc/mock/callback",
+    ...overrides,
+  });
+  idp.close = () => new Promise((resolve) => server.close(resolve));
+  return idp;
+}
+
+if (require.main === module) {
+  startMockIdp({ port: Number(process.env.MOCK_IDP_PORT) || 4100 }).then((idp) =>
+    console.log(`Mock IdP listening on ${idp.url}`)
+  );
+}
+
+module.exports = { startMockIdp };
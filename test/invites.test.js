@@ -0,0 +1,94 @@
+// test/invites.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const Invite = require("../models/Invite");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const authRoutes = require("../routes/auth");
+const { hashToken } = require("../utils/authTokens");
+const { fakeModel } = require("./helpers/fakeModel");
+const { startApp } = require("./helpers/app");
+
+const EMAIL = "teacher@school.test";
+
+describe("accepting an invite", () => {
+  let api;
+  let users;
+  let sessions;
+
+  before(async () => {
+    api = await startApp({ "/api/auth": authRoutes });
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    users = fakeModel(User);
+    sessions = fakeModel(Session);
+    fakeModel(Invite).insert({
+      email: EMAIL,
+      role: "teacher",
+      tokenHash: hashToken("invite-token"),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      invitedBy: new mongoose.Types.ObjectId(),
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const accept = (body) =>
+    fetch(`${api.url}/api/auth/accept-invite/invite-token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("takes over an unverified self-registered account", async () => {
+    const squatter = users.insert({
+      name: "Someone",
+      email: EMAIL,
+      password: bcrypt.hashSync("squatter-pw", 4),
+      role: "student",
+      emailVerified: false,
+      twoFactor: { enabled: true, secret: "JBSWY3DPEHPK3PXP" },
+      identities: [{ provider: "mock", subject: "other" }],
+    });
+    sessions.insert({
+      user: squatter._id,
+      refreshTokenHash: "x",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    const squatterHash = squatter.password;
+    const res = await accept({ name: "Real Teacher", password: "new-password" });
+    assert.equal(res.status, 201);
+
+    const [user] = users.docs;
+    assert.equal(user.role, "teacher");
+    assert.equal(user.name, "Real Teacher");
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.twoFactor.enabled, false);
+    assert.deepEqual(user.identities, []);
+    assert.notEqual(user.password, squatterHash);
+    assert.ok(sessions.docs[0].revokedAt);
+  });
+
+  it("still asks for the password of a verified account", async () => {
+    users.insert({
+      name: "Owner",
+      email: EMAIL,
+      password: bcrypt.hashSync("owner-pw", 4),
+      role: "student",
+      emailVerified: true,
+    });
+
+    assert.equal((await accept({ password: "wrong-password" })).status, 401);
+    assert.equal(users.docs[0].role, "student");
+
+    assert.equal((await accept({ password: "owner-pw" })).status, 201);
+    assert.equal(users.docs[0].role, "teacher");
+  });
+});
@@ -0,0 +1,178 @@
+// test/loginThrottle.test.js
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const LoginAttempt = require("../models/LoginAttempt");
+const Session = require("../models/Session");
+const throttle = require("../utils/loginThrottle");
+const adminRoutes = require("../routes/adminRoutes");
+const { fakeModel } = require("./helpers/fakeModel");
+const { startApp, bearerFor } = require("./helpers/app");
+
+const attempt = { email: "Student@School.test", ip: "10.0.0.1" };
+const MINUTE = 60 * 1000;
+
+const accountDoc = (attempts) =>
+  attempts.docs.find((d) => d.key === throttle.accountKey(attempt.email) && d.kind === "login");
+
+// makes the lock and the progressive delay lie in the past
+function age(doc, ms) {
+  for (const field of ["firstFailureAt", "lastFailureAt", "lockedUntil"]) {
+    if (doc[field]) doc[field] = new Date(doc[field].getTime() - ms);
+  }
+}
+
+async function failTimes(n) {
+  const results = [];
+  for (let i = 0; i < n; i++) results.push(await throttle.recordLoginFailure(attempt));
+  return results;
+}
+
+describe("login throttling", () => {
+  let attempts;
+
+  beforeEach(() => {
+    attempts = fakeModel(LoginAttempt);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("locks the account after maxFailures and hands out one unlock token", async () => {
+    const results = await failTimes(throttle.config.maxFailures);
+
+    assert.deepEqual(
+      results.map((r) => r.locked),
+      [...Array(throttle.config.maxFailures - 1).fill(false), true]
+    );
+    assert.equal(results.filter((r) => r.unlockToken).length, 1);
+
+    const block = await throttle.checkLogin(attempt);
+    assert.equal(block.status, 423);
+    assert.equal(block.code, "ACCOUNT_LOCKED");
+  });
+
+  it("counts parallel failures without losing any", async () => {
+    const results = await Promise.all(
+      Array.from({ length: throttle.config.maxFailures + 2 }, () => throttle.recordLoginFailure(attempt))
+    );
+
+    assert.equal(accountDoc(attempts).failures, throttle.config.maxFailures + 2);
+    assert.equal(results.filter((r) => r.unlockToken).length, 1);
+    assert.equal((await throttle.checkLogin(attempt)).code, "ACCOUNT_LOCKED");
+  });
+
+  it("retries when two first failures race on the unique index", async () => {
+    const original = LoginAttempt.findOneAndUpdate;
+    let raced = false;
+    mock.method(LoginAttempt, "findOneAndUpdate", (...args) => {
+      if (!raced) {
+        raced = true;
+        const err = new Error("E11000 duplicate key error");
+        err.code = 11000;
+        return { lean: () => Promise.reject(err) };
+      }
+      return original(...args);
+    });
+
+    const result = await throttle.recordLoginFailure(attempt);
+    assert.equal(result.locked, false);
+    assert.equal(accountDoc(attempts).failures, 1);
+  });
+
+  it("slows down repeated attempts before the lock", async () => {
+    await failTimes(2);
+    const block = await throttle.checkLogin(attempt);
+    assert.equal(block.status, 429);
+    assert.equal(block.code, "SLOW_DOWN");
+  });
+
+  it("unlocks once the lockout has passed and starts counting afresh", async () => {
+    await failTimes(throttle.config.maxFailures);
+    age(accountDoc(attempts), (throttle.config.lockoutMinutes + 1) * MINUTE);
+
+    assert.equal(await throttle.checkLogin(attempt), null);
+
+    const next = await throttle.recordLoginFailure(attempt);
+    assert.equal(next.locked, false);
+    assert.equal(accountDoc(attempts).failures, 1);
+    assert.equal(accountDoc(attempts).lockedUntil, undefined);
+  });
+
+  it("resets the counter once the failure window has passed", async () => {
+    await failTimes(throttle.config.maxFailures - 1);
+    age(accountDoc(attempts), (throttle.config.windowMinutes + 1) * MINUTE);
+
+    const next = await throttle.recordLoginFailure(attempt);
+    assert.equal(next.locked, false);
+    assert.equal(accountDoc(attempts).failures, 1);
+  });
+
+  it("unlocks early with the emailed token, once", async () => {
+    const results = await failTimes(throttle.config.maxFailures);
+    const { unlockToken } = results.find((r) => r.unlockToken);
+
+    assert.equal(await throttle.unlockWithToken(unlockToken), attempt.email.toLowerCase());
+    assert.equal(await throttle.checkLogin(attempt), null);
+    assert.equal(await throttle.unlockWithToken(unlockToken), null);
+  });
+
+  it("limits forgot-password requests per window", async () => {
+    for (let i = 0; i < throttle.config.forgotMaxPerWindow; i++) {
+      assert.equal(await throttle.checkForgotPassword(attempt), null);
+    }
+    const block = await throttle.checkForgotPassword(attempt);
+    assert.equal(block.status, 429);
+    assert.equal(block.code, "TOO_MANY_REQUESTS");
+  });
+});
+
+describe("admin unlock endpoint", () => {
+  let attempts;
+  let sessions;
+  let server;
+
+  beforeEach(async () => {
+    attempts = fakeModel(LoginAttempt);
+    sessions = fakeModel(Session);
+    server = await startApp({ "/api/admin": adminRoutes });
+  });
+  afterEach(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  it("lists the lock and clears it", async () => {
+    await failTimes(throttle.config.maxFailures);
+    const headers = bearerFor(sessions, { role: "admin" });
+
+    const list = await fetch(`${server.url}/api/admin/locked-accounts`, { headers });
+    assert.equal(list.status, 200);
+    const locks = await list.json();
+    const lock = locks.find((l) => l.type === "account");
+    assert.equal(lock.value, attempt.email.toLowerCase());
+
+    const cleared = await fetch(`${server.url}/api/admin/locked-accounts/${lock._id}`, {
+      method: "DELETE",
+      headers,
+    });
+    assert.equal(cleared.status, 200);
+    assert.equal(await throttle.checkLogin(attempt), null);
+
+    const again = await fetch(`${server.url}/api/admin/locked-accounts/${lock._id}`, {
+      method: "DELETE",
+      headers,
+    });
+    assert.equal(again.status, 404);
+  });
+
+  it("is admin only", async () => {
+    await failTimes(throttle.config.maxFailures);
+    const { _id } = accountDoc(attempts);
+
+    const res = await fetch(`${server.url}/api/admin/locked-accounts/${_id}`, {
+      method: "DELETE",
+      headers: bearerFor(sessions, { role: "teacher" }),
+    });
+    assert.equal(res.status, 403);
+    assert.equal((await throttle.checkLogin(attempt)).code, "ACCOUNT_LOCKED");
+  });
+});
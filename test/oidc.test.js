@@ -0,0 +1,224 @@
+// test/oidc.test.js
+// Single sign-on against the local mock IdP (test/helpers/mockIdp.js).
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const User = require("../models/User");
+const OidcState = require("../models/OidcState");
+const Session = require("../models/Session");
+const LoginAttempt = require("../models/LoginAttempt");
+const SecurityPolicy = require("../models/SecurityPolicy");
+const authRoutes = require("../routes/auth");
+const oidc = require("../utils/oidc");
+const { fakeModel } = require("./helpers/fakeModel");
+const { startApp } = require("./helpers/app");
+const { startMockIdp } = require("./helpers/mockIdp");
+
+// follows the browser's path: start → IdP → callback, returning where the
+// callback finally sends the browser
+async function ssoRedirect(api, { keepCookie = true } = {}) {
+  const start = await fetch(`${api.url}/api/auth/oidc/mock/start`, { redirect: "manual" });
+  assert.equal(start.status, 302);
+  const cookie = start.headers.get("set-cookie").split(";")[0];
+
+  const authorize = await fetch(start.headers.get("location"), { redirect: "manual" });
+  assert.equal(authorize.status, 302);
+
+  // the IdP sends the browser to our redirectUri; replay it on the test server
+  const callback = new URL(authorize.headers.get("location"));
+  const res = await fetch(`${api.url}${callback.pathname}${callback.search}`, {
+    redirect: "manual",
+    headers: keepCookie ? { Cookie: cookie } : {},
+  });
+  assert.equal(res.status, 302);
+  return new URL(res.headers.get("location"));
+}
+
+async function exchange(api, location) {
+  const code = location.searchParams.get("code");
+  assert.ok(code, `expected an exchange code, got ${location}`);
+  const res = await fetch(`${api.url}/api/auth/oidc/exchange`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ code }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+describe("OIDC single sign-on", () => {
+  let idp;
+  let api;
+  let users;
+  let policies;
+  let sessions;
+
+  before(async () => {
+    idp = await startMockIdp();
+    api = await startApp({ "/api/auth": authRoutes });
+  });
+  after(async () => {
+    await api.close();
+    await idp.close();
+  });
+
+  beforeEach(() => {
+    process.env.OIDC_PROVIDERS = JSON.stringify([idp.provider({ roleMap: { teacher: ["staff"] } })]);
+    idp.user = { sub: "idp-1", email: "sso.user@school.test", email_verified: true, name: "SSO User", groups: [] };
+    users = fakeModel(User);
+    policies = fakeModel(SecurityPolicy);
+    fakeModel(OidcState);
+    sessions = fakeModel(Session);
+    fakeModel(LoginAttempt);
+  });
+  afterEach(() => {
+    delete process.env.OIDC_PROVIDERS;
+    mock.restoreAll();
+  });
+
+  it("provisions a new user and opens a session", async () => {
+    const location = await ssoRedirect(api);
+    assert.equal(location.pathname, "/sso/callback");
+
+    const { status, body } = await exchange(api, location);
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.equal(body.sso, "mock");
+    assert.equal(body.user.email, "sso.user@school.test");
+    assert.equal(users.docs.length, 1);
+    assert.equal(users.docs[0].identities[0].subject, "idp-1");
+  });
+
+  it("asks for the TOTP code when the user has 2FA enabled", async () => {
+    users.insert({
+      name: "Teacher",
+      email: "sso.user@school.test",
+      password: "x",
+      role: "teacher",
+      twoFactor: { enabled: true, secret: "JBSWY3DPEHPK3PXP" },
+      identities: [{ provider: "mock", subject: "idp-1" }],
+    });
+
+    const { status, body } = await exchange(api, await ssoRedirect(api));
+    assert.equal(status, 200);
+    assert.equal(body.twoFactorRequired, true);
+    assert.ok(body.challengeToken);
+    assert.equal(body.token, undefined);
+  });
+
+  it("requires 2FA enrollment when the role's policy demands it", async () => {
+    policies.insert({ key: "global", twoFactorRequiredRoles: ["teacher"] });
+    idp.user.groups = ["staff"];
+
+    const { body } = await exchange(api, await ssoRedirect(api));
+    assert.equal(body.twoFactorSetupRequired, true);
+    assert.ok(body.secret);
+    assert.equal(body.token, undefined);
+  });
+
+  it("rejects a callback from a browser that did not start the sign-in", async () => {
+    const location = await ssoRedirect(api, { keepCookie: false });
+    assert.equal(location.pathname, "/login");
+    assert.equal(location.searchParams.get("ssoError"), "invalid_state");
+  });
+
+  it("links an existing account by a verified email", async () => {
+    users.insert({ name: "Local", email: "sso.user@school.test", password: "x", role: "student" });
+
+    const { status } = await exchange(api, await ssoRedirect(api));
+    assert.equal(status, 200);
+    assert.equal(users.docs.length, 1);
+    assert.equal(users.docs[0].identities[0].provider, "mock");
+  });
+
+  it("takes over an unverified self-registered account", async () => {
+    const squatter = users.insert({
+      name: "Someone",
+      email: "sso.user@school.test",
+      password: bcrypt.hashSync("squatter-pw", 4),
+      role: "student",
+      emailVerified: false,
+      twoFactor: { enabled: true, secret: "JBSWY3DPEHPK3PXP" },
+      identities: [{ provider: "other", subject: "squatter" }],
+    });
+    sessions.insert({
+      user: squatter._id,
+      refreshTokenHash: "x",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    idp.user.groups = ["staff"];
+
+    const squatterHash = squatter.password;
+    const { status, body } = await exchange(api, await ssoRedirect(api));
+    assert.equal(status, 200);
+    assert.ok(body.token);
+
+    const [user] = users.docs;
+    assert.equal(user.role, "teacher");
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.twoFactor.enabled, false);
+    assert.deepEqual(
+      user.identities.map((i) => i.provider),
+      ["mock"]
+    );
+    assert.notEqual(user.password, squatterHash);
+    assert.ok(sessions.docs[0].revokedAt);
+  });
+
+  it("does not link an existing account when the IdP has not verified the email", async () => {
+    process.env.OIDC_PROVIDERS = JSON.stringify([idp.provider({ trustEmail: true })]);
+    idp.user.email_verified = false;
+    users.insert({ name: "Local", email: "sso.user@school.test", password: "x", role: "admin" });
+
+    const location = await ssoRedirect(api);
+    assert.equal(location.searchParams.get("ssoError"), "email_not_verified");
+    assert.equal(users.docs[0].identities.length, 0);
+  });
+
+  it("lets trustEmail provision accounts for unverified emails", async () => {
+    process.env.OIDC_PROVIDERS = JSON.stringify([idp.provider({ trustEmail: true })]);
+    idp.user.email_verified = false;
+
+    const { status } = await exchange(api, await ssoRedirect(api));
+    assert.equal(status, 200);
+    assert.equal(users.docs.length, 1);
+  });
+});
+
+describe("id_token verification", () => {
+  const configured = (overrides) => {
+    process.env.OIDC_PROVIDERS = JSON.stringify([
+      {
+        name: "hs",
+        issuer: "https://idp.school.test",
+        clientId: "classcraft",
+        clientSecret: "client-secret",
+        redirectUri: "http://127.0.0.1/api/auth/oidc/hs/callback",
+        ...overrides,
+      },
+    ]);
+    return oidc.getProvider("hs");
+  };
+  const hsToken = () =>
+    jwt.sign({ sub: "1", nonce: "n" }, "client-secret", {
+      algorithm: "HS256",
+      issuer: "https://idp.school.test",
+      audience: "classcraft",
+    });
+
+  afterEach(() => {
+    delete process.env.OIDC_PROVIDERS;
+  });
+
+  it("refuses an algorithm the provider does not list", async () => {
+    await assert.rejects(oidc.verifyIdToken(configured(), hsToken(), "n"), /HS256 is not allowed/);
+  });
+
+  it("verifies HS256 with the client secret when configured", async () => {
+    const claims = await oidc.verifyIdToken(configured({ idTokenAlgs: ["HS256"] }), hsToken(), "n");
+    assert.equal(claims.sub, "1");
+  });
+});
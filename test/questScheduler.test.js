@@ -0,0 +1,195 @@
+// test/questScheduler.test.js
+// The quest lifecycle driven by a fake clock; emails are captured instead
+// of sent.
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const sent = [];
+require.cache[require.resolve("../utils/sendEmail")] = {
+  exports: async (mail) => {
+    sent.push(mail);
+  },
+};
+
+const Attendance = require("../models/Attendance");
+const AttendanceRevision = require("../models/AttendanceRevision");
+const Calendar = require("../models/Calendar");
+const CheckInWindow = require("../models/CheckInWindow");
+const Class = require("../models/Class");
+const Quest = require("../models/Quest");
+const QuestSeries = require("../models/QuestSeries");
+const Questline = require("../models/Questline");
+const Student = require("../models/Student");
+const Submission = require("../models/Submission");
+const User = require("../models/User");
+const { runQuestLifecycle, createQuestScheduler } = require("../utils/questScheduler");
+const { fakeModel } = require("./helpers/fakeModel");
+
+const { ObjectId } = mongoose.Types;
+const HOUR_MS = 60 * 60 * 1000;
+const at = (iso) => new Date(iso);
+
+describe("quest lifecycle", () => {
+  let quests;
+  let users;
+  let students;
+  let submissions;
+  let classId;
+
+  const quest = (fields) =>
+    quests.insert({ title: "Quest", classId, createdBy: new ObjectId(), rewardXP: 50, ...fields });
+
+  function student(email, fields = {}) {
+    const user = users.insert({ name: email, email, password: "x", role: "student", ...fields.user });
+    return students.insert({ name: email, classId, user: user._id, groups: [], ...fields.student });
+  }
+
+  beforeEach(() => {
+    sent.length = 0;
+    classId = new ObjectId();
+    quests = fakeModel(Quest);
+    users = fakeModel(User);
+    students = fakeModel(Student);
+    submissions = fakeModel(Submission);
+    fakeModel(QuestSeries);
+    fakeModel(Questline);
+    fakeModel(Calendar);
+    fakeModel(CheckInWindow);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("opens scheduled quests once their start date passes", async () => {
+    quest({ status: "Scheduled", startDate: at("2026-10-20T08:00:00Z"), endDate: at("2026-10-27T08:00:00Z") });
+
+    assert.equal((await runQuestLifecycle(at("2026-10-20T07:59:00Z"))).opened, 0);
+    assert.equal(quests.docs[0].status, "Scheduled");
+
+    assert.equal((await runQuestLifecycle(at("2026-10-20T08:00:00Z"))).opened, 1);
+    assert.equal(quests.docs[0].status, "Active");
+    assert.deepEqual(quests.docs[0].openedAt, at("2026-10-20T08:00:00Z"));
+  });
+
+  it("closes active quests at their end date", async () => {
+    quest({ status: "Active", startDate: at("2026-10-01T00:00:00Z"), endDate: at("2026-10-10T00:00:00Z") });
+
+    const result = await runQuestLifecycle(at("2026-10-10T00:00:00Z"));
+    assert.equal(result.closed, 1);
+    assert.equal(quests.docs[0].status, "Completed");
+  });
+
+  it("closes a scheduled quest whose whole window passed without opening it", async () => {
+    quest({ status: "Scheduled", startDate: at("2026-10-01T00:00:00Z"), endDate: at("2026-10-02T00:00:00Z") });
+
+    const result = await runQuestLifecycle(at("2026-10-05T00:00:00Z"));
+    assert.deepEqual([result.opened, result.closed], [0, 1]);
+    assert.equal(quests.docs[0].status, "Completed");
+    assert.equal(quests.docs[0].openedAt, undefined);
+  });
+
+  it("reminds students who still have to submit, once per quest", async () => {
+    const now = at("2026-10-20T12:00:00Z");
+    const q = quest({ status: "Active", startDate: at("2026-10-19T00:00:00Z"), endDate: new Date(now.getTime() + 6 * HOUR_MS) });
+    student("todo@school.test");
+    const done = student("done@school.test");
+    student("muted@school.test", { user: { preferences: { notifications: false } } });
+    submissions.insert({ quest: q._id, student: done._id, status: "pending", attempt: 1 });
+
+    assert.equal((await runQuestLifecycle(now)).reminders, 1);
+    assert.deepEqual(sent.map((m) => m.to), ["todo@school.test"]);
+    assert.match(sent[0].subject, /Quest due soon/);
+    assert.deepEqual(quests.docs[0].reminderSentAt, now);
+
+    assert.equal((await runQuestLifecycle(new Date(now.getTime() + HOUR_MS))).reminders, 0);
+    assert.equal(sent.length, 1);
+  });
+
+  it("does not remind before the reminder window or for locked quests", async () => {
+    const now = at("2026-10-20T12:00:00Z");
+    quest({ status: "Active", startDate: at("2026-10-19T00:00:00Z"), endDate: new Date(now.getTime() + 48 * HOUR_MS) });
+    quest({
+      status: "Active",
+      startDate: at("2026-10-19T00:00:00Z"),
+      endDate: new Date(now.getTime() + 2 * HOUR_MS),
+      prerequisites: { quests: [], minLevel: 5 },
+    });
+    student("todo@school.test");
+
+    assert.equal((await runQuestLifecycle(now)).reminders, 0);
+    assert.equal(sent.length, 0);
+  });
+});
+
+describe("quest scheduler", () => {
+  let quests;
+
+  beforeEach(() => {
+    quests = fakeModel(Quest);
+    for (const Model of [QuestSeries, Student, Submission, User, Questline, Calendar, CheckInWindow]) {
+      fakeModel(Model);
+    }
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("runs each tick at the clock's time", async () => {
+    let now = at("2026-10-20T07:00:00Z");
+    const scheduler = createQuestScheduler({ clock: () => now });
+    quests.insert({
+      title: "Quest",
+      classId: new ObjectId(),
+      createdBy: new ObjectId(),
+      status: "Scheduled",
+      startDate: at("2026-10-20T08:00:00Z"),
+      endDate: at("2026-10-21T08:00:00Z"),
+    });
+
+    assert.deepEqual(await scheduler.tick(), {
+      generated: 0,
+      opened: 0,
+      closed: 0,
+      reminders: 0,
+      checkInsClosed: 0,
+      teamQuestsCompleted: 0,
+    });
+
+    now = at("2026-10-20T09:00:00Z");
+    assert.equal((await scheduler.tick()).opened, 1);
+
+    now = at("2026-10-21T08:00:00Z");
+    assert.equal((await scheduler.tick()).closed, 1);
+    assert.equal(quests.docs[0].status, "Completed");
+  });
+
+  it("closes check-in windows that expired while no timer was running", async () => {
+    const classId = new ObjectId();
+    const windows = fakeModel(CheckInWindow);
+    const sessions = fakeModel(Attendance);
+    fakeModel(AttendanceRevision);
+    fakeModel(Class).insert({ _id: classId, name: "7A" });
+    const day = at("2026-10-20T00:00:00Z");
+    windows.insert({
+      classId,
+      dateOnlyUTC: day,
+      openedBy: new ObjectId(),
+      secret: "s",
+      status: "open",
+      closesAt: at("2026-10-20T08:10:00Z"),
+    });
+
+    const scheduler = createQuestScheduler({ clock: () => at("2026-10-20T08:00:00Z") });
+    assert.equal((await scheduler.tick()).checkInsClosed, 0);
+
+    const later = createQuestScheduler({ clock: () => at("2026-10-20T08:15:00Z") });
+    assert.equal((await later.tick()).checkInsClosed, 1);
+    assert.equal(windows.docs[0].status, "closed");
+    assert.equal(sessions.docs.length, 1);
+  });
+
+  it("skips a tick while the previous one is still running", async () => {
+    const scheduler = createQuestScheduler({ clock: () => at("2026-10-20T07:00:00Z") });
+
+    const [first, second] = await Promise.all([scheduler.tick(), scheduler.tick()]);
+    assert.ok(first);
+    assert.equal(second, null);
+  });
+});
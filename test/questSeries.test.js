@@ -0,0 +1,135 @@
+// test/questSeries.test.js
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Calendar = require("../models/Calendar");
+const Quest = require("../models/Quest");
+const QuestSeries = require("../models/QuestSeries");
+const { buildCalendar } = require("../utils/calendar");
+const { parseRecurrence, occurrenceDays, generateOccurrences } = require("../utils/questSeries");
+const { fakeModel } = require("./helpers/fakeModel");
+
+const { ObjectId } = mongoose.Types;
+const START = new Date("2026-10-05T09:00:00Z"); // a Monday
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const isoDays = (days) => days.map(({ day: d }) => d.toISOString().slice(0, 10));
+
+describe("recurrence rules", () => {
+  it("fills in defaults and validates the rule", () => {
+    assert.deepEqual(parseRecurrence({ frequency: "weekly", count: 3 }, START).recurrence, {
+      frequency: "weekly",
+      interval: 1,
+      weekdays: [1],
+      skipNonWorkingDays: true,
+      count: 3,
+    });
+    assert.deepEqual(parseRecurrence({ frequency: "weekly", weekdays: [5, 1, 5], count: 2 }, START).recurrence.weekdays, [1, 5]);
+
+    for (const input of [
+      { frequency: "monthly", count: 1 },
+      { frequency: "daily", interval: 0, count: 1 },
+      { frequency: "weekly", weekdays: [7], count: 1 },
+      { frequency: "daily" },
+      { frequency: "daily", until: "2026-10-01" },
+      { frequency: "daily", count: 501 },
+    ]) {
+      assert.ok(parseRecurrence(input, START).error, JSON.stringify(input));
+    }
+  });
+
+  const series = (recurrence, fields) => ({ startDate: START, recurrence: { interval: 1, weekdays: [], ...recurrence }, ...fields });
+
+  it("steps daily rules by their interval", () => {
+    const days = occurrenceDays(series({ frequency: "daily", interval: 3, until: day("2026-10-15") }), day("2026-12-31"));
+    assert.deepEqual(isoDays(days), ["2026-10-05", "2026-10-08", "2026-10-11", "2026-10-14"]);
+  });
+
+  it("repeats weekly rules on their weekdays every interval weeks", () => {
+    const days = occurrenceDays(
+      series({ frequency: "weekly", interval: 2, weekdays: [1, 3], count: 4 }),
+      day("2026-12-31")
+    );
+    assert.deepEqual(isoDays(days), ["2026-10-05", "2026-10-07", "2026-10-19", "2026-10-21"]);
+  });
+
+  it("counts cancelled dates but not non-working days towards count", () => {
+    const calendar = buildCalendar({
+      workingWeekdays: [1, 2, 3, 4, 5],
+      holidays: [{ date: day("2026-10-06"), name: "Founders' day" }],
+    });
+    const days = occurrenceDays(
+      series({ frequency: "daily", count: 4, skipNonWorkingDays: true }, { skippedDates: [day("2026-10-07")] }),
+      day("2026-12-31"),
+      calendar
+    );
+    assert.deepEqual(isoDays(days), ["2026-10-05", "2026-10-07", "2026-10-08", "2026-10-09"]);
+    assert.deepEqual(
+      days.map((d) => d.skipped),
+      [false, true, false, false]
+    );
+
+    const everyDay = occurrenceDays(series({ frequency: "daily", count: 3, skipNonWorkingDays: false }), day("2026-12-31"), calendar);
+    assert.deepEqual(isoDays(everyDay), ["2026-10-05", "2026-10-06", "2026-10-07"]);
+  });
+
+  it("stops at the given end date", () => {
+    const days = occurrenceDays(series({ frequency: "daily", count: 10 }), day("2026-10-07"));
+    assert.deepEqual(isoDays(days), ["2026-10-05", "2026-10-06", "2026-10-07"]);
+  });
+});
+
+describe("generating occurrences", () => {
+  let quests;
+  let seriesDocs;
+  let series;
+  const now = new Date("2026-10-05T08:00:00Z");
+
+  beforeEach(() => {
+    quests = fakeModel(Quest);
+    seriesDocs = fakeModel(QuestSeries);
+    fakeModel(Calendar);
+    series = seriesDocs.insert({
+      title: "Daily reading",
+      classId: new ObjectId(),
+      createdBy: new ObjectId(),
+      rewardXP: 10,
+      startDate: START,
+      durationMinutes: 60,
+      recurrence: { frequency: "daily", interval: 1, weekdays: [], skipNonWorkingDays: true, count: 3 },
+      status: "active",
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const snapshot = () => JSON.parse(JSON.stringify(series));
+
+  it("creates each occurrence once and ends a finished series", async () => {
+    assert.equal(await generateOccurrences(snapshot(), now), 3);
+    assert.equal(await generateOccurrences({ ...snapshot(), status: "active" }, now), 0);
+    assert.equal(quests.docs.length, 3);
+    assert.equal(series.status, "ended");
+  });
+
+  it("creates nothing for a series cancelled after it was loaded", async () => {
+    const stale = snapshot();
+    series.status = "cancelled";
+
+    assert.equal(await generateOccurrences(stale, now), 0);
+    assert.equal(quests.docs.length, 0);
+    assert.equal(series.status, "cancelled");
+  });
+
+  it("removes what it created when the series is cancelled mid-run", async () => {
+    const upsert = Quest.updateOne;
+    mock.method(Quest, "updateOne", async (...args) => {
+      const res = await upsert(...args);
+      series.status = "cancelled"; // the cancel lands right after this upsert
+      return res;
+    });
+
+    assert.equal(await generateOccurrences(snapshot(), now), 0);
+    assert.equal(quests.docs.length, 0);
+    assert.equal(series.status, "cancelled");
+  });
+});
@@ -0,0 +1,131 @@
+// test/questUnlock.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Quest = require("../models/Quest");
+const Questline = require("../models/Questline");
+const QuestSeries = require("../models/QuestSeries");
+const Session = require("../models/Session");
+const questRoutes = require("../routes/questRoutes");
+const { evaluateQuestAccess, createsCycle, parsePrerequisites } = require("../utils/questUnlock");
+const { fakeModel } = require("./helpers/fakeModel");
+const { startApp, bearerFor } = require("./helpers/app");
+
+const { ObjectId } = mongoose.Types;
+
+describe("sequential questlines", () => {
+  let quests;
+  let classId;
+  let line;
+  let student;
+
+  // quests of the line, in order
+  const chain = (...fields) =>
+    fields.map((f, i) =>
+      quests.insert({
+        title: `Step ${i + 1}`,
+        classId,
+        createdBy: new ObjectId(),
+        questline: line._id,
+        questlineOrder: i + 1,
+        ...f,
+      })
+    );
+
+  beforeEach(() => {
+    classId = new ObjectId();
+    quests = fakeModel(Quest);
+    line = fakeModel(Questline).insert({ title: "Line", classId, sequential: true, createdBy: new ObjectId() });
+    student = { _id: new ObjectId(), classId, groups: [], completedQuests: [] };
+  });
+  afterEach(() => mock.restoreAll());
+
+  const unlocked = async (quest, given = [quest]) =>
+    (await evaluateQuestAccess(student, given)).access.get(String(quest._id)).unlocked;
+
+  it("locks a quest behind the one before it, whichever quests are passed in", async () => {
+    const [, second] = chain({ status: "Scheduled" }, {});
+
+    assert.equal(await unlocked(second), false);
+    assert.equal(await unlocked(second, [second, ...quests.docs]), false);
+
+    student.completedQuests.push({ quest: quests.docs[0]._id });
+    assert.equal(await unlocked(second), true);
+  });
+
+  it("skips a predecessor that closed before the student did it", async () => {
+    const [, , third] = chain({}, { status: "Completed" }, {});
+
+    assert.equal(await unlocked(third), false); // still needs the first step
+
+    student.completedQuests.push({ quest: quests.docs[0]._id });
+    assert.equal(await unlocked(third), true);
+  });
+
+  it("skips a predecessor assigned to other students", async () => {
+    const [, second] = chain({ assignedTo: { students: [new ObjectId()], groups: [] } }, {});
+    assert.equal(await unlocked(second), true);
+  });
+
+  it("refuses prerequisites that loop through the line order", async () => {
+    const [first, second] = chain({}, {});
+
+    const parsed = await parsePrerequisites({ quests: [String(second._id)] }, { classId, questId: first._id });
+    assert.match(parsed.error, /cycle/);
+
+    // swapping the order instead is fine
+    assert.equal(
+      await createsCycle(classId, {
+        [first._id]: { prerequisites: { quests: [second._id] }, questlineOrder: 3 },
+      }),
+      false
+    );
+  });
+});
+
+describe("deleting a prerequisite", () => {
+  let api;
+  let quests;
+  let classId;
+  let student;
+
+  before(async () => {
+    api = await startApp({ "/api/quests": questRoutes });
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    classId = new ObjectId();
+    quests = fakeModel(Quest);
+    fakeModel(Questline);
+    fakeModel(QuestSeries);
+    student = { _id: new ObjectId(), classId, groups: [], completedQuests: [] };
+  });
+  afterEach(() => mock.restoreAll());
+
+  const quest = (fields) => quests.insert({ title: "Quest", classId, createdBy: new ObjectId(), ...fields });
+  const unlocked = async (q) =>
+    (await evaluateQuestAccess(student, [q])).access.get(String(q._id)).unlocked;
+
+  it("unlocks the quests that depended on it", async () => {
+    const first = quest({ title: "First" });
+    const other = quest({ title: "Other" });
+    const next = quest({ prerequisites: { quests: [first._id, other._id] } });
+
+    const res = await fetch(`${api.url}/api/quests/${first._id}`, {
+      method: "DELETE",
+      headers: bearerFor(fakeModel(Session), { role: "admin" }),
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(next.prerequisites.quests.map(String), [String(other._id)]);
+
+    student.completedQuests.push({ quest: other._id });
+    assert.equal(await unlocked(next), true);
+  });
+
+  it("ignores a prerequisite id that no longer exists", async () => {
+    const next = quest({ prerequisites: { quests: [new ObjectId()] } });
+    assert.equal(await unlocked(next), true);
+  });
+});
@@ -0,0 +1,94 @@
+// test/submissions.test.js
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+const Quest = require("../models/Quest");
+const Questline = require("../models/Questline");
+const Session = require("../models/Session");
+const Student = require("../models/Student");
+const Submission = require("../models/Submission");
+const studentRoutes = require("../routes/studentRoutes");
+const { fakeModel } = require("./helpers/fakeModel");
+const { startApp, bearerFor } = require("./helpers/app");
+
+const { ObjectId } = mongoose.Types;
+
+describe("quest submissions", () => {
+  let api;
+  let submissions;
+  let headers;
+  let quest;
+
+  before(async () => {
+    api = await startApp({ "/api/students": studentRoutes });
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    const classId = new ObjectId();
+    const userId = new ObjectId();
+    fakeModel(Student).insert({ name: "Ada", classId, user: userId, groups: [] });
+    quest = fakeModel(Quest).insert({ title: "Essay", classId, createdBy: new ObjectId(), status: "Active" });
+    fakeModel(Questline);
+    submissions = fakeModel(Submission);
+    headers = { ...bearerFor(fakeModel(Session), { role: "student", id: userId }), "Content-Type": "application/json" };
+  });
+  afterEach(() => mock.restoreAll());
+
+  const submit = () =>
+    fetch(`${api.url}/api/students/tasks/${quest._id}/submit`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ text: "My essay" }),
+    });
+
+  it("creates the first attempt", async () => {
+    const res = await submit();
+    assert.equal(res.status, 201);
+    assert.equal((await res.json()).submission.attempt, 1);
+  });
+
+  it("stores attachments and refuses file types that are not allowed", async () => {
+    const send = (file, name) => {
+      const form = new FormData();
+      form.append("text", "See attached");
+      form.append("files", file, name);
+      return fetch(`${api.url}/api/students/tasks/${quest._id}/submit`, {
+        method: "POST",
+        headers: { Authorization: headers.Authorization },
+        body: form,
+      });
+    };
+
+    const refused = await send(new Blob(["<html>"], { type: "text/html" }), "page.html");
+    assert.equal(refused.status, 400);
+
+    const res = await send(new Blob(["notes"], { type: "text/plain" }), "notes.txt");
+    assert.equal(res.status, 201);
+    const [attachment] = (await res.json()).submission.attachments;
+    assert.equal(attachment.originalName, "notes.txt");
+    const stored = path.join(__dirname, "..", "uploads", "submissions", submissions.docs[0].attachments[0].fileName);
+    assert.ok(fs.existsSync(stored));
+    fs.unlinkSync(stored);
+  });
+
+  it("answers 409 when two submits race for the same attempt", async () => {
+    // both requests have picked their attempt number before either is stored
+    const create = Submission.create;
+    let arrived = 0;
+    let release;
+    const bothArrived = new Promise((resolve) => (release = resolve));
+    mock.method(Submission, "create", async (data) => {
+      if (++arrived === 2) release();
+      await bothArrived;
+      return create(data);
+    });
+
+    const statuses = (await Promise.all([submit(), submit()])).map((r) => r.status).sort();
+    assert.deepEqual(statuses, [201, 409]);
+    assert.equal(submissions.docs.length, 1);
+  });
+});
@@ -0,0 +1,151 @@
+// test/teamQuests.test.js
+// Team quest completion through reviews, roster edits and the scheduler.
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Badge = require("../models/Badge");
+const Calendar = require("../models/Calendar");
+const Class = require("../models/Class");
+const LevelCurve = require("../models/LevelCurve");
+const Quest = require("../models/Quest");
+const Session = require("../models/Session");
+const Student = require("../models/Student");
+const StudentBadge = require("../models/StudentBadge");
+const Submission = require("../models/Submission");
+const Team = require("../models/Team");
+const XpLedgerEntry = require("../models/XpLedgerEntry");
+const questRoutes = require("../routes/questRoutes");
+const teamRoutes = require("../routes/teamRoutes");
+const { completePendingTeamQuests } = require("../utils/teamQuest");
+const { fakeModel } = require("./helpers/fakeModel");
+const { startApp, bearerFor } = require("./helpers/app");
+
+const { ObjectId } = mongoose.Types;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("team quests", () => {
+  let api;
+  let headers;
+  let quests;
+  let students;
+  let submissions;
+  let teams;
+  let teacherId;
+  let classId;
+  let members;
+  let team;
+
+  before(async () => {
+    api = await startApp({ "/api/quests": questRoutes, "/api/teams": teamRoutes });
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    // a standalone mongod: every transaction falls back to running without one
+    mock.method(mongoose, "startSession", async () => ({
+      withTransaction: async () => {
+        const err = new Error("Transaction numbers are only allowed on a replica set member or mongos");
+        err.code = 20;
+        throw err;
+      },
+      endSession: async () => {},
+    }));
+    for (const Model of [Badge, Calendar, LevelCurve, StudentBadge, XpLedgerEntry]) fakeModel(Model);
+    quests = fakeModel(Quest);
+    students = fakeModel(Student);
+    submissions = fakeModel(Submission);
+    teams = fakeModel(Team);
+
+    teacherId = new ObjectId();
+    classId = fakeModel(Class).insert({ name: "7A", teacher: teacherId })._id;
+    headers = { ...bearerFor(fakeModel(Session), { role: "teacher", id: teacherId }), "Content-Type": "application/json" };
+    members = ["Ada", "Bo", "Cy"].map((name) => students.insert({ name, classId, user: new ObjectId(), xp: 0, level: 1 }));
+    team = teams.insert({ name: "Red", classId, members: members.map((m) => m._id) });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const teamQuest = (fields) =>
+    quests.insert({
+      title: "Bridge",
+      classId,
+      createdBy: teacherId,
+      status: "Active",
+      rewardXP: 90,
+      startDate: new Date(Date.now() - HOUR_MS),
+      endDate: new Date(Date.now() + HOUR_MS),
+      ...fields,
+    });
+  const submitted = (q, member, fields) =>
+    submissions.insert({ quest: q._id, student: member._id, team: team._id, status: "pending", attempt: 1, ...fields });
+
+  const approve = (q, submission, body = {}) =>
+    fetch(`${api.url}/api/quests/${q._id}/submissions/${submission._id}/review`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ decision: "approve", ...body }),
+    });
+  const xpOf = () => students.docs.map((s) => s.xp);
+
+  it("rewards every member once all of them have approved work", async () => {
+    const q = teamQuest({ teamQuest: { completion: "all-members", xpMode: "duplicate" } });
+    const [a, b, c] = members.map((m) => submitted(q, m));
+
+    assert.equal((await (await approve(q, a)).json()).teamCompletion, null);
+    await approve(q, b);
+    assert.deepEqual(xpOf(), [0, 0, 0]);
+
+    const body = await (await approve(q, c)).json();
+    assert.deepEqual(body.teamCompletion, { team: team._id.toString(), xpPerMember: 90, members: 3 });
+    assert.deepEqual(xpOf(), [90, 90, 90]);
+    assert.equal(team.completedQuests.length, 1);
+    assert.ok(students.docs.every((s) => s.completedQuests.some((cq) => String(cq.quest) === String(q._id))));
+  });
+
+  it("splits the XP over a shared target and caps the last contribution", async () => {
+    const q = teamQuest({ teamQuest: { completion: "shared-target", target: 5, xpMode: "split" } });
+    const first = submitted(q, members[0], { contribution: 3 });
+    const second = submitted(q, members[1], { contribution: 1 });
+
+    await approve(q, first);
+    assert.equal((await approve(q, second, { contribution: 4 })).status, 200);
+    assert.equal(second.contribution, 2);
+    assert.deepEqual(xpOf(), [30, 30, 30]);
+  });
+
+  it("completes for the rest of the team when a member without work leaves", async () => {
+    const q = teamQuest({ teamQuest: { completion: "all-members", xpMode: "split" } });
+    await approve(q, submitted(q, members[0]));
+    await approve(q, submitted(q, members[1]));
+    assert.deepEqual(xpOf(), [0, 0, 0]);
+
+    const res = await fetch(`${api.url}/api/teams/${team._id}`, {
+      method: "PUT",
+      headers,
+      body: JSON.stringify({ memberIds: [members[0]._id, members[1]._id] }),
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(xpOf(), [45, 45, 0]);
+  });
+
+  it("keeps the approval when completing fails and lets the scheduler finish it", async () => {
+    const q = teamQuest({ teamQuest: { completion: "all-members", xpMode: "duplicate" } });
+    team.members = [members[0]._id];
+    const submission = submitted(q, members[0]);
+
+    const updateOne = Team.updateOne;
+    mock.method(Team, "updateOne", () => {
+      throw new Error("connection reset");
+    });
+    const res = await approve(q, submission);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).teamCompletion, null);
+    assert.equal(submission.status, "approved");
+    assert.deepEqual(xpOf(), [0, 0, 0]);
+
+    Team.updateOne.mock.mockImplementation(updateOne);
+    assert.equal(await completePendingTeamQuests(), 1);
+    assert.deepEqual(xpOf(), [90, 0, 0]);
+    assert.equal(await completePendingTeamQuests(), 0);
+  });
+});
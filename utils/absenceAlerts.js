@@ -0,0 +1,226 @@
+// utils/absenceAlerts.js
+// Absence rules engine: runs after attendance is saved and raises,
+// refreshes or resolves AttendanceAlert documents, emailing the class
+// teacher and the student's guardian when a new alert opens.
+const Attendance = require("../models/Attendance");
+const AttendanceAlert = require("../models/AttendanceAlert");
+const Class = require("../models/Class");
+const Student = require("../models/Student");
+const User = require("../models/User");
+const sendEmail = require("./sendEmail");
+const { getCalendarForClass } = require("./calendar");
+const { rollUpDay, countStatuses, attendancePercentage } = require("./attendanceRollup");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// defaults, overridable per class through Class.alertRules
+const DEFAULT_ALERT_RULES = {
+  enabled: process.env.ABSENCE_ALERTS_ENABLED !== "false",
+  consecutiveAbsences: Number(process.env.ABSENCE_ALERT_CONSECUTIVE) || 3,
+  minAttendancePct: Number(process.env.ABSENCE_ALERT_MIN_PCT) || 75,
+  windowDays: Number(process.env.ABSENCE_ALERT_WINDOW_DAYS) || 30,
+  minDaysInWindow: Number(process.env.ABSENCE_ALERT_MIN_DAYS) || 5,
+  // an acknowledged alert is not raised again for this long
+  cooldownDays: Number(process.env.ABSENCE_ALERT_COOLDOWN_DAYS) || 7,
+};
+
+const resolveAlertRules = (rules) => {
+  const set = Object.entries(rules || {}).filter(
+    ([key, value]) => key in DEFAULT_ALERT_RULES && value !== undefined && value !== null
+  );
+  return { ...DEFAULT_ALERT_RULES, ...Object.fromEntries(set) };
+};
+
+/**
+ * Per-student figures over the rolling window.
+ * daysDesc: [{ day, status }] newest first, one entry per marked day.
+ * Sessions recorded on non-working days are ignored.
+ */
+function measure(daysDesc, attendanceRules, calendar) {
+  let consecutive = 0;
+  let lastAbsentDate = null;
+  daysDesc = daysDesc.filter(({ day }) => !calendar || calendar.isWorkingDay(day));
+
+  for (const { day, status } of daysDesc) {
+    if (status === "Excused") continue; // neither breaks nor extends a streak
+    if (status !== "Absent") break;
+    consecutive++;
+    if (!lastAbsentDate) lastAbsentDate = day;
+  }
+
+  const counts = countStatuses(daysDesc.map((d) => d.status));
+  const markedDays =
+    counts.present + counts.absent + counts.late + counts.halfDay + counts.partial;
+
+  return {
+    consecutive,
+    lastAbsentDate,
+    markedDays,
+    pct: attendancePercentage(counts, attendanceRules),
+  };
+}
+
+async function notify(alert, student, cls, teacher) {
+  const to = [];
+  if (teacher?.email && teacher.preferences?.notifications !== false) to.push(teacher.email);
+  if (student.guardianEmail) to.push(student.guardianEmail);
+  if (!to.length) return;
+
+  const reason =
+    alert.type === "consecutive_absences"
+      ? `has been absent for ${alert.consecutiveAbsences} consecutive school days`
+      : `has an attendance rate of ${alert.attendancePct}% over the last ${alert.windowDays} days`;
+
+  try {
+    await sendEmail({
+      to: to.join(", "),
+      subject: `Attendance alert: ${student.name} (${cls.name})`,
+      text:
+        `${student.name} (${student.enrollNo}) in ${cls.name} ${reason}.\n\n` +
+        `Please follow up with the class teacher if you have any questions.\n\n` +
+        `— ClassCraft`,
+    });
+    alert.notifiedTo = to;
+    alert.notifiedAt = new Date();
+    await alert.save();
+  } catch (err) {
+    // alert stays open and visible in /api/attendance/alerts
+    console.error("Absence alert email failed:", err.message);
+  }
+}
+
+async function applyAlert({ type, triggered, figures, student, cls, teacher, rules, now }) {
+  const open = await AttendanceAlert.findOne({ student: student._id, type, status: "open" });
+
+  if (!triggered) {
+    if (open) {
+      open.status = "resolved";
+      open.resolvedAt = now;
+      await open.save();
+    }
+    return null;
+  }
+
+  const snapshot = {
+    consecutiveAbsences: figures.consecutive,
+    attendancePct: figures.pct,
+    windowDays: rules.windowDays,
+    lastAbsentDate: figures.lastAbsentDate,
+  };
+
+  if (open) {
+    Object.assign(open, snapshot);
+    await open.save();
+    return open;
+  }
+
+  const recentlyAcknowledged = await AttendanceAlert.exists({
+    student: student._id,
+    type,
+    status: "acknowledged",
+    acknowledgedAt: { $gt: new Date(now.getTime() - rules.cooldownDays * DAY_MS) },
+  });
+  if (recentlyAcknowledged) return null;
+
+  let alert;
+  try {
+    alert = await AttendanceAlert.create({
+      student: student._id,
+      classId: cls._id,
+      type,
+      ...snapshot,
+    });
+  } catch (err) {
+    // an overlapping evaluation opened it first and sends the email
+    if (err.code !== 11000) throw err;
+    return AttendanceAlert.findOneAndUpdate(
+      { student: student._id, type, status: "open" },
+      { $set: snapshot },
+      { new: true }
+    );
+  }
+  await notify(alert, student, cls, teacher);
+  return alert;
+}
+
+/**
+ * Re-evaluate the given students of a class. Safe to call repeatedly;
+ * callers run it in the background after a save.
+ */
+async function evaluateAbsenceAlerts(classId, studentIds, { now = new Date() } = {}) {
+  const cls = await Class.findById(classId)
+    .select("name teacher attendanceRules alertRules")
+    .lean();
+  if (!cls) return [];
+
+  const rules = resolveAlertRules(cls.alertRules);
+  if (!rules.enabled || !studentIds.length) return [];
+
+  const since = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) -
+      (rules.windowDays - 1) * DAY_MS
+  );
+
+  const [sessions, students, teacher, calendar] = await Promise.all([
+    Attendance.find({ classId: cls._id, dateOnlyUTC: { $gte: since } })
+      .select("dateOnlyUTC records")
+      .lean(),
+    Student.find({ _id: { $in: studentIds }, classId: cls._id })
+      .select("name enrollNo guardianEmail")
+      .lean(),
+    User.findById(cls.teacher).select("email preferences").lean(),
+    getCalendarForClass(cls._id),
+  ]);
+
+  // studentId -> dayTime -> statuses across that day's sessions
+  const perStudent = new Map();
+  for (const session of sessions) {
+    const t = new Date(session.dateOnlyUTC).getTime();
+    for (const rec of session.records || []) {
+      const sid = String(rec.studentId);
+      if (!perStudent.has(sid)) perStudent.set(sid, new Map());
+      const days = perStudent.get(sid);
+      if (!days.has(t)) days.set(t, []);
+      days.get(t).push(rec.status);
+    }
+  }
+
+  const raised = [];
+  for (const student of students) {
+    const days = perStudent.get(String(student._id)) || new Map();
+    const daysDesc = [...days.entries()]
+      .sort((a, b) => b[0] - a[0])
+      .map(([t, statuses]) => ({
+        day: new Date(t),
+        status: rollUpDay(statuses, cls.attendanceRules),
+      }));
+
+    const figures = measure(daysDesc, cls.attendanceRules, calendar);
+    const common = { figures, student, cls, teacher, rules, now };
+
+    const streak = await applyAlert({
+      ...common,
+      type: "consecutive_absences",
+      triggered: figures.consecutive >= rules.consecutiveAbsences,
+    });
+    const low = await applyAlert({
+      ...common,
+      type: "low_attendance",
+      triggered:
+        figures.pct !== null &&
+        figures.markedDays >= rules.minDaysInWindow &&
+        figures.pct < rules.minAttendancePct,
+    });
+
+    if (streak) raised.push(streak);
+    if (low) raised.push(low);
+  }
+
+  return raised;
+}
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  resolveAlertRules,
+  evaluateAbsenceAlerts,
+};
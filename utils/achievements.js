@@ -0,0 +1,200 @@
+// utils/achievements.js
+// Achievements engine: checks the automatic criteria of the badge catalog
+// (models/Badge.js) for some students and grants what they have earned.
+// Runs in the background after XP, quest and attendance events; grants are
+// idempotent (one StudentBadge per student and badge), so re-running is safe.
+const Badge = require("../models/Badge");
+const Class = require("../models/Class");
+const Quest = require("../models/Quest");
+const Student = require("../models/Student");
+const StudentBadge = require("../models/StudentBadge");
+const { getCalendarForClass, DAY_MS } = require("./calendar");
+const { STREAK_LOOKBACK_DAYS, attendanceDaysByStudent, longestStreak } = require("./attendanceXp");
+
+const CRITERIA_TYPES = ["manual", "quests-completed", "attendance-streak", "level", "xp"];
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+/**
+ * Validates a criteria body for badge create/update.
+ * Returns { criteria } or { error }.
+ */
+function parseCriteria(input) {
+  if (input === undefined || input === null) return { criteria: { type: "manual" } };
+  if (typeof input !== "object") return { error: "criteria must be an object" };
+
+  const type = input.type || "manual";
+  if (!CRITERIA_TYPES.includes(type)) {
+    return { error: `criteria.type must be one of ${CRITERIA_TYPES.join(", ")}` };
+  }
+  if (type === "manual") return { criteria: { type } };
+
+  const count = Number(input.count);
+  if (!Number.isInteger(count) || count < 1) {
+    return { error: "criteria.count must be a whole number >= 1" };
+  }
+
+  const criteria = { type, count };
+  if (type === "quests-completed" && input.difficulty) {
+    if (!DIFFICULTIES.includes(input.difficulty)) {
+      return { error: `criteria.difficulty must be one of ${DIFFICULTIES.join(", ")}` };
+    }
+    criteria.difficulty = input.difficulty;
+  }
+  return { criteria };
+}
+
+// e.g. "Complete 10 Hard quests"
+function describeCriteria(criteria = {}) {
+  const { type, count, difficulty } = criteria;
+  if (type === "quests-completed") {
+    return `Complete ${count} ${difficulty ? `${difficulty} ` : ""}quest${count === 1 ? "" : "s"}`;
+  }
+  if (type === "attendance-streak") return `${count}-day attendance streak`;
+  if (type === "level") return `Reach level ${count}`;
+  if (type === "xp") return `Earn ${count} XP`;
+  return "Awarded by a teacher";
+}
+
+/**
+ * Grants one badge. Returns true when it was granted now, false when the
+ * student already held it. An upsert rather than catching a duplicate key
+ * error, because any failed write aborts the surrounding transaction.
+ * opts: { awardedBy?, reward?, reason?, session? }
+ */
+async function grantBadge(studentId, badgeId, { awardedBy = null, reward, reason, session } = {}) {
+  const insert = { awardedAt: new Date(), awardedBy, ...(reward ? { reward } : {}), ...(reason ? { reason } : {}) };
+  try {
+    const res = await StudentBadge.updateOne(
+      { student: studentId, badge: badgeId },
+      { $setOnInsert: insert },
+      { upsert: true, session }
+    );
+    return res.upsertedCount > 0;
+  } catch (err) {
+    // a concurrent grant won the unique index (only outside a transaction)
+    if (err.code === 11000 && !session) return false;
+    throw err;
+  }
+}
+
+// longest attendance streak per student of one class
+async function attendanceStreaks(classId, now) {
+  const cls = await Class.findById(classId).select("attendanceRules").lean();
+  if (!cls) return new Map();
+
+  const calendar = await getCalendarForClass(cls._id);
+  const since = new Date(now.getTime() - STREAK_LOOKBACK_DAYS * DAY_MS);
+  const perStudent = await attendanceDaysByStudent(cls, since, calendar);
+
+  const streaks = new Map();
+  for (const [sid, daysAsc] of perStudent) streaks.set(sid, longestStreak(daysAsc));
+  return streaks;
+}
+
+/**
+ * Checks every active automatic badge the students can earn (school-wide
+ * and their class's) and grants the ones whose criteria are met.
+ * Returns [{ studentId, badgeId, name }] for the new grants.
+ */
+async function checkAchievements(studentIds, { now = new Date() } = {}) {
+  if (!studentIds?.length) return [];
+
+  const students = await Student.find({ _id: { $in: studentIds } })
+    .select("classId xp level completedQuests.quest")
+    .lean();
+  if (!students.length) return [];
+
+  const classIds = [...new Set(students.map((s) => String(s.classId)))];
+  const badges = await Badge.find({
+    active: true,
+    "criteria.type": { $ne: "manual" },
+    classId: { $in: [null, ...classIds] },
+  }).lean();
+  if (!badges.length) return [];
+
+  const held = new Set(
+    (
+      await StudentBadge.find({ student: { $in: students.map((s) => s._id) }, badge: { $in: badges.map((b) => b._id) } })
+        .select("student badge")
+        .lean()
+    ).map((sb) => `${sb.student}:${sb.badge}`)
+  );
+
+  // quest difficulties, only when a quest badge needs them
+  let difficulties = null;
+  const difficultyOf = async (questId) => {
+    if (!difficulties) {
+      const ids = [...new Set(students.flatMap((s) => (s.completedQuests || []).map((c) => String(c.quest))))];
+      const quests = await Quest.find({ _id: { $in: ids } }).select("difficulty").lean();
+      difficulties = new Map(quests.map((q) => [String(q._id), q.difficulty]));
+    }
+    return difficulties.get(String(questId));
+  };
+
+  // attendance streaks, per class and only when a streak badge needs them
+  const streaksByClass = new Map();
+  const streakOf = async (student) => {
+    const key = String(student.classId);
+    if (!streaksByClass.has(key)) streaksByClass.set(key, await attendanceStreaks(student.classId, now));
+    return streaksByClass.get(key).get(String(student._id)) || 0;
+  };
+
+  async function progress(student, criteria) {
+    if (criteria.type === "xp") return student.xp || 0;
+    if (criteria.type === "level") return student.level || 1;
+    if (criteria.type === "attendance-streak") return streakOf(student);
+
+    const quests = new Set((student.completedQuests || []).map((c) => String(c.quest)));
+    if (!criteria.difficulty) return quests.size;
+    let count = 0;
+    for (const questId of quests) {
+      if ((await difficultyOf(questId)) === criteria.difficulty) count++;
+    }
+    return count;
+  }
+
+  const granted = [];
+  for (const student of students) {
+    for (const badge of badges) {
+      if (badge.classId && String(badge.classId) !== String(student.classId)) continue;
+      if (held.has(`${student._id}:${badge._id}`)) continue;
+      if ((await progress(student, badge.criteria)) < badge.criteria.count) continue;
+
+      const isNew = await grantBadge(student._id, badge._id, { reason: describeCriteria(badge.criteria) });
+      if (isNew) granted.push({ studentId: student._id, badgeId: badge._id, name: badge.name });
+    }
+  }
+  return granted;
+}
+
+// a student's badges, newest first (dashboard)
+async function studentBadges(studentId) {
+  const held = await StudentBadge.find({ student: studentId })
+    .populate("badge", "name description icon criteria")
+    .sort({ awardedAt: -1 })
+    .lean();
+  return held
+    .filter((sb) => sb.badge)
+    .map((sb) => ({
+      _id: sb.badge._id,
+      name: sb.badge.name,
+      description: sb.badge.description,
+      icon: sb.badge.icon || null,
+      criteria: describeCriteria(sb.badge.criteria),
+      awardedAt: sb.awardedAt,
+    }));
+}
+
+// fire-and-forget form for request handlers; the response never waits
+function queueAchievementCheck(studentIds) {
+  checkAchievements(studentIds).catch((err) => console.error("checkAchievements error:", err));
+}
+
+module.exports = {
+  parseCriteria,
+  describeCriteria,
+  grantBadge,
+  checkAchievements,
+  studentBadges,
+  queueAchievementCheck,
+};
@@ -0,0 +1,94 @@
+// utils/attendanceAudit.js
+// Revision trail and edit lock for Attendance sessions.
+const AttendanceRevision = require("../models/AttendanceRevision");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// sessions older than this many days are read-only unless an admin unlocks them
+const EDIT_LOCK_DAYS = Number(process.env.ATTENDANCE_EDIT_LOCK_DAYS) || 7;
+const UNLOCK_HOURS = Number(process.env.ATTENDANCE_UNLOCK_HOURS) || 24;
+
+function isSessionLocked(session, now = new Date()) {
+  if (!session?.dateOnlyUTC) return false;
+  if (session.unlockedUntil && new Date(session.unlockedUntil) > now) return false;
+
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return new Date(session.dateOnlyUTC).getTime() < today - EDIT_LOCK_DAYS * DAY_MS;
+}
+
+// throws 423 for non-admins editing a locked session
+function assertSessionEditable(session, user, now = new Date()) {
+  if (user?.role === "admin" || !isSessionLocked(session, now)) return;
+
+  const e = new Error(
+    `Attendance older than ${EDIT_LOCK_DAYS} days is locked; ask an admin to unlock it`
+  );
+  e.status = 423;
+  e.code = "ATTENDANCE_LOCKED";
+  throw e;
+}
+
+/**
+ * Differences between two record lists of the same session.
+ * With { merge: true } students missing from `after` are untouched,
+ * otherwise they count as removed.
+ */
+function diffRecords(before = [], after = [], { merge = false } = {}) {
+  const old = new Map(before.map((r) => [String(r.studentId), r]));
+  const changes = [];
+
+  for (const r of after) {
+    const prev = old.get(String(r.studentId));
+    old.delete(String(r.studentId));
+    if (prev && prev.status === r.status && (prev.remarks || "") === (r.remarks || "")) continue;
+
+    changes.push({
+      studentId: r.studentId,
+      studentName: r.studentName || prev?.studentName,
+      oldStatus: prev?.status || null,
+      newStatus: r.status,
+      oldRemarks: prev?.remarks,
+      newRemarks: r.remarks,
+    });
+  }
+
+  if (!merge) {
+    for (const prev of old.values()) {
+      changes.push({
+        studentId: prev.studentId,
+        studentName: prev.studentName,
+        oldStatus: prev.status,
+        newStatus: null,
+        oldRemarks: prev.remarks,
+      });
+    }
+  }
+
+  return changes;
+}
+
+async function recordRevisions(session, changes, { user, reason, source = "manual" } = {}) {
+  if (!changes.length) return [];
+
+  return AttendanceRevision.insertMany(
+    changes.map((c) => ({
+      ...c,
+      attendance: session._id,
+      classId: session.classId,
+      dateOnlyUTC: session.dateOnlyUTC,
+      sessionName: session.sessionName,
+      changedBy: user?.id,
+      ...(reason ? { reason: String(reason).trim().slice(0, 500) } : {}),
+      source,
+    }))
+  );
+}
+
+module.exports = {
+  EDIT_LOCK_DAYS,
+  UNLOCK_HOURS,
+  isSessionLocked,
+  assertSessionEditable,
+  diffRecords,
+  recordRevisions,
+};
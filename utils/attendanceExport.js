@@ -0,0 +1,261 @@
+// utils/attendanceExport.js
+// Renders monthly attendance matrices (see buildMonthlyMatrix in
+// controllers/attendanceController.js) as CSV or a printable PDF register.
+const PDFDocument = require("pdfkit");
+const { countStatuses, attendancePercentage } = require("./attendanceRollup");
+
+const STATUS_CODES = {
+  Present: "P",
+  Absent: "A",
+  Late: "L",
+  Excused: "E",
+  HalfDay: "H",
+  Partial: "PT",
+  Weekend: "W",
+  Holiday: "HO",
+  Vacation: "V",
+  NA: "-",
+};
+const LEGEND =
+  "P = Present, A = Absent, L = Late, E = Excused, H = Half day, PT = Partial, " +
+  "W = Weekend, HO = Holiday, V = Vacation, - = not marked";
+
+const TOTAL_COLUMNS = [
+  ["present", "P"],
+  ["absent", "A"],
+  ["late", "L"],
+  ["excused", "E"],
+  ["halfDay", "H"],
+  ["partial", "PT"],
+];
+
+const monthLabel = (m) =>
+  `${m.year}-${String(m.month).padStart(2, "0")}`;
+
+const formatPct = (pct) => (pct === null || pct === undefined ? "" : `${pct}%`);
+
+// sum each student's counts over several months (students matched by id)
+function termSummary(matrices, rules) {
+  const byStudent = new Map();
+
+  for (const matrix of matrices) {
+    for (const row of matrix.students) {
+      const key = String(row.studentId);
+      if (!byStudent.has(key)) {
+        byStudent.set(key, { name: row.name, enrollNo: row.enrollNo, daily: [] });
+      }
+      byStudent.get(key).daily.push(...row.daily);
+    }
+  }
+
+  return [...byStudent.values()]
+    .map((s) => {
+      const counts = countStatuses(s.daily);
+      return {
+        name: s.name,
+        enrollNo: s.enrollNo,
+        ...counts,
+        percentage: attendancePercentage(counts, rules),
+      };
+    })
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+/* =========================
+   CSV
+========================= */
+
+// quote when needed and defuse spreadsheet formulas
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+@\t\r]|^-./.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(",");
+
+function attendanceToCsv(matrices, rules) {
+  const lines = [];
+
+  for (const matrix of matrices) {
+    lines.push(csvLine(["Class", matrix.className]));
+    lines.push(csvLine(["Month", monthLabel(matrix)]));
+    lines.push(csvLine(["Working days", matrix.workingDays]));
+    lines.push(
+      csvLine([
+        "Enroll No",
+        "Name",
+        ...matrix.days,
+        ...TOTAL_COLUMNS.map(([, label]) => label),
+        "Attendance %",
+      ])
+    );
+
+    for (const row of matrix.students) {
+      lines.push(
+        csvLine([
+          row.enrollNo,
+          row.name,
+          ...row.daily.map((st) => STATUS_CODES[st] || st),
+          ...TOTAL_COLUMNS.map(([key]) => row[key]),
+          formatPct(row.percentage),
+        ])
+      );
+    }
+    lines.push("");
+  }
+
+  if (matrices.length > 1) {
+    const first = matrices[0];
+    const last = matrices[matrices.length - 1];
+
+    lines.push(csvLine(["Term summary", `${monthLabel(first)} to ${monthLabel(last)}`]));
+    lines.push(
+      csvLine([
+        "Enroll No",
+        "Name",
+        ...TOTAL_COLUMNS.map(([, label]) => label),
+        "Attendance %",
+      ])
+    );
+    for (const row of termSummary(matrices, rules)) {
+      lines.push(
+        csvLine([
+          row.enrollNo,
+          row.name,
+          ...TOTAL_COLUMNS.map(([key]) => row[key]),
+          formatPct(row.percentage),
+        ])
+      );
+    }
+    lines.push("");
+  }
+
+  lines.push(csvLine(["Legend", LEGEND]));
+  // BOM so Excel opens UTF-8 names correctly
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/* =========================
+   PDF
+   A4 landscape, one page (or more) per month, summary page for terms
+========================= */
+const PAGE = { size: "A4", layout: "landscape", margin: 30 };
+const ROW_HEIGHT = 12;
+
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom - ROW_HEIGHT * 2;
+
+  const drawRow = (cells, bold) => {
+    let x = left;
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(6.5);
+    columns.forEach((col, i) => {
+      doc.text(String(cells[i] ?? ""), x + 1, y + 3, {
+        width: col.width - 2,
+        height: ROW_HEIGHT,
+        align: col.align || "center",
+        lineBreak: false,
+        ellipsis: true,
+      });
+      doc.rect(x, y, col.width, ROW_HEIGHT).lineWidth(0.3).stroke("#999999");
+      x += col.width;
+    });
+    doc.x = left;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const header = columns.map((c) => c.label);
+  drawRow(header, true);
+
+  for (const cells of rows) {
+    if (doc.y > bottom) {
+      doc.addPage(PAGE);
+      drawRow(header, true);
+    }
+    drawRow(cells, false);
+  }
+}
+
+function heading(doc, title, subtitle) {
+  doc.font("Helvetica-Bold").fontSize(13).text(title);
+  doc.font("Helvetica").fontSize(9).fillColor("#444444").text(subtitle);
+  doc.fillColor("black").moveDown(0.5);
+}
+
+function renderAttendancePdf(matrices, stream, rules) {
+  const doc = new PDFDocument({ ...PAGE, autoFirstPage: false });
+  doc.pipe(stream);
+
+  const usable = 842 - PAGE.margin * 2;
+  const totalCols = TOTAL_COLUMNS.map(([key, label]) => ({ key, label, width: 17 }));
+
+  for (const matrix of matrices) {
+    doc.addPage(PAGE);
+    heading(
+      doc,
+      `Attendance register — ${matrix.className}`,
+      `Month: ${monthLabel(matrix)}   Students: ${matrix.students.length}   Working days: ${matrix.workingDays}`
+    );
+
+    const fixed = 45 + 105 + totalCols.length * 17 + 30;
+    const dayWidth = Math.min(18, (usable - fixed) / matrix.days.length);
+
+    const columns = [
+      { label: "Enroll", width: 45, align: "left" },
+      { label: "Name", width: 105, align: "left" },
+      ...matrix.days.map((d) => ({ label: String(d), width: dayWidth })),
+      ...totalCols,
+      { label: "%", width: 30 },
+    ];
+
+    drawTable(
+      doc,
+      columns,
+      matrix.students.map((row) => [
+        row.enrollNo,
+        row.name,
+        ...row.daily.map((st) => STATUS_CODES[st] || st),
+        ...TOTAL_COLUMNS.map(([key]) => row[key]),
+        formatPct(row.percentage),
+      ])
+    );
+
+    doc.moveDown(0.8).font("Helvetica").fontSize(7).text(LEGEND);
+  }
+
+  if (matrices.length > 1) {
+    const first = matrices[0];
+    const last = matrices[matrices.length - 1];
+
+    doc.addPage(PAGE);
+    heading(
+      doc,
+      `Term summary — ${first.className}`,
+      `${monthLabel(first)} to ${monthLabel(last)}`
+    );
+
+    drawTable(
+      doc,
+      [
+        { label: "Enroll", width: 60, align: "left" },
+        { label: "Name", width: 200, align: "left" },
+        ...TOTAL_COLUMNS.map(([, label]) => ({ label, width: 40 })),
+        { label: "Attendance %", width: 70 },
+      ],
+      termSummary(matrices, rules).map((row) => [
+        row.enrollNo,
+        row.name,
+        ...TOTAL_COLUMNS.map(([key]) => row[key]),
+        formatPct(row.percentage),
+      ])
+    );
+  }
+
+  if (!matrices.length) doc.addPage(PAGE);
+  doc.end();
+  return doc;
+}
+
+module.exports = { attendanceToCsv, renderAttendancePdf, csvCell, termSummary };
@@ -0,0 +1,195 @@
+// utils/attendanceImport.js
+// Parsing and row validation for POST /api/attendance/import.
+const { ATTENDANCE_STATUSES } = require("../models/Attendance");
+const { DEFAULT_SESSION } = require("./attendanceRollup");
+
+const MAX_ROWS = 5000;
+
+// accepts full names (any case) and the codes used by the exports
+const STATUS_ALIASES = {
+  p: "Present",
+  present: "Present",
+  a: "Absent",
+  absent: "Absent",
+  l: "Late",
+  late: "Late",
+  e: "Excused",
+  excused: "Excused",
+  h: "HalfDay",
+  halfday: "HalfDay",
+  "half day": "HalfDay",
+  "half-day": "HalfDay",
+};
+
+const HEADER_ALIASES = {
+  enrollno: "enrollNo",
+  "enroll no": "enrollNo",
+  enrollment: "enrollNo",
+  date: "date",
+  status: "status",
+  remarks: "remarks",
+  remark: "remarks",
+  session: "sessionName",
+  sessionname: "sessionName",
+};
+
+/* ---------- RFC 4180-ish CSV: quotes, escaped quotes, CRLF ----------
+   Each row keeps the file line it starts on (row.line) so errors point at
+   the right line after blank lines are dropped. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(cell);
+    row.line = rowLine;
+    rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    const newline = ch === "\n" || ch === "\r";
+    if (newline && ch === "\r" && src[i + 1] === "\n") i++;
+
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += newline ? "\n" : ch;
+        if (newline) line++;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (newline) {
+      endRow();
+      rowLine = ++line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) endRow();
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// YYYY-MM-DD only: day/month order is ambiguous across schools
+function parseIsoDay(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 ? d : null;
+}
+
+/**
+ * rows: parsed CSV including the header row.
+ * studentsByEnroll: Map(lowercased enrollNo -> student) for the class.
+ * knownSessions: session names already stored for the class; a file
+ * spelling them in another case is saved under the stored spelling.
+ * Returns { entries, errors } where each entry is a valid row ready to save.
+ */
+function validateImportRows(
+  rows,
+  studentsByEnroll,
+  { defaultSession = DEFAULT_SESSION, knownSessions = [], today = new Date() } = {}
+) {
+  const errors = [];
+  const entries = [];
+
+  if (!rows.length) {
+    return { entries, errors: [{ row: 1, message: "File is empty" }] };
+  }
+
+  const headerLine = rows[0].line ?? 1;
+  const header = rows[0].map((h) => HEADER_ALIASES[h.trim().toLowerCase()] || null);
+  for (const required of ["enrollNo", "date", "status"]) {
+    if (!header.includes(required)) {
+      errors.push({ row: headerLine, message: `Missing column: ${required}` });
+    }
+  }
+  if (errors.length) return { entries, errors };
+
+  if (rows.length - 1 > MAX_ROWS) {
+    return { entries, errors: [{ row: headerLine, message: `Too many rows (max ${MAX_ROWS})` }] };
+  }
+
+  // one spelling per session name, whatever the case: the stored one,
+  // else the first one in the file; duplicates and grouping both use it
+  const sessionNames = new Map([DEFAULT_SESSION, ...knownSessions].map((n) => [n.toLowerCase(), n]));
+  const normalizeSession = (name) => {
+    const trimmed = name.slice(0, 60);
+    const key = trimmed.toLowerCase();
+    if (!sessionNames.has(key)) sessionNames.set(key, trimmed);
+    return sessionNames.get(key);
+  };
+
+  const seen = new Map(); // student|day|session -> first row number
+  const endOfToday = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1);
+
+  rows.slice(1).forEach((cells, idx) => {
+    const rowNo = cells.line ?? idx + 2; // file line, header is line 1
+    const value = (field) => {
+      const i = header.indexOf(field);
+      return i === -1 ? "" : String(cells[i] ?? "").trim();
+    };
+
+    const enrollNo = value("enrollNo");
+    const rawStatus = value("status");
+    const rawDate = value("date");
+    const sessionName = normalizeSession(value("sessionName") || defaultSession);
+    const remarks = value("remarks");
+
+    const rowErrors = [];
+    const student = enrollNo ? studentsByEnroll.get(enrollNo.toLowerCase()) : null;
+    if (!enrollNo) rowErrors.push("enrollNo is empty");
+    else if (!student) rowErrors.push(`No student with enrollNo ${enrollNo} in this class`);
+
+    const day = parseIsoDay(rawDate);
+    if (!day) rowErrors.push(`Invalid date "${rawDate}" (use YYYY-MM-DD)`);
+    else if (day.getTime() >= endOfToday) rowErrors.push("Date is in the future");
+
+    const status = STATUS_ALIASES[rawStatus.toLowerCase()];
+    if (!status) {
+      rowErrors.push(`Invalid status "${rawStatus}". Allowed: ${ATTENDANCE_STATUSES.join(", ")}`);
+    }
+
+    if (!rowErrors.length) {
+      const key = `${student._id}|${day.toISOString()}|${sessionName}`;
+      if (seen.has(key)) {
+        rowErrors.push(`Duplicate of row ${seen.get(key)}`);
+      } else {
+        seen.set(key, rowNo);
+      }
+    }
+
+    if (rowErrors.length) {
+      errors.push({ row: rowNo, enrollNo, message: rowErrors.join("; ") });
+      return;
+    }
+
+    entries.push({
+      row: rowNo,
+      student,
+      day,
+      sessionName,
+      status,
+      remarks: remarks.slice(0, 500),
+    });
+  });
+
+  return { entries, errors };
+}
+
+module.exports = { MAX_ROWS, parseCsv, validateImportRows };
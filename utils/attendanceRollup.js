@@ -0,0 +1,93 @@
+// utils/attendanceRollup.js
+// Turns the sessions of one day (Period 1, Lab, ...) into a single day status.
+
+const DEFAULT_SESSION = "Day";
+
+// used when a class has no attendanceRules of its own
+const DEFAULT_RULES = {
+  presentMinRatio: 1, // share of sessions attended to count the day as Present
+  partialMinRatio: 0.5, // below presentMinRatio but at least this → Partial
+  lateCredit: 1, // how much a Late session counts as attended
+  halfDayCredit: 0.5,
+  partialCredit: 0.5, // how much a rolled-up Partial day counts in percentages
+};
+
+const resolveRules = (rules) => {
+  const set = Object.entries(rules || {}).filter(
+    ([key, value]) => key in DEFAULT_RULES && typeof value === "number"
+  );
+  return { ...DEFAULT_RULES, ...Object.fromEntries(set) };
+};
+
+// legacy single-session documents have no sessionName
+const sessionNameFilter = (name) =>
+  !name || name === DEFAULT_SESSION ? { $in: [DEFAULT_SESSION, null] } : name;
+
+/**
+ * statuses: the student's statuses across the day's sessions.
+ * A single session keeps its own status; several are rolled up to
+ * Present / Partial / Absent (or Excused when every session was excused).
+ */
+function rollUpDay(statuses, rules) {
+  if (!statuses.length) return "NA";
+  if (statuses.length === 1) return statuses[0];
+
+  const r = resolveRules(rules);
+  const counted = statuses.filter((s) => s !== "Excused");
+  if (!counted.length) return "Excused";
+
+  const credit = counted.reduce((sum, s) => {
+    if (s === "Present") return sum + 1;
+    if (s === "Late") return sum + r.lateCredit;
+    if (s === "HalfDay") return sum + r.halfDayCredit;
+    return sum;
+  }, 0);
+  const ratio = credit / counted.length;
+
+  if (ratio >= r.presentMinRatio) return "Present";
+  if (ratio >= r.partialMinRatio && ratio > 0) return "Partial";
+  return "Absent";
+}
+
+/* ---------- per-status tallies ---------- */
+function countStatuses(statuses) {
+  const counts = { present: 0, absent: 0, late: 0, excused: 0, halfDay: 0, partial: 0 };
+  for (const st of statuses) {
+    if (st === "Present") counts.present++;
+    else if (st === "Absent") counts.absent++;
+    else if (st === "Late") counts.late++;
+    else if (st === "Excused") counts.excused++;
+    else if (st === "HalfDay") counts.halfDay++;
+    else if (st === "Partial") counts.partial++;
+  }
+  return counts;
+}
+
+/**
+ * Share of marked days attended, 0..100 with one decimal.
+ * Excused and unmarked (NA) days are left out; null when nothing counts.
+ */
+function attendancePercentage(counts, rules) {
+  const r = resolveRules(rules);
+  const counted =
+    counts.present + counts.absent + counts.late + counts.halfDay + counts.partial;
+  if (!counted) return null;
+
+  const attended =
+    counts.present +
+    counts.late * r.lateCredit +
+    counts.halfDay * r.halfDayCredit +
+    counts.partial * r.partialCredit;
+
+  return Math.round((attended / counted) * 1000) / 10;
+}
+
+module.exports = {
+  DEFAULT_SESSION,
+  DEFAULT_RULES,
+  resolveRules,
+  sessionNameFilter,
+  rollUpDay,
+  countStatuses,
+  attendancePercentage,
+};
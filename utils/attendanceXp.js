@@ -0,0 +1,218 @@
+// utils/attendanceXp.js
+// XP for attendance: per-day XP for showing up, streak bonuses and optional
+// penalties for unexcused absences. Entries go through utils/xpService.js
+// with source "attendance" and a `ref` per class/day; re-running after an edit
+// adds correcting entries so each ref nets to what the current records earn.
+// Each entry carries its ref's `seq`, unique in the ledger, so overlapping
+// syncs cannot both correct a ref even without transactions.
+const Attendance = require("../models/Attendance");
+const Class = require("../models/Class");
+const Student = require("../models/Student");
+const { rollUpDay } = require("./attendanceRollup");
+const { getCalendarForClass, dayKey, DAY_MS } = require("./calendar");
+const { runInTransaction, awardXpEntries } = require("./xpService");
+
+// used when a class has no attendanceXpRules of its own (disabled by default)
+const DEFAULT_XP_RULES = {
+  enabled: false,
+  presentXP: 5,
+  lateXP: 2,
+  absencePenaltyXP: 0, // XP removed for an unexcused absence
+  streakDays: 5, // bonus every N consecutive present/late working days
+  streakBonusXP: 20,
+};
+
+// how far back streaks are counted when no term is configured
+const STREAK_LOOKBACK_DAYS = 365;
+
+const resolveXpRules = (rules) => {
+  const set = Object.entries(rules || {}).filter(
+    ([key, value]) => key in DEFAULT_XP_RULES && value !== undefined && value !== null
+  );
+  return { ...DEFAULT_XP_RULES, ...Object.fromEntries(set) };
+};
+
+function dayXp(status, rules) {
+  if (status === "Present") return rules.presentXP;
+  if (status === "Late") return rules.lateXP;
+  if (status === "Absent") return -rules.absencePenaltyXP;
+  return 0; // Excused, HalfDay, Partial
+}
+
+/**
+ * XP each ref should total for one student.
+ * daysAsc: [{ day, status }] oldest first, working days with a mark only.
+ * Excused days neither break nor extend a streak; anything other than
+ * Present/Late breaks it.
+ */
+function expectedAttendanceXp(daysAsc, rules, classId) {
+  const expected = new Map();
+  let streak = 0;
+
+  for (const { day, status } of daysAsc) {
+    const key = dayKey(day);
+    const xp = dayXp(status, rules);
+    expected.set(`attendance:${classId}:${key}`, { xp, day, reason: `Attendance ${key}: ${status}` });
+
+    if (status === "Excused") continue;
+    if (status !== "Present" && status !== "Late") {
+      streak = 0;
+      continue;
+    }
+    streak++;
+    if (rules.streakDays > 0 && rules.streakBonusXP && streak % rules.streakDays === 0) {
+      expected.set(`attendance-streak:${classId}:${key}`, {
+        xp: rules.streakBonusXP,
+        day,
+        reason: `${streak}-day attendance streak`,
+      });
+    }
+  }
+  return expected;
+}
+
+/**
+ * Rolled-up working-day marks per student since `since`:
+ * Map(studentId -> [{ day, status }] oldest first).
+ */
+async function attendanceDaysByStudent(cls, since, calendar) {
+  const sessions = await Attendance.find({ classId: cls._id, dateOnlyUTC: { $gte: since } })
+    .select("dateOnlyUTC records.studentId records.status")
+    .lean();
+
+  // studentId -> dayTime -> statuses across that day's sessions
+  const perStudent = new Map();
+  for (const session of sessions) {
+    const t = new Date(session.dateOnlyUTC).getTime();
+    for (const rec of session.records || []) {
+      const sid = String(rec.studentId);
+      if (!perStudent.has(sid)) perStudent.set(sid, new Map());
+      const days = perStudent.get(sid);
+      if (!days.has(t)) days.set(t, []);
+      days.get(t).push(rec.status);
+    }
+  }
+
+  const result = new Map();
+  for (const [sid, days] of perStudent) {
+    result.set(
+      sid,
+      [...days.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([t, statuses]) => ({ day: new Date(t), status: rollUpDay(statuses, cls.attendanceRules) }))
+        .filter(({ day }) => calendar.isWorkingDay(day))
+    );
+  }
+  return result;
+}
+
+// longest run of present/late days; excused days neither break nor extend it
+function longestStreak(daysAsc) {
+  let streak = 0;
+  let best = 0;
+  for (const { status } of daysAsc) {
+    if (status === "Excused") continue;
+    streak = status === "Present" || status === "Late" ? streak + 1 : 0;
+    best = Math.max(best, streak);
+  }
+  return best;
+}
+
+// entries that bring each ref in range from what is booked to what is expected;
+// booked: Map(ref -> { xp, count })
+function correctionEntries(expected, booked, { fromTime, since, now }) {
+  const entries = [];
+  const refs = new Set([...expected.keys(), ...booked.keys()]);
+  for (const ref of refs) {
+    const day = new Date(ref.slice(-10));
+    if (day.getTime() < fromTime || day < since) continue;
+
+    const want = expected.get(ref)?.xp || 0;
+    const { xp: have = 0, count = 0 } = booked.get(ref) || {};
+    if (want === have) continue;
+
+    entries.push({
+      xp: want - have,
+      source: "attendance",
+      reason: have ? `Correction: ${expected.get(ref)?.reason || "attendance changed"}` : expected.get(ref).reason,
+      ref,
+      seq: count,
+      date: now,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Bring the attendance XP of the given students in line with their
+ * records from `from` (a UTC day) onwards; earlier days are left alone.
+ * Safe to call repeatedly; callers run it in the background after a save.
+ */
+async function syncAttendanceXp(classId, studentIds, { from, now = new Date() } = {}) {
+  const cls = await Class.findById(classId).select("attendanceRules attendanceXpRules").lean();
+  if (!cls) return [];
+
+  const rules = resolveXpRules(cls.attendanceXpRules);
+  if (!rules.enabled || !studentIds.length) return [];
+
+  const calendar = await getCalendarForClass(cls._id);
+  const term = calendar.termFor(now);
+  const since = term ? term.startDate : new Date(now.getTime() - STREAK_LOOKBACK_DAYS * DAY_MS);
+  const fromTime = from ? new Date(from).getTime() : since.getTime();
+
+  const perStudent = await attendanceDaysByStudent(cls, since, calendar);
+
+  const updated = [];
+  for (const studentId of studentIds) {
+    const expected = expectedAttendanceXp(perStudent.get(String(studentId)) || [], rules, cls._id);
+
+    // reading what is booked and adding the corrections happen in one
+    // transaction, so overlapping syncs for a student conflict and the
+    // later one is retried against the first one's entries; without
+    // transactions the ledger's unique seq rejects the later one instead
+    const sync = () =>
+      runInTransaction(async (session) => {
+        const student = await Student.findOne({ _id: studentId, classId: cls._id })
+          .select("_id xpHistory.xp xpHistory.ref")
+          .session(session)
+          .lean();
+        if (!student) return null;
+
+        // what has been booked so far, per ref
+        const booked = new Map();
+        for (const h of student.xpHistory || []) {
+          if (!h.ref || !h.ref.startsWith("attendance")) continue;
+          if (!h.ref.includes(`:${cls._id}:`)) continue;
+          const b = booked.get(h.ref) || { xp: 0, count: 0 };
+          booked.set(h.ref, { xp: b.xp + h.xp, count: b.count + 1 });
+        }
+
+        const entries = correctionEntries(expected, booked, { fromTime, since, now });
+        if (!entries.length) return null;
+
+        await awardXpEntries(student._id, entries, { now, session });
+        return { studentId: student._id, delta: entries.reduce((sum, e) => sum + e.xp, 0), entries: entries.length };
+      });
+
+    let result;
+    try {
+      result = await sync();
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      result = await sync(); // another sync booked first; correct against its entries
+    }
+    if (result) updated.push(result);
+  }
+
+  return updated;
+}
+
+module.exports = {
+  DEFAULT_XP_RULES,
+  resolveXpRules,
+  expectedAttendanceXp,
+  STREAK_LOOKBACK_DAYS,
+  attendanceDaysByStudent,
+  longestStreak,
+  syncAttendanceXp,
+};
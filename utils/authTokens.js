@@ -0,0 +1,181 @@
+// utils/authTokens.js
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const Session = require("../models/Session");
+
+const secret = process.env.JWT_SECRET || "change_this";
+const ACCESS_TOKEN_EXPIRES = process.env.ACCESS_TOKEN_EXPIRES || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_COOKIE = "refreshToken";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const requestMeta = (req) => ({
+  userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 300),
+  ip: req?.ip || "",
+});
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, role: user.role, email: user.email, sid: sessionId },
+    secret,
+    { expiresIn: ACCESS_TOKEN_EXPIRES }
+  );
+
+/* =========================
+   ISSUE (login)
+========================= */
+async function issueSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...requestMeta(req),
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+}
+
+/* =========================
+   ROTATE (refresh)
+   - presenting an already-rotated token revokes the session
+========================= */
+async function rotateSession(refreshToken, loadUser, req) {
+  const hash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: hash });
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null });
+    if (reused) {
+      reused.revokedAt = new Date();
+      reused.revokedReason = "refresh_token_reuse";
+      await reused.save();
+    }
+    const e = new Error("Invalid refresh token");
+    e.status = 401;
+    throw e;
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    const e = new Error("Session expired or revoked");
+    e.status = 401;
+    throw e;
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    session.revokedAt = new Date();
+    session.revokedReason = "user_missing";
+    await session.save();
+    const e = new Error("User not found");
+    e.status = 401;
+    throw e;
+  }
+
+  const nextToken = crypto.randomBytes(48).toString("hex");
+  session.previousTokenHash = hash;
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  Object.assign(session, requestMeta(req));
+  await session.save();
+
+  return {
+    user,
+    token: signAccessToken(user, session._id),
+    refreshToken: nextToken,
+    sessionId: session._id,
+  };
+}
+
+/* =========================
+   REVOKE
+========================= */
+async function revokeSessionByToken(refreshToken, reason = "logout") {
+  return Session.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  ).lean();
+}
+
+async function revokeSession(userId, sessionId, reason = "revoked") {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  ).lean();
+}
+
+// revoke every active session for a user, optionally keeping one (the caller's)
+async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount || 0;
+}
+
+async function isSessionActive(sessionId, userId) {
+  const session = await Session.findById(sessionId)
+    .select("user revokedAt expiresAt")
+    .lean();
+
+  return Boolean(
+    session &&
+      !session.revokedAt &&
+      session.expiresAt > new Date() &&
+      String(session.user) === String(userId)
+  );
+}
+
+/* =========================
+   COOKIE HELPERS
+========================= */
+const refreshCookieOptions = () => {
+  const production = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? "none" : "lax",
+    path: "/api/auth",
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  };
+};
+
+const setRefreshCookie = (res, refreshToken) =>
+  res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions());
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+};
+
+const readRefreshToken = (req) =>
+  req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE] || null;
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES,
+  hashToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions,
+  isSessionActive,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshToken,
+};
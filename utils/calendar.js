@@ -0,0 +1,96 @@
+// utils/calendar.js
+// Working-day logic on top of the Calendar model. A class uses its own
+// override when present, otherwise the school calendar; holidays from both
+// apply. With no calendar configured every day counts as a working day.
+const Calendar = require("../models/Calendar");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const startOfUTCDay = (dateLike) => {
+  const d = new Date(dateLike);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const dayKey = (dateLike) => startOfUTCDay(dateLike).toISOString().slice(0, 10);
+
+function buildCalendar(school, override) {
+  const configured = Boolean(school || override);
+  const base = override?.workingWeekdays?.length ? override : school;
+  const weekdays = new Set(base?.workingWeekdays?.length ? base.workingWeekdays : ALL_WEEKDAYS);
+
+  const holidays = new Map();
+  for (const cal of [school, override]) {
+    for (const h of cal?.holidays || []) holidays.set(dayKey(h.date), h.name || "Holiday");
+  }
+
+  const terms = (override?.terms?.length ? override.terms : school?.terms || []).map((t) => ({
+    name: t.name,
+    startDate: startOfUTCDay(t.startDate),
+    endDate: startOfUTCDay(t.endDate),
+  }));
+
+  const termFor = (date) => {
+    const day = startOfUTCDay(date);
+    return terms.find((t) => day >= t.startDate && day <= t.endDate) || null;
+  };
+
+  // "working" | "weekend" | "holiday" | "vacation" (outside every term)
+  const dayType = (date) => {
+    if (holidays.has(dayKey(date))) return "holiday";
+    if (!weekdays.has(new Date(date).getUTCDay())) return "weekend";
+    if (terms.length && !termFor(date)) return "vacation";
+    return "working";
+  };
+
+  const isWorkingDay = (date) => dayType(date) === "working";
+
+  // keeps the time of day; gives up after maxDays and returns the input
+  const shiftToWorkingDay = (date, step, maxDays = 60) => {
+    let d = new Date(date);
+    for (let i = 0; i <= maxDays; i++) {
+      if (isWorkingDay(d)) return d;
+      d = new Date(d.getTime() + step * DAY_MS);
+    }
+    return new Date(date);
+  };
+
+  return {
+    configured,
+    workingWeekdays: [...weekdays].sort(),
+    holidays: [...holidays.entries()].map(([date, name]) => ({ date, name })),
+    terms,
+    dayType,
+    isWorkingDay,
+    termFor,
+    holidayName: (date) => holidays.get(dayKey(date)) || null,
+    nextWorkingDay: (date) => shiftToWorkingDay(date, 1),
+    previousWorkingDay: (date) => shiftToWorkingDay(date, -1),
+  };
+}
+
+async function getCalendarForClass(classId) {
+  const [school, override] = await Promise.all([
+    Calendar.findOne({ classId: null }).lean(),
+    classId ? Calendar.findOne({ classId }).lean() : null,
+  ]);
+  return buildCalendar(school, override);
+}
+
+// due dates falling on a weekend/holiday move to the next working day,
+// unless the client sends adjustForCalendar: false
+async function dueOnWorkingDay(classId, endDate, adjust) {
+  const due = new Date(endDate);
+  if (adjust === false || Number.isNaN(due.getTime())) return due;
+  const calendar = await getCalendarForClass(classId);
+  return calendar.configured ? calendar.nextWorkingDay(due) : due;
+}
+
+module.exports = {
+  DAY_MS,
+  startOfUTCDay,
+  dayKey,
+  buildCalendar,
+  getCalendarForClass,
+  dueOnWorkingDay,
+};
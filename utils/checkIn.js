@@ -0,0 +1,264 @@
+// utils/checkIn.js
+// Student self check-in: rotating codes for an open CheckInWindow, marking
+// Present on check-in and Absent for everyone else when the window closes.
+const crypto = require("crypto");
+const Attendance = require("../models/Attendance");
+const CheckInWindow = require("../models/CheckInWindow");
+const Class = require("../models/Class");
+const Student = require("../models/Student");
+const { sessionNameFilter } = require("./attendanceRollup");
+const { evaluateAbsenceAlerts } = require("./absenceAlerts");
+const { recordRevisions } = require("./attendanceAudit");
+const { syncAttendanceXp } = require("./attendanceXp");
+const { queueAchievementCheck } = require("./achievements");
+
+// no 0/O or 1/I so codes read well off a projector
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+const ROTATE_SECONDS = Number(process.env.CHECKIN_CODE_ROTATE_SECONDS) || 30;
+
+const generateWindowSecret = () => crypto.randomBytes(20).toString("hex");
+
+const stepAt = (window, now) => Math.floor(now.getTime() / 1000 / (window.rotateSeconds || ROTATE_SECONDS));
+
+function codeForStep(secret, step) {
+  const digest = crypto.createHmac("sha256", secret).update(String(step)).digest();
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[digest[i] % CODE_ALPHABET.length];
+  return code;
+}
+
+// window must be loaded with +secret
+function currentCode(window, now = new Date()) {
+  const rotate = window.rotateSeconds || ROTATE_SECONDS;
+  const step = stepAt(window, now);
+  return {
+    code: codeForStep(window.secret, step),
+    expiresAt: new Date((step + 1) * rotate * 1000),
+    rotateSeconds: rotate,
+  };
+}
+
+// the previous code stays valid for one extra period (display / typing lag)
+function matchesCode(window, code, now = new Date()) {
+  const given = String(code || "").toUpperCase().replace(/[\s-]/g, "");
+  if (given.length !== CODE_LENGTH) return false;
+
+  const step = stepAt(window, now);
+  return [step, step - 1].some((s) =>
+    crypto.timingSafeEqual(Buffer.from(codeForStep(window.secret, s)), Buffer.from(given))
+  );
+}
+
+const sessionFilter = (window) => ({
+  classId: window.classId,
+  dateOnlyUTC: window.dateOnlyUTC,
+  sessionName: sessionNameFilter(window.sessionName),
+});
+
+// creates the day's session document if nobody has saved it yet
+async function ensureSession(window) {
+  const cls = await Class.findById(window.classId).select("name").lean();
+  const upsert = () =>
+    Attendance.updateOne(
+      sessionFilter(window),
+      {
+        $setOnInsert: {
+          className: cls?.name,
+          sessionName: window.sessionName,
+          takenBy: window.openedBy,
+          date: window.dateOnlyUTC,
+          records: [],
+        },
+      },
+      { upsert: true }
+    );
+
+  try {
+    await upsert();
+  } catch (err) {
+    // another writer created it first; the retry matches their document
+    if (err.code !== 11000) throw err;
+    await upsert();
+  }
+}
+
+/* ---------- set one student's status without rewriting the others ----------
+   Atomic per record so concurrent check-ins don't overwrite each other;
+   with onlyIfMissing an existing record is left alone. The change is
+   kept as a revision with source "check-in". */
+async function setRecord(window, student, status, remarks, { onlyIfMissing = false, changedBy } = {}) {
+  const filter = sessionFilter(window);
+  const readPrev = () =>
+    Attendance.findOne(filter)
+      .select({ classId: 1, dateOnlyUTC: 1, sessionName: 1, records: { $elemMatch: { studentId: student._id } } })
+      .lean();
+
+  let session = await readPrev();
+  let prev = session?.records?.[0];
+  let changed = false;
+
+  if (!prev) {
+    const res = await Attendance.updateOne(
+      { ...filter, "records.studentId": { $ne: student._id } },
+      {
+        $push: {
+          records: {
+            studentId: student._id,
+            studentName: student.name,
+            enrollNo: student.enrollNo,
+            status,
+            remarks,
+          },
+        },
+      }
+    );
+    changed = res.modifiedCount > 0;
+    // lost a race with another writer: the record exists now
+    if (!changed) {
+      session = await readPrev();
+      prev = session?.records?.[0];
+    }
+  }
+
+  if (prev && !onlyIfMissing) {
+    const res = await Attendance.updateOne(
+      { ...filter, "records.studentId": student._id },
+      { $set: { "records.$.status": status, "records.$.remarks": remarks } }
+    );
+    changed = res.modifiedCount > 0;
+  }
+
+  if (changed) {
+    await recordRevisions(
+      session,
+      [{
+        studentId: student._id,
+        studentName: student.name,
+        oldStatus: prev?.status || null,
+        newStatus: status,
+        oldRemarks: prev?.remarks,
+        newRemarks: remarks,
+      }],
+      { user: changedBy ? { id: changedBy } : null, source: "check-in" }
+    );
+  }
+  return changed;
+}
+
+/**
+ * Check a student in with a code shown by the teacher.
+ * Returns { window, alreadyCheckedIn }; throws with .status on failure.
+ */
+async function recordCheckIn(student, code, now = new Date()) {
+  await closeExpiredWindows(now);
+
+  const windows = await CheckInWindow.find({
+    classId: student.classId,
+    status: "open",
+    closesAt: { $gt: now },
+  }).select("+secret");
+
+  if (!windows.length) {
+    const e = new Error("No check-in is open for your class");
+    e.status = 404;
+    throw e;
+  }
+
+  const window = windows.find((w) => matchesCode(w, code, now));
+  if (!window) {
+    const e = new Error("Invalid or expired check-in code");
+    e.status = 400;
+    throw e;
+  }
+
+  const gate = await CheckInWindow.updateOne(
+    { _id: window._id, status: "open", "checkedIn.student": { $ne: student._id } },
+    { $push: { checkedIn: { student: student._id, at: now } } }
+  );
+
+  if (!gate.modifiedCount) {
+    const fresh = await CheckInWindow.findById(window._id).select("status checkedIn.student").lean();
+    if (fresh?.checkedIn?.some((c) => String(c.student) === String(student._id))) {
+      return { window, alreadyCheckedIn: true };
+    }
+    const e = new Error("Check-in has closed");
+    e.status = 409;
+    throw e;
+  }
+
+  await ensureSession(window);
+  await setRecord(window, student, "Present", "Self check-in", { changedBy: student.user });
+  return { window, alreadyCheckedIn: false };
+}
+
+/**
+ * Close an open window and mark every student without a record Absent.
+ * Returns the closed window, or null if it was already closed.
+ */
+async function closeWindow(windowId, { closedBy = null, now = new Date() } = {}) {
+  const window = await CheckInWindow.findOneAndUpdate(
+    { _id: windowId, status: "open" },
+    { $set: { status: "closed", closedAt: now, ...(closedBy ? { closedBy } : {}) } },
+    { new: true }
+  );
+  if (!window) return null;
+
+  await ensureSession(window);
+
+  const students = await Student.find({ classId: window.classId }).select("_id name enrollNo").lean();
+  const checkedIn = new Set(window.checkedIn.map((c) => String(c.student)));
+
+  const absent = [];
+  for (const student of students) {
+    if (checkedIn.has(String(student._id))) continue;
+    const marked = await setRecord(window, student, "Absent", "Did not check in", {
+      onlyIfMissing: true,
+      changedBy: closedBy || window.openedBy,
+    });
+    if (marked) {
+      absent.push(student._id);
+    }
+  }
+
+  window.absentMarked = absent.length;
+  await window.save();
+
+  evaluateAbsenceAlerts(window.classId, students.map((s) => s._id))
+    .catch((err) => console.error("evaluateAbsenceAlerts error:", err));
+  // badges run after the XP sync so level and XP badges see the new totals
+  syncAttendanceXp(window.classId, students.map((s) => s._id), { from: window.dateOnlyUTC })
+    .catch((err) => console.error("syncAttendanceXp error:", err))
+    .then(() => queueAchievementCheck(students.map((s) => s._id)));
+
+  return window;
+}
+
+// windows nobody closed by hand; called lazily, from the close timer and
+// from the quest scheduler's tick
+async function closeExpiredWindows(now = new Date()) {
+  const expired = await CheckInWindow.find({ status: "open", closesAt: { $lte: now } })
+    .select("_id")
+    .lean();
+  for (const w of expired) await closeWindow(w._id, { now });
+  return expired.length;
+}
+
+// best effort; after a restart the scheduler's tick closes expired windows
+function scheduleClose(window) {
+  const ms = Math.max(0, new Date(window.closesAt).getTime() - Date.now());
+  setTimeout(() => {
+    closeWindow(window._id).catch((err) => console.error("Check-in auto-close error:", err));
+  }, ms).unref();
+}
+
+module.exports = {
+  ROTATE_SECONDS,
+  generateWindowSecret,
+  currentCode,
+  matchesCode,
+  recordCheckIn,
+  closeWindow,
+  closeExpiredWindows,
+  scheduleClose,
+};
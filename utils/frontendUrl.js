@@ -0,0 +1,15 @@
+// utils/frontendUrl.js
+
+// Decide frontend URL (localhost vs production)
+// (top-level navigations such as SSO redirects only carry a Referer)
+const getFrontendUrl = (req) => {
+  const origin = req.headers.origin || req.headers.referer || "";
+
+  if (origin.includes("localhost")) {
+    return process.env.FRONTEND_URL_LOCAL || "http://localhost:3000";
+  }
+
+  return process.env.FRONTEND_URL_PROD || "https://class-craft-gayatri.netlify.app";
+};
+
+module.exports = getFrontendUrl;
@@ -0,0 +1,203 @@
+// utils/leveling.js
+// Level curves as data. A curve maps total XP to a level: linear (every
+// level needs the same XP), exponential (each level needs `factor` times
+// the previous one) or an explicit table of thresholds. Classes use their
+// own curve, else the school curve, else DEFAULT_CURVE.
+const LevelCurve = require("../models/LevelCurve");
+const Student = require("../models/Student");
+
+const TYPES = ["linear", "exponential", "table"];
+const MAX_LEVEL = 1000;
+
+// the historic rule: a level every 100 XP
+const DEFAULT_CURVE = { type: "linear", xpPerLevel: 100, maxLevel: MAX_LEVEL, titles: [] };
+
+const maxLevelOf = (curve) =>
+  curve.type === "table"
+    ? Math.min(curve.maxLevel || Infinity, (curve.thresholds || []).length + 1)
+    : curve.maxLevel || DEFAULT_CURVE.maxLevel;
+
+/**
+ * Total XP needed to reach `level` (level 1 needs 0); Infinity past the
+ * curve's last level.
+ */
+function thresholdFor(curve, level) {
+  if (level <= 1) return 0;
+  if (level > maxLevelOf(curve)) return Infinity;
+
+  if (curve.type === "table") return curve.thresholds[level - 2];
+  if (curve.type === "exponential") {
+    const { baseXP, factor } = curve;
+    if (factor === 1) return baseXP * (level - 1);
+    return Math.round((baseXP * (factor ** (level - 1) - 1)) / (factor - 1));
+  }
+  return curve.xpPerLevel * (level - 1);
+}
+
+function levelFor(curve, xp) {
+  const max = maxLevelOf(curve);
+  let level = 1;
+  while (level < max && thresholdFor(curve, level + 1) <= (xp || 0)) level++;
+  return level;
+}
+
+const titleFor = (curve, level) =>
+  [...(curve.titles || [])].sort((a, b) => b.level - a.level).find((t) => t.level <= level) || null;
+
+/**
+ * Everything the dashboard needs about a student's level. nextLevelXp is
+ * null at the top level.
+ */
+function levelInfo(curve, xp) {
+  const level = levelFor(curve, xp);
+  const currentLevelXp = thresholdFor(curve, level);
+  const next = thresholdFor(curve, level + 1);
+  const nextLevelXp = Number.isFinite(next) ? next : null;
+  const title = titleFor(curve, level);
+
+  return {
+    level,
+    title: title?.title || null,
+    icon: title?.icon || null,
+    xp: xp || 0,
+    currentLevelXp,
+    nextLevelXp,
+    xpIntoLevel: (xp || 0) - currentLevelXp,
+    xpToNextLevel: nextLevelXp === null ? 0 : nextLevelXp - (xp || 0),
+    progressPercent:
+      nextLevelXp === null
+        ? 100
+        : Math.min(100, Math.max(0, Math.floor((((xp || 0) - currentLevelXp) / (nextLevelXp - currentLevelXp)) * 100))),
+    maxLevel: maxLevelOf(curve),
+  };
+}
+
+/**
+ * Validates a curve body. Returns { fields } or { error }.
+ */
+function parseLevelCurve(body = {}) {
+  const { type } = body;
+  if (!TYPES.includes(type)) return { error: `type must be one of ${TYPES.join(", ")}` };
+
+  const fields = { type, xpPerLevel: undefined, baseXP: undefined, factor: undefined, thresholds: [] };
+  const positive = (v) => Number.isFinite(Number(v)) && Number(v) > 0;
+
+  if (type === "linear") {
+    if (!positive(body.xpPerLevel)) return { error: "xpPerLevel must be a positive number" };
+    fields.xpPerLevel = Number(body.xpPerLevel);
+  } else if (type === "exponential") {
+    if (!positive(body.baseXP)) return { error: "baseXP must be a positive number" };
+    const factor = Number(body.factor);
+    if (!Number.isFinite(factor) || factor < 1 || factor > 10) {
+      return { error: "factor must be a number between 1 and 10" };
+    }
+    fields.baseXP = Number(body.baseXP);
+    fields.factor = factor;
+  } else {
+    const t = body.thresholds;
+    if (!Array.isArray(t) || !t.length || t.length >= MAX_LEVEL) {
+      return { error: `thresholds must be a non-empty array (at most ${MAX_LEVEL - 1} entries)` };
+    }
+    const values = t.map(Number);
+    if (values.some((v, i) => !Number.isFinite(v) || v <= 0 || (i > 0 && v <= values[i - 1]))) {
+      return { error: "thresholds must be positive and strictly increasing" };
+    }
+    fields.thresholds = values;
+  }
+
+  if (body.maxLevel !== undefined && body.maxLevel !== null) {
+    const max = Number(body.maxLevel);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_LEVEL) {
+      return { error: `maxLevel must be a whole number between 1 and ${MAX_LEVEL}` };
+    }
+    fields.maxLevel = max;
+  } else {
+    fields.maxLevel = type === "table" ? undefined : DEFAULT_CURVE.maxLevel;
+  }
+
+  if (body.titles !== undefined) {
+    if (!Array.isArray(body.titles)) return { error: "titles must be an array" };
+    const seen = new Set();
+    fields.titles = [];
+    for (const t of body.titles) {
+      const level = Number(t?.level);
+      if (!Number.isInteger(level) || level < 1 || !t?.title || !String(t.title).trim()) {
+        return { error: "Each title needs a level (>= 1) and a title" };
+      }
+      if (seen.has(level)) return { error: `Duplicate title for level ${level}` };
+      seen.add(level);
+      fields.titles.push({
+        level,
+        title: String(t.title).trim().slice(0, 60),
+        ...(t.icon ? { icon: String(t.icon).trim().slice(0, 500) } : {}),
+      });
+    }
+    fields.titles.sort((a, b) => a.level - b.level);
+  }
+
+  return { fields };
+}
+
+async function getLevelCurveForClass(classId) {
+  const [override, school] = await Promise.all([
+    classId ? LevelCurve.findOne({ classId }).lean() : null,
+    LevelCurve.findOne({ classId: null }).lean(),
+  ]);
+  return override || school || DEFAULT_CURVE;
+}
+
+// creates or replaces the school (classId null) or class curve
+function saveLevelCurve(classId, fields, updatedBy) {
+  const $set = { updatedBy };
+  const $unset = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) $unset[key] = "";
+    else $set[key] = value;
+  }
+  return LevelCurve.findOneAndUpdate(
+    { classId },
+    { $set, ...(Object.keys($unset).length ? { $unset } : {}) },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+}
+
+/**
+ * Re-levels students after a curve change: one class, or (classId null)
+ * every class that follows the school curve. No level-up events are
+ * recorded for these. Returns how many students changed level.
+ */
+async function recomputeLevels(classId = null) {
+  let query;
+  if (classId) {
+    query = { classId };
+  } else {
+    const overridden = await LevelCurve.distinct("classId", { classId: { $ne: null } });
+    query = { classId: { $nin: overridden } };
+  }
+
+  const curves = new Map();
+  const students = await Student.find(query).select("classId xp level").lean();
+  const ops = [];
+  for (const s of students) {
+    const key = String(s.classId);
+    if (!curves.has(key)) curves.set(key, await getLevelCurveForClass(s.classId));
+    const level = levelFor(curves.get(key), s.xp);
+    if (level !== s.level) {
+      ops.push({ updateOne: { filter: { _id: s._id, xp: s.xp }, update: { $set: { level } } } });
+    }
+  }
+
+  if (ops.length) await Student.bulkWrite(ops);
+  return ops.length;
+}
+
+module.exports = {
+  DEFAULT_CURVE,
+  thresholdFor,
+  levelFor,
+  levelInfo,
+  parseLevelCurve,
+  getLevelCurveForClass,
+  saveLevelCurve,
+  recomputeLevels,
+};
@@ -0,0 +1,228 @@
+// utils/loginThrottle.js
+const crypto = require("crypto");
+const LoginAttempt = require("../models/LoginAttempt");
+const { hashToken } = require("./authTokens");
+
+const MINUTE = 60 * 1000;
+
+// all thresholds are overridable from the environment
+const config = {
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  windowMinutes: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  ipMaxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  delayBaseMs: Number(process.env.LOGIN_DELAY_BASE_MS) || 500,
+  delayMaxMs: Number(process.env.LOGIN_DELAY_MAX_MS) || 30 * 1000,
+  forgotMaxPerWindow: Number(process.env.FORGOT_MAX_PER_WINDOW) || 3,
+  forgotIpMaxPerWindow: Number(process.env.FORGOT_IP_MAX_PER_WINDOW) || 10,
+  forgotWindowMinutes: Number(process.env.FORGOT_WINDOW_MINUTES) || 60,
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+// 0, base, 2*base, 4*base ... capped at delayMaxMs
+const progressiveDelayMs = (failures) =>
+  failures <= 0
+    ? 0
+    : Math.min(config.delayMaxMs, config.delayBaseMs * 2 ** (failures - 1));
+
+const throttled = (status, code, message, until) => ({
+  status,
+  code,
+  message,
+  retryAfterSeconds: Math.max(1, Math.ceil((until - Date.now()) / 1000)),
+});
+
+/* =========================
+   LOGIN
+========================= */
+
+// returns null when the attempt may proceed, otherwise an error descriptor
+async function checkLogin({ email, ip }) {
+  const [account, address] = await Promise.all([
+    LoginAttempt.findOne({ key: accountKey(email), kind: "login" }).lean(),
+    LoginAttempt.findOne({ key: ipKey(ip), kind: "login" }).lean(),
+  ]);
+  const now = Date.now();
+
+  if (account?.lockedUntil && account.lockedUntil > now) {
+    return throttled(
+      423,
+      "ACCOUNT_LOCKED",
+      "Account temporarily locked after too many failed attempts",
+      account.lockedUntil
+    );
+  }
+
+  if (address?.lockedUntil && address.lockedUntil > now) {
+    return throttled(
+      429,
+      "TOO_MANY_ATTEMPTS",
+      "Too many failed attempts from this address",
+      address.lockedUntil
+    );
+  }
+
+  if (account?.lastFailureAt) {
+    const nextAllowed =
+      new Date(account.lastFailureAt).getTime() +
+      progressiveDelayMs(account.failures);
+    if (nextAllowed > now) {
+      return throttled(
+        429,
+        "SLOW_DOWN",
+        "Please wait before trying again",
+        nextAllowed
+      );
+    }
+  }
+
+  return null;
+}
+
+const isLocked = (doc) => Boolean(doc.lockedUntil && doc.lockedUntil > Date.now());
+
+const notLocked = (now) => ({ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] });
+
+/**
+ * Counts one failure (or forgot-password request) and returns the updated
+ * counter. Every step is a single atomic update, so parallel requests
+ * cannot undercount.
+ */
+async function bumpFailures(key, kind, windowMinutes) {
+  const now = new Date();
+
+  // counters reset once the window has passed or a lock has run out; after
+  // one request resets, firstFailureAt is fresh and the others skip this
+  await LoginAttempt.updateOne(
+    {
+      key,
+      kind,
+      $or: [
+        { $and: [{ firstFailureAt: { $lte: new Date(now.getTime() - windowMinutes * MINUTE) } }, notLocked(now)] },
+        { lockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { failures: 0, firstFailureAt: now }, $unset: { lockedUntil: "", unlockTokenHash: "" } }
+  );
+
+  const bump = () =>
+    LoginAttempt.findOneAndUpdate(
+      { key, kind },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now },
+        $max: { expiresAt: new Date(now.getTime() + windowMinutes * MINUTE) },
+        $setOnInsert: { firstFailureAt: now },
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+  try {
+    return await bump();
+  } catch (err) {
+    // two first failures raced on the unique { key, kind } index
+    if (err.code !== 11000) throw err;
+    return bump();
+  }
+}
+
+// sets the lock unless another request already did; true when this one did
+async function applyLock(doc, fields, lockUntil) {
+  const locked = await LoginAttempt.updateOne(
+    { _id: doc._id, ...notLocked(new Date()) },
+    { $set: { lockedUntil: lockUntil, ...fields }, $max: { expiresAt: lockUntil } }
+  );
+  return locked.modifiedCount > 0;
+}
+
+// returns { locked, unlockToken } — unlockToken only when a lock was just applied
+async function recordLoginFailure({ email, ip }) {
+  const [account, address] = await Promise.all([
+    bumpFailures(accountKey(email), "login", config.windowMinutes),
+    bumpFailures(ipKey(ip), "login", config.windowMinutes),
+  ]);
+
+  let unlockToken = null;
+  let locked = isLocked(account);
+  const lockUntil = new Date(Date.now() + config.lockoutMinutes * MINUTE);
+
+  if (account.failures >= config.maxFailures && !locked) {
+    const token = crypto.randomBytes(32).toString("hex");
+    if (await applyLock(account, { unlockTokenHash: hashToken(token) }, lockUntil)) {
+      unlockToken = token;
+    }
+    locked = true;
+  }
+
+  if (address.failures >= config.ipMaxFailures && !isLocked(address)) {
+    await applyLock(address, {}, lockUntil);
+  }
+
+  return { locked, unlockToken };
+}
+
+async function recordLoginSuccess({ email }) {
+  await LoginAttempt.deleteOne({ key: accountKey(email), kind: "login" });
+}
+
+async function unlockWithToken(token) {
+  const doc = await LoginAttempt.findOneAndDelete({
+    unlockTokenHash: hashToken(token),
+    kind: "login",
+  }).lean();
+  return doc ? doc.key.replace(/^account:/, "") : null;
+}
+
+/* =========================
+   FORGOT PASSWORD
+   - counts every request, not just failures
+========================= */
+async function checkForgotPassword({ email, ip }) {
+  const [account, address] = await Promise.all([
+    bumpFailures(accountKey(email), "forgot", config.forgotWindowMinutes),
+    bumpFailures(ipKey(ip), "forgot", config.forgotWindowMinutes),
+  ]);
+
+  const over =
+    account.failures > config.forgotMaxPerWindow
+      ? account
+      : address.failures > config.forgotIpMaxPerWindow
+      ? address
+      : null;
+
+  if (!over) return null;
+
+  return throttled(
+    429,
+    "TOO_MANY_REQUESTS",
+    "Too many password reset requests, please try again later",
+    new Date(over.firstFailureAt).getTime() + config.forgotWindowMinutes * MINUTE
+  );
+}
+
+/* =========================
+   RESPONSE HELPER
+========================= */
+const sendThrottled = (res, block) => {
+  res.set("Retry-After", String(block.retryAfterSeconds));
+  return res.status(block.status).json({
+    message: block.message,
+    code: block.code,
+    retryAfterSeconds: block.retryAfterSeconds,
+  });
+};
+
+module.exports = {
+  config,
+  accountKey,
+  ipKey,
+  progressiveDelayMs,
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockWithToken,
+  checkForgotPassword,
+  sendThrottled,
+};
@@ -0,0 +1,228 @@
+// utils/oidc.js
+// Generic OpenID Connect authorization-code flow (PKCE + nonce).
+//
+// Providers come from OIDC_PROVIDERS (JSON array), e.g.
+// [{
+//   "name": "school", "issuer": "https://idp.example.edu",
+//   "clientId": "...", "clientSecret": "...",
+//   "redirectUri": "https://api.example.com/api/auth/oidc/school/callback",
+//   "groupsClaim": "groups",
+//   "roleMap": { "admin": ["cc-admins"], "teacher": ["staff"] },
+//   "defaultRole": "student", "allowProvisioning": true,
+//   "idTokenAlgs": ["RS256"]
+// }]
+// Endpoints are discovered from the issuer unless given explicitly
+// (authorizationEndpoint, tokenEndpoint, jwksUri), which keeps a local
+// mock IdP simple. id_tokens are only accepted in the idTokenAlgs listed
+// (RS256 by default); the client secret verifies them only when an HS*
+// algorithm is listed there.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ROLE_PRIORITY = ["admin", "teacher", "student"];
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+const discoveryCache = new Map(); // issuer -> { at, doc }
+const jwksCache = new Map(); // jwksUri -> { at, keys }
+
+const oidcError = (message, status = 400) => {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+};
+
+function loadProviders() {
+  if (!process.env.OIDC_PROVIDERS) return [];
+  try {
+    const list = JSON.parse(process.env.OIDC_PROVIDERS);
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    console.error("❌ OIDC_PROVIDERS is not valid JSON:", err.message);
+    return [];
+  }
+}
+
+function getProvider(name) {
+  const provider = loadProviders().find((p) => p.name === name);
+  if (!provider) throw oidcError("Unknown identity provider", 404);
+  if (!provider.issuer || !provider.clientId || !provider.redirectUri) {
+    throw oidcError("Identity provider is not fully configured", 500);
+  }
+  return {
+    scopes: "openid email profile",
+    groupsClaim: "groups",
+    roleMap: {},
+    defaultRole: "student",
+    allowProvisioning: true,
+    idTokenAlgs: ["RS256"],
+    ...provider,
+  };
+}
+
+const listProviders = () =>
+  loadProviders().map((p) => ({ name: p.name, label: p.label || p.name }));
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw oidcError(
+      `Identity provider request failed (${response.status}): ${
+        body.error_description || body.error || url
+      }`,
+      502
+    );
+  }
+  return body;
+}
+
+async function getEndpoints(provider) {
+  if (provider.authorizationEndpoint && provider.tokenEndpoint) {
+    return {
+      authorization_endpoint: provider.authorizationEndpoint,
+      token_endpoint: provider.tokenEndpoint,
+      jwks_uri: provider.jwksUri,
+    };
+  }
+
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.at < DISCOVERY_TTL_MS) return cached.doc;
+
+  const doc = await fetchJson(
+    `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+  );
+  discoveryCache.set(provider.issuer, { at: Date.now(), doc });
+  return doc;
+}
+
+/* =========================
+   AUTHORIZATION REQUEST
+========================= */
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const pkceChallenge = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("base64url");
+
+async function buildAuthorizationUrl(provider) {
+  const endpoints = await getEndpoints(provider);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  const url = new URL(endpoints.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: pkceChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/* =========================
+   TOKEN EXCHANGE + ID TOKEN
+========================= */
+async function exchangeCode(provider, code, codeVerifier) {
+  const endpoints = await getEndpoints(provider);
+
+  const form = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) form.set("client_secret", provider.clientSecret);
+
+  const tokens = await fetchJson(endpoints.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: form.toString(),
+  });
+
+  if (!tokens.id_token) throw oidcError("Identity provider returned no id_token", 502);
+  return tokens;
+}
+
+async function getSigningKey(provider, header) {
+  // HS* tokens are signed with the client secret (common for mock IdPs);
+  // verifyIdToken only gets here for algorithms the provider lists
+  if (/^HS/.test(header.alg)) {
+    if (!provider.clientSecret) throw oidcError("Cannot verify HS-signed id_token", 502);
+    return provider.clientSecret;
+  }
+
+  const { jwks_uri: jwksUri } = await getEndpoints(provider);
+  if (!jwksUri) throw oidcError("Identity provider has no jwks_uri", 502);
+
+  const findKey = (keys) =>
+    keys.find((k) => (header.kid ? k.kid === header.kid : k.use !== "enc"));
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && findKey(cached.keys);
+
+  // unknown kid: the IdP may have rotated keys, refetch once
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, { at: Date.now(), keys });
+    jwk = findKey(keys);
+  }
+  if (!jwk) throw oidcError("No matching signing key for id_token", 502);
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) throw oidcError("Malformed id_token", 502);
+  if (decoded.header.alg === "none") throw oidcError("Unsigned id_token rejected", 502);
+  if (!provider.idTokenAlgs.includes(decoded.header.alg)) {
+    throw oidcError(`id_token algorithm ${decoded.header.alg} is not allowed`, 401);
+  }
+
+  const key = await getSigningKey(provider, decoded.header);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: provider.idTokenAlgs,
+      issuer: provider.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60,
+    });
+  } catch (err) {
+    throw oidcError(`Invalid id_token: ${err.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) throw oidcError("id_token nonce mismatch", 401);
+  return claims;
+}
+
+/* =========================
+   ROLE MAPPING
+   highest matching role wins; null when no group is mapped
+========================= */
+function resolveRole(provider, claims) {
+  const raw = claims[provider.groupsClaim];
+  const groups = new Set(Array.isArray(raw) ? raw : raw ? [raw] : []);
+
+  for (const role of ROLE_PRIORITY) {
+    const mapped = provider.roleMap[role] || [];
+    if (mapped.some((g) => groups.has(g))) return role;
+  }
+  return null;
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  resolveRole,
+};
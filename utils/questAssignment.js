@@ -0,0 +1,62 @@
+// utils/questAssignment.js
+// Differentiated quests. A quest with no assignedTo entries is for the
+// whole class; otherwise it is for the listed students plus the members
+// of the listed groups (Student.groups, e.g. "remedial", "advanced").
+const mongoose = require("mongoose");
+const Student = require("../models/Student");
+
+const MAX_GROUPS = 20;
+
+// group names are case-insensitive labels
+const normalizeGroups = (groups) =>
+  [...new Set((Array.isArray(groups) ? groups : String(groups || "").split(","))
+    .map((g) => String(g).trim().toLowerCase().slice(0, 40))
+    .filter(Boolean))].slice(0, MAX_GROUPS);
+
+const isWholeClass = (quest) =>
+  !quest.assignedTo?.students?.length && !quest.assignedTo?.groups?.length;
+
+function isAssignedTo(quest, student) {
+  if (isWholeClass(quest)) return true;
+  if ((quest.assignedTo.students || []).some((id) => String(id) === String(student._id))) return true;
+  const groups = new Set(student.groups || []);
+  return (quest.assignedTo.groups || []).some((g) => groups.has(g));
+}
+
+// Quest query condition matching what isAssignedTo accepts
+const assignedToFilter = (student) => ({
+  $or: [
+    { "assignedTo.students.0": { $exists: false }, "assignedTo.groups.0": { $exists: false } },
+    { "assignedTo.students": student._id },
+    { "assignedTo.groups": { $in: student.groups || [] } },
+  ],
+});
+
+/**
+ * Validates an assignedTo body for a quest in classId; null (or empty
+ * lists) assigns the quest to the whole class. Returns { assignedTo } or
+ * { error }.
+ */
+async function parseAssignment(input, classId) {
+  if (input === null) return { assignedTo: { students: [], groups: [] } };
+  if (typeof input !== "object") return { error: "assignedTo must be an object" };
+
+  const ids = [...new Set((input.students || []).map(String))];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "assignedTo.students contains an invalid id" };
+  }
+  if (ids.length) {
+    const count = await Student.countDocuments({ _id: { $in: ids }, classId });
+    if (count !== ids.length) return { error: "Assigned students must belong to the quest's class" };
+  }
+
+  return { assignedTo: { students: ids, groups: normalizeGroups(input.groups || []) } };
+}
+
+module.exports = {
+  normalizeGroups,
+  isWholeClass,
+  isAssignedTo,
+  assignedToFilter,
+  parseAssignment,
+};
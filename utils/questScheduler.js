@@ -0,0 +1,231 @@
+// utils/questScheduler.js
+// In-process quest lifecycle: generates recurring quest occurrences, opens
+// Scheduled quests at startDate, closes Active ones at endDate and emails
+// due-soon reminders. Each tick also closes expired check-in windows, so
+// they are closed even when no timer survived a restart, and retries team
+// quest completions a review did not get through. Every job takes
+// `now`, and createQuestScheduler takes a clock, so runs can be driven
+// with a fake clock.
+const Quest = require("../models/Quest");
+const Student = require("../models/Student");
+const Submission = require("../models/Submission");
+const User = require("../models/User");
+const sendEmail = require("./sendEmail");
+const { evaluateQuestAccess, completedQuestIds } = require("./questUnlock");
+const { generateRecurringQuests } = require("./questSeries");
+const { isAssignedTo, assignedToFilter } = require("./questAssignment");
+const { closeExpiredWindows } = require("./checkIn");
+const { completePendingTeamQuests } = require("./teamQuest");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const INTERVAL_MS = Number(process.env.QUEST_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const REMINDER_HOURS = Number(process.env.QUEST_REMINDER_HOURS) || 24;
+
+// status a quest should have for its dates
+function statusForDates(startDate, endDate, now = new Date()) {
+  if (new Date(startDate) > now) return "Scheduled";
+  if (new Date(endDate) <= now) return "Completed";
+  return "Active";
+}
+
+/* =========================
+   JOBS
+========================= */
+
+async function openDueQuests(now) {
+  const res = await Quest.updateMany(
+    { status: "Scheduled", startDate: { $lte: now }, endDate: { $gt: now } },
+    { $set: { status: "Active", openedAt: now } }
+  );
+  return res.modifiedCount;
+}
+
+// also catches Scheduled quests whose whole window passed while we were down
+async function closeEndedQuests(now) {
+  const res = await Quest.updateMany(
+    { status: { $in: ["Scheduled", "Active"] }, endDate: { $lte: now } },
+    { $set: { status: "Completed", closedAt: now } }
+  );
+  return res.modifiedCount;
+}
+
+// students of the class who can still work on the quest
+async function studentsToRemind(quest) {
+  const students = await Student.find({ classId: quest.classId })
+    .select("_id user name groups xp level completedQuests")
+    .lean();
+
+  const submitted = new Set(
+    (
+      await Submission.find({ quest: quest._id, status: { $in: ["pending", "approved"] } })
+        .select("student")
+        .lean()
+    ).map((s) => String(s.student))
+  );
+
+  const due = [];
+  for (const student of students) {
+    if (!isAssignedTo(quest, student)) continue;
+    if (submitted.has(String(student._id))) continue;
+    if (completedQuestIds(student).has(String(quest._id))) continue;
+
+    const { access } = await evaluateQuestAccess(student, [quest]);
+    if (access.get(String(quest._id)).unlocked) due.push(student);
+  }
+  return due;
+}
+
+async function sendDueSoonReminders(now) {
+  const horizon = new Date(now.getTime() + REMINDER_HOURS * HOUR_MS);
+  let sent = 0;
+
+  for (;;) {
+    // claim one quest at a time so two ticks never email twice
+    const quest = await Quest.findOneAndUpdate(
+      { status: "Active", endDate: { $gt: now, $lte: horizon }, reminderSentAt: null },
+      { $set: { reminderSentAt: now } },
+      { new: true }
+    ).lean();
+    if (!quest) break;
+
+    const students = await studentsToRemind(quest);
+    const users = await User.find({ _id: { $in: students.map((s) => s.user) } })
+      .select("email preferences")
+      .lean();
+
+    const hoursLeft = Math.max(1, Math.round((new Date(quest.endDate) - now) / HOUR_MS));
+    for (const user of users) {
+      if (!user.email || user.preferences?.notifications === false) continue;
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: `Quest due soon: ${quest.title}`,
+          text:
+            `"${quest.title}" is due in about ${hoursLeft} hour(s) ` +
+            `(${new Date(quest.endDate).toUTCString()}).\n\n` +
+            `Submit your work before it closes to earn ${quest.rewardXP} XP.\n\n` +
+            `— ClassCraft`,
+        });
+        sent++;
+      } catch (err) {
+        console.error("Quest reminder email failed:", err.message);
+      }
+    }
+  }
+
+  return sent;
+}
+
+async function runQuestLifecycle(now = new Date()) {
+  const closed = await closeEndedQuests(now);
+  const generated = await generateRecurringQuests(now);
+  const opened = await openDueQuests(now);
+  const reminders = await sendDueSoonReminders(now);
+  const checkInsClosed = await closeExpiredWindows(now);
+  const teamQuestsCompleted = await completePendingTeamQuests(now);
+  return { generated, opened, closed, reminders, checkInsClosed, teamQuestsCompleted };
+}
+
+/* =========================
+   SCHEDULER
+========================= */
+
+/**
+ * clock: () => Date, replaceable in tests. tick() runs one pass and is
+ * what the interval calls; overlapping ticks are skipped.
+ */
+function createQuestScheduler({ clock = () => new Date(), intervalMs = INTERVAL_MS } = {}) {
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    if (running) return null;
+    running = true;
+    try {
+      return await runQuestLifecycle(clock());
+    } catch (err) {
+      console.error("Quest scheduler error:", err);
+      return null;
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    tick,
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+      tick();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+/* =========================
+   STUDENT VIEW
+========================= */
+
+/**
+ * Upcoming (open, due within `days`), overdue (closed without being
+ * completed) and scheduled (opening within `days`) quests for a student.
+ */
+async function buildStudentSchedule(student, { now = new Date(), days = 7 } = {}) {
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+
+  const quests = await Quest.find({ classId: student.classId, ...assignedToFilter(student) })
+    .select("title difficulty rewardXP startDate endDate status prerequisites questline questlineOrder")
+    .sort({ endDate: 1 })
+    .lean();
+
+  const completed = completedQuestIds(student);
+  const submissions = await Submission.find({ student: student._id, quest: { $in: quests.map((q) => q._id) } })
+    .sort({ attempt: 1 })
+    .select("quest status")
+    .lean();
+  const latest = new Map(submissions.map((s) => [String(s.quest), s.status]));
+
+  const { access } = await evaluateQuestAccess(student, quests);
+  const view = (q) => ({
+    _id: q._id,
+    title: q.title,
+    difficulty: q.difficulty,
+    rewardXP: q.rewardXP,
+    startDate: q.startDate,
+    dueDate: q.endDate,
+    submission: latest.get(String(q._id)) || null,
+  });
+
+  const done = (q) => completed.has(String(q._id)) || latest.get(String(q._id)) === "approved";
+
+  return {
+    now,
+    upcoming: quests
+      .filter((q) => q.status === "Active" && new Date(q.endDate) <= horizon && !done(q))
+      .filter((q) => access.get(String(q._id)).unlocked)
+      .map((q) => ({ ...view(q), hoursLeft: Math.max(0, Math.round((new Date(q.endDate) - now) / HOUR_MS)) })),
+    overdue: quests
+      .filter((q) => new Date(q.endDate) <= now && !done(q) && latest.get(String(q._id)) !== "pending")
+      .filter((q) => access.get(String(q._id)).unlocked)
+      .map(view),
+    scheduled: quests
+      .filter((q) => q.status === "Scheduled" && new Date(q.startDate) <= horizon)
+      .map(view),
+  };
+}
+
+module.exports = {
+  statusForDates,
+  openDueQuests,
+  closeEndedQuests,
+  sendDueSoonReminders,
+  runQuestLifecycle,
+  createQuestScheduler,
+  buildStudentSchedule,
+};
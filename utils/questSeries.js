@@ -0,0 +1,207 @@
+// utils/questSeries.js
+// Recurring quests: rule parsing, occurrence dates and generation of the
+// Quest documents for each occurrence (run by the quest scheduler).
+const Quest = require("../models/Quest");
+const QuestSeries = require("../models/QuestSeries");
+const Submission = require("../models/Submission");
+const { getCalendarForClass, startOfUTCDay, dayKey, DAY_MS } = require("./calendar");
+
+// occurrences are created this far ahead so students see them as Scheduled
+const LOOKAHEAD_DAYS = Number(process.env.QUEST_SERIES_LOOKAHEAD_DAYS) || 7;
+const MAX_OCCURRENCES = 500;
+
+/**
+ * Validates a recurrence body against the first occurrence's start.
+ * Returns { recurrence } or { error }.
+ */
+function parseRecurrence(input, startDate) {
+  if (!input || typeof input !== "object") return { error: "recurrence must be an object" };
+
+  const { frequency } = input;
+  if (!["daily", "weekly"].includes(frequency)) {
+    return { error: "recurrence.frequency must be daily or weekly" };
+  }
+
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return { error: "recurrence.interval must be a whole number between 1 and 52" };
+  }
+
+  const recurrence = {
+    frequency,
+    interval,
+    weekdays: [],
+    skipNonWorkingDays: input.skipNonWorkingDays === undefined ? true : Boolean(input.skipNonWorkingDays),
+  };
+
+  if (frequency === "weekly") {
+    const days = input.weekdays === undefined ? [new Date(startDate).getUTCDay()] : input.weekdays;
+    if (!Array.isArray(days) || !days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: "recurrence.weekdays must be a non-empty array of 0 (Sunday) to 6 (Saturday)" };
+    }
+    recurrence.weekdays = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (input.until !== undefined && input.until !== null) {
+    const until = new Date(input.until);
+    if (Number.isNaN(until.getTime()) || until < new Date(startDate)) {
+      return { error: "recurrence.until must be a date after the start" };
+    }
+    recurrence.until = until;
+  }
+  if (input.count !== undefined && input.count !== null) {
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return { error: `recurrence.count must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+    recurrence.count = count;
+  }
+  if (!recurrence.until && !recurrence.count) {
+    return { error: "recurrence needs an until date or a count" };
+  }
+
+  return { recurrence };
+}
+
+/**
+ * Occurrence days (UTC) of a series in order, up to `to`. Days skipped
+ * for the calendar never count; days cancelled by a teacher still count
+ * towards `count` but are flagged { skipped: true }.
+ */
+function occurrenceDays(series, to, calendar) {
+  const rule = series.recurrence;
+  const first = startOfUTCDay(series.startDate);
+  const last = rule.until ? startOfUTCDay(rule.until) : null;
+  const skipped = new Set((series.skippedDates || []).map(dayKey));
+
+  const days = [];
+  for (let day = first; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    if (last && day > last) break;
+    if (rule.count && days.length >= rule.count) break;
+    if (days.length >= MAX_OCCURRENCES) break;
+
+    const offset = Math.round((day - first) / DAY_MS);
+    const matches =
+      rule.frequency === "daily"
+        ? offset % rule.interval === 0
+        : rule.weekdays.includes(day.getUTCDay()) &&
+          Math.floor((offset + first.getUTCDay()) / 7) % rule.interval === 0;
+    if (!matches) continue;
+    if (rule.skipNonWorkingDays && calendar && !calendar.isWorkingDay(day)) continue;
+
+    days.push({ day, skipped: skipped.has(dayKey(day)) });
+  }
+  return days;
+}
+
+// true once every occurrence up to `horizon` covers the whole rule
+function seriesFinished(series, days, horizon) {
+  const rule = series.recurrence;
+  if (rule.count && days.length >= rule.count) return true;
+  return Boolean(rule.until && startOfUTCDay(rule.until) <= horizon);
+}
+
+const occurrenceFields = (series, day) => {
+  const timeOfDay = new Date(series.startDate) - startOfUTCDay(series.startDate);
+  const startDate = new Date(day.getTime() + timeOfDay);
+  return {
+    title: series.title,
+    description: series.description,
+    classId: series.classId,
+    difficulty: series.difficulty,
+    rewardXP: series.rewardXP,
+    rubric: series.rubric || null,
+    assignedTo: series.assignedTo || { students: [], groups: [] },
+    startDate,
+    endDate: new Date(startDate.getTime() + series.durationMinutes * 60 * 1000),
+    createdBy: series.createdBy,
+  };
+};
+
+/**
+ * Create the missing occurrences of one series up to now + lookahead.
+ * Idempotent: occurrences are upserted on (series, occurrenceDate).
+ * `series` may be stale: a series cancelled while this runs gets no new
+ * occurrences, and whatever this run created is removed again.
+ */
+async function generateOccurrences(series, now = new Date()) {
+  if (series.status !== "active") return 0;
+
+  const horizon = startOfUTCDay(new Date(now.getTime() + LOOKAHEAD_DAYS * DAY_MS));
+  const calendar = await getCalendarForClass(series.classId);
+  const days = occurrenceDays(series, horizon, calendar);
+
+  const stillActive = () => QuestSeries.exists({ _id: series._id, status: "active" });
+
+  const createdIds = [];
+  for (const { day, skipped } of days) {
+    if (skipped) continue;
+    if (series.generatedUntil && day <= series.generatedUntil) continue;
+
+    const fields = occurrenceFields(series, day);
+    if (fields.endDate <= now) continue; // missed while the server was down
+    if (!(await stillActive())) break;
+
+    const res = await Quest.updateOne(
+      { series: series._id, occurrenceDate: day },
+      {
+        $setOnInsert: {
+          ...fields,
+          status: fields.startDate > now ? "Scheduled" : "Active",
+          series: series._id,
+          occurrenceDate: day,
+        },
+      },
+      { upsert: true }
+    );
+    if (res.upsertedId) createdIds.push(res.upsertedId);
+  }
+
+  const update = { generatedUntil: horizon };
+  if (seriesFinished(series, days, horizon)) update.status = "ended";
+  const res = await QuestSeries.updateOne({ _id: series._id, status: "active" }, { $set: update });
+
+  // cancelled between the last check and an upsert (the cancel flips the
+  // status before removing occurrences, so anything later is caught here)
+  if (!res.matchedCount) {
+    if (createdIds.length) await Quest.deleteMany({ _id: { $in: createdIds } });
+    return 0;
+  }
+  return createdIds.length;
+}
+
+async function generateRecurringQuests(now = new Date()) {
+  const seriesList = await QuestSeries.find({ status: "active" }).lean();
+  let created = 0;
+  for (const series of seriesList) created += await generateOccurrences(series, now);
+  return created;
+}
+
+/**
+ * Future occurrences that nobody has worked on yet; these follow series
+ * edits and are removed when the series is cancelled or rescheduled.
+ */
+async function untouchedFutureOccurrences(seriesId, now = new Date(), { includeExceptions = false } = {}) {
+  const quests = await Quest.find({
+    series: seriesId,
+    startDate: { $gt: now },
+    ...(includeExceptions ? {} : { seriesException: { $ne: true } }),
+  })
+    .select("_id occurrenceDate")
+    .lean();
+
+  const withWork = new Set(
+    (await Submission.distinct("quest", { quest: { $in: quests.map((q) => q._id) } })).map(String)
+  );
+  return quests.filter((q) => !withWork.has(String(q._id)));
+}
+
+module.exports = {
+  LOOKAHEAD_DAYS,
+  parseRecurrence,
+  occurrenceDays,
+  occurrenceFields,
+  generateOccurrences,
+  generateRecurringQuests,
+  untouchedFutureOccurrences,
+};
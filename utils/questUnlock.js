@@ -0,0 +1,224 @@
+// utils/questUnlock.js
+// Quest prerequisites and questline progress. A quest is unlocked for a
+// student when every prerequisite quest is completed, the student has the
+// minimum level / XP, and (in a sequential questline) the previous quest
+// of the line is completed. The previous quest is judged against the whole
+// line, whatever the caller passes in; quests of the line the student was
+// not assigned, or missed before they closed, are skipped over.
+const mongoose = require("mongoose");
+const Quest = require("../models/Quest");
+const Questline = require("../models/Questline");
+const { isAssignedTo } = require("./questAssignment");
+
+// completedQuests holds { quest } entries (older data: bare ids)
+const completedQuestIds = (student) =>
+  new Set((student.completedQuests || []).map((c) => String(c?.quest || c)));
+
+// questId -> the quest before it in its line, in the order given
+function previousInLines(lineQuests) {
+  const byLine = new Map();
+  for (const q of lineQuests) {
+    const key = String(q.questline);
+    if (!byLine.has(key)) byLine.set(key, []);
+    byLine.get(key).push(q);
+  }
+
+  const previous = new Map();
+  for (const line of byLine.values()) {
+    line.sort((a, b) => a.questlineOrder - b.questlineOrder);
+    line.forEach((q, i) => {
+      if (i > 0) previous.set(String(q._id), line[i - 1]);
+    });
+  }
+  return previous;
+}
+
+/**
+ * Every quest of the given sequential lines that can hold the student
+ * back: assigned to them, and either completed by them or still open or
+ * upcoming. Each quest's lock is judged against the one before it here.
+ */
+async function sequentialLineQuests(student, lineIds, completed) {
+  if (!lineIds.length) return [];
+  const quests = await Quest.find({ questline: { $in: lineIds } })
+    .select("title questline questlineOrder status assignedTo")
+    .lean();
+  return quests.filter(
+    (q) => isAssignedTo(q, student) && (q.status !== "Completed" || completed.has(String(q._id)))
+  );
+}
+
+/**
+ * quests: the class quests to evaluate (lean, with prerequisites/questline).
+ * Returns { access: Map(questId -> { unlocked, reasons }), questlines }
+ * where questlines lists each line's progress for the dashboard.
+ */
+async function evaluateQuestAccess(student, quests) {
+  const completed = completedQuestIds(student);
+
+  const lineIds = [...new Set(quests.filter((q) => q.questline).map((q) => String(q.questline)))];
+  const lines = lineIds.length
+    ? await Questline.find({ _id: { $in: lineIds } }).select("title description sequential").lean()
+    : [];
+  const linesById = new Map(lines.map((l) => [String(l._id), l]));
+
+  // titles for prerequisite quests outside the given list
+  const known = new Map(quests.map((q) => [String(q._id), q]));
+  const unknownIds = [
+    ...new Set(quests.flatMap((q) => (q.prerequisites?.quests || []).map(String))),
+  ].filter((id) => !known.has(id));
+  if (unknownIds.length) {
+    const extra = await Quest.find({ _id: { $in: unknownIds } }).select("title").lean();
+    for (const q of extra) known.set(String(q._id), q);
+  }
+
+  const sequentialIds = lines.filter((l) => l.sequential).map((l) => l._id);
+  const lineQuests = await sequentialLineQuests(student, sequentialIds, completed);
+  for (const q of lineQuests) if (!known.has(String(q._id))) known.set(String(q._id), q);
+  const previous = previousInLines(lineQuests);
+  const access = new Map();
+
+  for (const q of quests) {
+    const reasons = [];
+    const required = (q.prerequisites?.quests || []).map(String);
+    const prev = previous.get(String(q._id));
+    if (prev && !required.includes(String(prev._id))) required.push(String(prev._id));
+
+    for (const id of required) {
+      // a deleted prerequisite no longer holds anything back
+      if (!known.has(id)) continue;
+      if (!completed.has(id)) {
+        reasons.push(`Complete "${known.get(id)?.title || "a previous quest"}" first`);
+      }
+    }
+    if (q.prerequisites?.minLevel && (student.level || 1) < q.prerequisites.minLevel) {
+      reasons.push(`Reach level ${q.prerequisites.minLevel}`);
+    }
+    if (q.prerequisites?.minXP && (student.xp || 0) < q.prerequisites.minXP) {
+      reasons.push(`Earn ${q.prerequisites.minXP} XP`);
+    }
+
+    access.set(String(q._id), { unlocked: !reasons.length, reasons });
+  }
+
+  const questlines = lines.map((line) => {
+    const chain = quests
+      .filter((q) => String(q.questline) === String(line._id))
+      .sort((a, b) => a.questlineOrder - b.questlineOrder);
+    const done = chain.filter((q) => completed.has(String(q._id))).length;
+    const next = chain.find((q) => !completed.has(String(q._id)));
+
+    return {
+      _id: line._id,
+      title: line.title,
+      description: line.description || "",
+      total: chain.length,
+      completed: done,
+      percent: chain.length ? Math.round((done / chain.length) * 100) : 0,
+      next: next
+        ? { _id: next._id, title: next.title, unlocked: access.get(String(next._id)).unlocked }
+        : null,
+    };
+  });
+
+  return { access, questlines };
+}
+
+/* ---------- prerequisite graph checks for quest create/update ---------- */
+
+// true when following prerequisite edges from `start` leads back to it
+function hasCycle(edges, start) {
+  const seen = new Set();
+  const stack = [...(edges.get(start) || [])];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === start) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(edges.get(id) || []));
+  }
+  return false;
+}
+
+/**
+ * True when the class's quests would require each other in a loop through
+ * one of the changed quests. Both prerequisites and the order of sequential
+ * questlines count. changes: { [questId]: { prerequisites?, questline?,
+ * questlineOrder? } } applied over the stored quests; lineChanges:
+ * { [questlineId]: { sequential } }.
+ */
+async function createsCycle(classId, changes, lineChanges = {}) {
+  const quests = (
+    await Quest.find({ classId }).select("_id prerequisites.quests questline questlineOrder").lean()
+  ).map((q) => ({ ...q, ...changes[String(q._id)] }));
+
+  const lineIds = [...new Set(quests.filter((q) => q.questline).map((q) => String(q.questline)))];
+  const lines = lineIds.length
+    ? await Questline.find({ _id: { $in: lineIds } }).select("sequential").lean()
+    : [];
+  const sequential = new Set(
+    lines.filter((l) => lineChanges[String(l._id)]?.sequential ?? l.sequential).map((l) => String(l._id))
+  );
+
+  const edges = new Map(quests.map((q) => [String(q._id), (q.prerequisites?.quests || []).map(String)]));
+  const previous = previousInLines(quests.filter((q) => q.questline && sequential.has(String(q.questline))));
+  for (const [id, prev] of previous) edges.get(id).push(String(prev._id));
+
+  return Object.keys(changes).some((id) => hasCycle(edges, String(id)));
+}
+
+/**
+ * Validates a prerequisites body for a quest in classId (questId unset
+ * for a new quest). placement: the quest's { questline, questlineOrder }
+ * when the same request moves it. Returns { prerequisites } or { error }.
+ */
+async function parsePrerequisites(input, { classId, questId, placement = {} } = {}) {
+  if (input === null) return { prerequisites: { quests: [] } };
+  if (typeof input !== "object") return { error: "prerequisites must be an object" };
+
+  const prerequisites = { quests: [] };
+
+  if (input.minLevel !== undefined && input.minLevel !== null) {
+    const v = Number(input.minLevel);
+    if (!Number.isInteger(v) || v < 1) return { error: "prerequisites.minLevel must be a whole number >= 1" };
+    prerequisites.minLevel = v;
+  }
+  if (input.minXP !== undefined && input.minXP !== null) {
+    const v = Number(input.minXP);
+    if (!Number.isFinite(v) || v < 0) return { error: "prerequisites.minXP must be a number >= 0" };
+    prerequisites.minXP = v;
+  }
+
+  const ids = [...new Set((input.quests || []).map(String))];
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: "prerequisites.quests contains an invalid id" };
+  }
+  if (questId && ids.includes(String(questId))) {
+    return { error: "A quest cannot require itself" };
+  }
+
+  if (ids.length) {
+    const found = await Quest.find({ _id: { $in: ids }, classId }).select("_id").lean();
+    if (found.length !== ids.length) {
+      return { error: "Prerequisite quests must exist in the same class" };
+    }
+  }
+  prerequisites.quests = ids;
+
+  // an existing quest could close a loop through other quests' prerequisites
+  // or the order of a sequential questline
+  if (questId && ids.length) {
+    if (await createsCycle(classId, { [questId]: { prerequisites, ...placement } })) {
+      return { error: "These prerequisites would create a cycle" };
+    }
+  }
+
+  return { prerequisites };
+}
+
+module.exports = {
+  completedQuestIds,
+  evaluateQuestAccess,
+  createsCycle,
+  parsePrerequisites,
+};
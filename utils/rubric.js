@@ -0,0 +1,102 @@
+// utils/rubric.js
+// Quest rubrics: criteria with point levels. A scored rubric turns the
+// quest's rewardXP into partial XP (points earned / points possible).
+
+const MAX_CRITERIA = 20;
+const MAX_LEVELS = 10;
+
+/**
+ * Validates a rubric from a request body.
+ * Returns { rubric } (null to remove it) or { error }.
+ */
+function parseRubric(input) {
+  if (input === null) return { rubric: null };
+  if (!input || !Array.isArray(input.criteria) || !input.criteria.length) {
+    return { error: "rubric.criteria must be a non-empty array" };
+  }
+  if (input.criteria.length > MAX_CRITERIA) {
+    return { error: `A rubric can have at most ${MAX_CRITERIA} criteria` };
+  }
+
+  const criteria = [];
+  for (const [i, c] of input.criteria.entries()) {
+    const title = String(c?.title || "").trim();
+    if (!title) return { error: `Criterion ${i + 1} needs a title` };
+
+    if (!Array.isArray(c.levels) || !c.levels.length || c.levels.length > MAX_LEVELS) {
+      return { error: `Criterion "${title}" needs 1 to ${MAX_LEVELS} levels` };
+    }
+
+    const levels = [];
+    for (const l of c.levels) {
+      const points = Number(l?.points);
+      const label = String(l?.label || "").trim();
+      if (!label || !Number.isFinite(points) || points < 0) {
+        return { error: `Each level of "${title}" needs a label and points >= 0` };
+      }
+      if (levels.some((x) => x.points === points)) {
+        return { error: `Levels of "${title}" must have different points` };
+      }
+      levels.push({ label: label.slice(0, 100), points });
+    }
+    levels.sort((a, b) => b.points - a.points);
+
+    criteria.push({
+      ...(c._id ? { _id: c._id } : {}),
+      title: title.slice(0, 200),
+      description: String(c.description || "").trim().slice(0, 1000),
+      levels,
+    });
+  }
+
+  if (!criteria.some((c) => c.levels[0].points > 0)) {
+    return { error: "A rubric must be worth more than 0 points" };
+  }
+  return { rubric: { criteria } };
+}
+
+const maxPoints = (rubric) =>
+  (rubric?.criteria || []).reduce((sum, c) => sum + Math.max(...c.levels.map((l) => l.points)), 0);
+
+/**
+ * scores: [{ criterionId, points }] with points matching one of the
+ * criterion's levels; every criterion must be scored.
+ * Returns { score } with the breakdown and XP, or { error }.
+ */
+function scoreRubric(rubric, scores, rewardXP) {
+  if (!Array.isArray(scores)) return { error: "scores must be an array" };
+
+  const byCriterion = new Map(scores.map((s) => [String(s?.criterionId), s]));
+  const criteria = [];
+
+  for (const c of rubric.criteria) {
+    const given = byCriterion.get(String(c._id));
+    if (!given) return { error: `Missing score for "${c.title}"` };
+
+    const level = c.levels.find((l) => l.points === Number(given.points));
+    if (!level) {
+      return { error: `Points for "${c.title}" must be one of ${c.levels.map((l) => l.points).join(", ")}` };
+    }
+    criteria.push({
+      criterionId: c._id,
+      title: c.title,
+      level: level.label,
+      points: level.points,
+      maxPoints: Math.max(...c.levels.map((l) => l.points)),
+    });
+  }
+
+  const points = criteria.reduce((sum, c) => sum + c.points, 0);
+  const max = maxPoints(rubric);
+
+  return {
+    score: {
+      points,
+      maxPoints: max,
+      xp: Math.round((rewardXP * points) / max),
+      criteria,
+    },
+  };
+}
+
+module.exports = { parseRubric, maxPoints, scoreRubric };
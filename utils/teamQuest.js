@@ -0,0 +1,208 @@
+// utils/teamQuest.js
+// Team quests. Members submit as usual; approved work counts towards the
+// team's progress and once the quest is complete every member receives
+// the XP (split or duplicated) and the quest in completedQuests.
+const Quest = require("../models/Quest");
+const Team = require("../models/Team");
+const Student = require("../models/Student");
+const Submission = require("../models/Submission");
+const { awardXp, runInTransaction } = require("./xpService");
+const { queueAchievementCheck } = require("./achievements");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COMPLETIONS = ["all-members", "shared-target"];
+const XP_MODES = ["split", "duplicate"];
+// reviews often land after a quest closes; keep retrying that long
+const RETRY_CLOSED_DAYS = 7;
+
+/**
+ * Validates a teamQuest body for quest create/update; null makes the
+ * quest individual again. Returns { teamQuest } or { error }.
+ */
+function parseTeamQuest(input) {
+  if (input === null || input === false) return { teamQuest: null };
+  if (typeof input !== "object") return { error: "teamQuest must be an object" };
+
+  const completion = input.completion || "all-members";
+  if (!COMPLETIONS.includes(completion)) {
+    return { error: `teamQuest.completion must be one of ${COMPLETIONS.join(", ")}` };
+  }
+  const xpMode = input.xpMode || "duplicate";
+  if (!XP_MODES.includes(xpMode)) {
+    return { error: `teamQuest.xpMode must be one of ${XP_MODES.join(", ")}` };
+  }
+
+  const teamQuest = { completion, xpMode };
+  if (completion === "shared-target") {
+    const target = Number(input.target);
+    if (!Number.isFinite(target) || target < 1) {
+      return { error: "teamQuest.target must be a number >= 1 for a shared target" };
+    }
+    teamQuest.target = target;
+  }
+  return { teamQuest };
+}
+
+const findStudentTeam = (studentId, classId) =>
+  Team.findOne({ classId, members: studentId }).lean();
+
+const xpPerMember = (quest, memberCount) =>
+  quest.teamQuest?.xpMode === "split"
+    ? Math.floor(quest.rewardXP / Math.max(1, memberCount))
+    : quest.rewardXP;
+
+const teamCompleted = (team, questId) =>
+  (team.completedQuests || []).some((c) => String(c.quest) === String(questId));
+
+/**
+ * { completion, current, required, percent, completed } for one team.
+ * all-members counts members with approved work; shared-target sums the
+ * approved contributions.
+ */
+async function teamQuestProgress(quest, team) {
+  const approved = await Submission.find({ quest: quest._id, team: team._id, status: "approved" })
+    .select("student contribution")
+    .lean();
+
+  let current;
+  let required;
+  if (quest.teamQuest.completion === "shared-target") {
+    current = approved.reduce((sum, s) => sum + (s.contribution ?? 1), 0);
+    required = quest.teamQuest.target;
+  } else {
+    const members = new Set((team.members || []).map(String));
+    current = new Set(approved.map((s) => String(s.student)).filter((id) => members.has(id))).size;
+    required = members.size;
+  }
+
+  const completed = teamCompleted(team, quest._id);
+  return {
+    completion: quest.teamQuest.completion,
+    current,
+    required,
+    percent: completed ? 100 : required ? Math.min(100, Math.round((current / required) * 100)) : 0,
+    completed,
+  };
+}
+
+/**
+ * Called after a member's submission is approved. When the team has now
+ * met the goal, records the completion (once, even under concurrent
+ * reviews) and grants every current member their XP.
+ */
+async function completeTeamQuestIfDone(quest, teamId, { createdBy, now = new Date() } = {}) {
+  const team = await Team.findById(teamId).lean();
+  if (!team || !team.members.length || teamCompleted(team, quest._id)) return null;
+
+  const progress = await teamQuestProgress(quest, team);
+  if (progress.current < progress.required) return null;
+
+  const xp = xpPerMember(quest, team.members.length);
+
+  // the team's completion and every member's XP are one transaction
+  const result = await runInTransaction(async (session) => {
+    const claimed = await Team.updateOne(
+      { _id: team._id, "completedQuests.quest": { $ne: quest._id } },
+      {
+        $push: {
+          completedQuests: { quest: quest._id, completedAt: now, xpPerMember: xp, members: team.members },
+        },
+      },
+      { session }
+    );
+    if (!claimed.modifiedCount) return null;
+
+    const members = await Student.find({ _id: { $in: team.members } }).select("_id").session(session).lean();
+    for (const member of members) {
+      await awardXp(
+        member._id,
+        {
+          xp,
+          source: "quest",
+          reason: `${quest.title} (team ${team.name})`,
+          ref: `team-quest:${quest._id}:${team._id}`,
+        },
+        { session, createdBy, now, update: { $push: { completedQuests: { quest: quest._id, completedAt: now } } } }
+      );
+    }
+
+    return { team: team._id, xpPerMember: xp, members: members.length };
+  });
+
+  if (result) queueAchievementCheck(team.members);
+  return result;
+}
+
+/**
+ * Retries completions a review or roster edit did not get through: every
+ * team with approved work on a team quest that is open or closed within
+ * the last RETRY_CLOSED_DAYS. Run from the quest scheduler's tick.
+ */
+async function completePendingTeamQuests(now = new Date()) {
+  const quests = await Quest.find({
+    teamQuest: { $ne: null },
+    status: { $in: ["Active", "Completed"] },
+    endDate: { $gte: new Date(now.getTime() - RETRY_CLOSED_DAYS * DAY_MS) },
+  })
+    .select("title rewardXP classId teamQuest")
+    .lean();
+
+  let completed = 0;
+  for (const quest of quests) {
+    const teamIds = await Submission.distinct("team", {
+      quest: quest._id,
+      status: "approved",
+      team: { $ne: null },
+    });
+    for (const teamId of teamIds) {
+      try {
+        if (await completeTeamQuestIfDone(quest, teamId, { now })) completed++;
+      } catch (err) {
+        console.error("Team quest completion failed:", err.message);
+      }
+    }
+  }
+  return completed;
+}
+
+/**
+ * Dashboard view of a student's team: members, total XP and progress on
+ * the given (active) team quests.
+ */
+async function teamSummary(team, quests = []) {
+  const members = await Student.find({ _id: { $in: team.members } })
+    .select("name xp level")
+    .sort({ xp: -1 })
+    .lean();
+
+  const teamQuests = [];
+  for (const quest of quests.filter((q) => q.teamQuest)) {
+    teamQuests.push({
+      _id: quest._id,
+      title: quest.title,
+      xpPerMember: xpPerMember(quest, team.members.length),
+      progress: await teamQuestProgress(quest, team),
+    });
+  }
+
+  return {
+    _id: team._id,
+    name: team.name,
+    members: members.map((m) => ({ _id: m._id, name: m.name, xp: m.xp, level: m.level })),
+    totalXP: members.reduce((sum, m) => sum + (m.xp || 0), 0),
+    completedTeamQuests: (team.completedQuests || []).length,
+    teamQuests,
+  };
+}
+
+module.exports = {
+  parseTeamQuest,
+  findStudentTeam,
+  xpPerMember,
+  teamCompleted,
+  teamQuestProgress,
+  completeTeamQuestIfDone,
+  completePendingTeamQuests,
+  teamSummary,
+};
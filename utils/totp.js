@@ -0,0 +1,93 @@
+// utils/totp.js
+// Minimal RFC 6238 TOTP (SHA-1, 6 digits, 30 s) — what authenticator apps expect.
+const crypto = require("crypto");
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD = 30;
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[^A-Z2-7]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const ch of clean) {
+    value = (value << 5) | BASE32.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD);
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(msg)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(bin).padStart(DIGITS, "0");
+}
+
+const generateTotp = (secret, now = Date.now()) => hotp(secret, timeStep(now));
+
+/**
+ * Check a code against the current step ± window.
+ * Returns the matching step (store it to block replays) or null.
+ * Steps at or before `afterStep` are rejected.
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now(), afterStep } = {}) {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== undefined && afterStep !== null && step <= afterStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+const buildOtpauthUrl = ({ secret, account, issuer = "ClassCraft" }) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+  `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+};
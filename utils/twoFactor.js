@@ -0,0 +1,114 @@
+// utils/twoFactor.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const SecurityPolicy = require("../models/SecurityPolicy");
+const { verifyTotp } = require("./totp");
+
+const secret = process.env.JWT_SECRET || "change_this";
+const CHALLENGE_EXPIRES = process.env.TWO_FACTOR_CHALLENGE_EXPIRES || "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// hidden fields needed to check a code
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes";
+
+const hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+
+/* =========================
+   RECOVERY CODES
+   - shown once, stored hashed
+========================= */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex"); // 10 hex chars
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    entries: codes.map((c) => ({ hash: hashCode(c) })),
+  };
+}
+
+function consumeRecoveryCode(user, code) {
+  const hash = hashCode(code);
+  const entry = (user.twoFactor.recoveryCodes || []).find(
+    (c) => !c.usedAt && c.hash === hash
+  );
+  if (!entry) return false;
+
+  entry.usedAt = new Date();
+  return true;
+}
+
+const remainingRecoveryCodes = (user) =>
+  (user.twoFactor?.recoveryCodes || []).filter((c) => !c.usedAt).length;
+
+/**
+ * Check a TOTP or recovery code for a user loaded with TWO_FACTOR_FIELDS.
+ * Mutates the user (replay step / used recovery code); caller saves.
+ * Returns "totp", "recovery" or null.
+ */
+function verifyUserCode(user, code, { useSecret = "secret" } = {}) {
+  const totpSecret = user.twoFactor?.[useSecret];
+  if (!totpSecret || !code) return null;
+
+  const step = verifyTotp(totpSecret, code, {
+    afterStep: user.twoFactor.lastUsedStep,
+  });
+  if (step !== null) {
+    user.twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  if (useSecret === "secret" && consumeRecoveryCode(user, code)) {
+    return "recovery";
+  }
+
+  return null;
+}
+
+/* =========================
+   POLICY
+========================= */
+async function getPolicy() {
+  const policy = await SecurityPolicy.findOne({ key: "global" }).lean();
+  return policy || { key: "global", twoFactorRequiredRoles: [] };
+}
+
+async function isTwoFactorRequired(role) {
+  const policy = await getPolicy();
+  return (policy.twoFactorRequiredRoles || []).includes(role);
+}
+
+/* =========================
+   LOGIN CHALLENGE
+   short-lived token bridging password and code steps
+========================= */
+const signChallengeToken = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, secret, { expiresIn: CHALLENGE_EXPIRES });
+
+function verifyChallengeToken(token) {
+  try {
+    const payload = jwt.verify(token, secret);
+    if (!["2fa", "2fa-setup"].includes(payload.purpose)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  remainingRecoveryCodes,
+  verifyUserCode,
+  getPolicy,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+};
@@ -0,0 +1,272 @@
+// utils/xpService.js
+// The one place XP changes. Every change is written to the append-only
+// XpLedgerEntry collection and applied to Student.xp / level / xpHistory in
+// the same MongoDB transaction; undoing XP means adding a reversal entry.
+// reconcileXp rebuilds the stored totals from the ledger. Levels follow
+// the class's level curve (utils/leveling.js).
+const mongoose = require("mongoose");
+const Student = require("../models/Student");
+const XpLedgerEntry = require("../models/XpLedgerEntry");
+const { getLevelCurveForClass, levelFor, levelInfo } = require("./leveling");
+
+/* =========================
+   TRANSACTIONS
+========================= */
+
+// standalone mongod (common in development) has no transactions
+let transactionsSupported = true;
+
+const transactionsUnavailable = (err) =>
+  err?.code === 20 || /replica set member or mongos|Transaction numbers/i.test(err?.message || "");
+
+/**
+ * Runs work(session) in a transaction (retried by the driver on transient
+ * errors). Without replica set support it runs once with session = null;
+ * reconcileXp repairs any drift a crash could leave behind.
+ */
+async function runInTransaction(work) {
+  if (transactionsSupported) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (err) {
+      if (!transactionsUnavailable(err)) throw err;
+      transactionsSupported = false;
+      console.warn("MongoDB transactions are unavailable (no replica set); XP changes run without them");
+    } finally {
+      await session.endSession();
+    }
+  }
+  return work(null);
+}
+
+// callers may pass their own session to include other writes
+const inSession = (opts, work) => (opts.session !== undefined ? work(opts.session) : runInTransaction(work));
+
+/* =========================
+   WRITES
+========================= */
+
+// XP earned before the ledger existed is carried over as one entry
+async function ensureOpeningBalance(student, session) {
+  const hasEntries = await XpLedgerEntry.exists({ student: student._id }).session(session);
+  if (hasEntries || !student.xp) return false;
+
+  try {
+    await XpLedgerEntry.create(
+      [{ student: student._id, xp: student.xp, source: "opening-balance", reason: "XP before the ledger" }],
+      { session }
+    );
+  } catch (err) {
+    // another write carried it over first (only possible without transactions)
+    if (err.code !== 11000 || session) throw err;
+  }
+  return true;
+}
+
+/**
+ * entries: [{ xp, source, reason?, ref?, seq?, rubric?, reverses? }]
+ * update: extra Student update applied with the XP, e.g.
+ *   { $push: { completedQuests: {...} } }
+ * Returns the student's new { _id, xp, level } and the ledger entries.
+ */
+async function writeXp(studentId, entries, { session, createdBy, update = {}, now = new Date() }) {
+  const student = await Student.findById(studentId).select("xp classId").session(session).lean();
+  if (!student) {
+    const e = new Error("Student not found");
+    e.status = 404;
+    throw e;
+  }
+  await ensureOpeningBalance(student, session);
+
+  const ledger = await XpLedgerEntry.insertMany(
+    entries.map((e) => ({
+      student: student._id,
+      xp: e.xp,
+      source: e.source,
+      reason: e.reason,
+      ref: e.ref,
+      seq: e.seq,
+      reverses: e.reverses,
+      createdBy,
+    })),
+    { session }
+  );
+
+  const history = entries.map((e) => ({
+    xp: e.xp,
+    source: e.source,
+    reason: e.reason,
+    ref: e.ref,
+    ...(e.rubric ? { rubric: e.rubric } : {}),
+    date: now,
+  }));
+
+  const doc = await Student.findByIdAndUpdate(
+    student._id,
+    {
+      ...update,
+      $inc: { ...(update.$inc || {}), xp: entries.reduce((sum, e) => sum + e.xp, 0) },
+      $push: { ...(update.$push || {}), xpHistory: { $each: history } },
+    },
+    { new: true, session }
+  ).select("xp level");
+
+  const curve = await getLevelCurveForClass(student.classId);
+  const level = levelFor(curve, doc.xp);
+  if (doc.level !== level) {
+    const { title } = levelInfo(curve, doc.xp);
+    await Student.updateOne(
+      { _id: doc._id },
+      {
+        $set: { level },
+        // level-ups show in the student's history; drops are not announced
+        ...(level > doc.level
+          ? {
+              $push: {
+                xpHistory: {
+                  xp: 0,
+                  source: "level-up",
+                  reason: title ? `Reached level ${level}: ${title}` : `Reached level ${level}`,
+                  level,
+                  date: now,
+                },
+              },
+            }
+          : {}),
+      },
+      { session }
+    );
+  }
+
+  return { student: { _id: doc._id, xp: doc.xp, level, levelUp: level > doc.level }, entries: ledger };
+}
+
+/**
+ * Grants (or, with a negative xp, deducts) XP for one reason.
+ * opts: { createdBy?, update?, session? }
+ */
+const awardXp = (studentId, entry, opts = {}) =>
+  inSession(opts, (session) => writeXp(studentId, [entry], { ...opts, session }));
+
+// several entries for one student in one write (attendance sync)
+const awardXpEntries = (studentId, entries, opts = {}) =>
+  inSession(opts, (session) => writeXp(studentId, entries, { ...opts, session }));
+
+/**
+ * Reverses every not-yet-reversed entry of the student with this ref.
+ * When none exists (XP granted before the ledger), `fallback`
+ * ({ xp, source, reason }) is deducted instead. Returns null when there
+ * was nothing to undo.
+ */
+function reverseXp(studentId, ref, { reason, fallback, createdBy, session } = {}) {
+  return inSession({ session }, async (s) => {
+    const originals = await XpLedgerEntry.find({ student: studentId, ref, reverses: null })
+      .session(s)
+      .lean();
+    const reversed = new Set(
+      (
+        await XpLedgerEntry.find({ reverses: { $in: originals.map((e) => e._id) } })
+          .select("reverses")
+          .session(s)
+          .lean()
+      ).map((e) => String(e.reverses))
+    );
+    const open = originals.filter((e) => !reversed.has(String(e._id)) && e.xp !== 0);
+
+    const entries = open.length
+      ? open.map((e) => ({
+          xp: -e.xp,
+          source: e.source,
+          reason: `Reversed: ${reason || e.reason || ref}`,
+          ref,
+          reverses: e._id,
+        }))
+      : !originals.length && fallback?.xp
+        ? [{ xp: -fallback.xp, source: fallback.source, reason: `Reversed: ${reason || fallback.reason || ref}`, ref }]
+        : [];
+
+    if (!entries.length) return null;
+    return writeXp(studentId, entries, { session: s, createdBy });
+  });
+}
+
+/* =========================
+   RECONCILIATION
+========================= */
+
+/**
+ * Compares Student.xp / level with the ledger. Students without ledger
+ * entries get their opening balance first. Unless dryRun, drifted
+ * students are reset to the ledger totals.
+ */
+async function reconcileXp({ studentIds, dryRun = false } = {}) {
+  const query = studentIds ? { _id: { $in: studentIds } } : {};
+  const students = await Student.find(query).select("name enrollNo classId xp level").lean();
+
+  const sums = await XpLedgerEntry.aggregate([
+    ...(studentIds ? [{ $match: { student: { $in: students.map((s) => s._id) } } }] : []),
+    { $group: { _id: "$student", xp: { $sum: "$xp" }, entries: { $sum: 1 } } },
+  ]);
+  const ledgerById = new Map(sums.map((s) => [String(s._id), s]));
+
+  const curves = new Map();
+  const curveOf = async (classId) => {
+    const key = String(classId);
+    if (!curves.has(key)) curves.set(key, await getLevelCurveForClass(classId));
+    return curves.get(key);
+  };
+
+  const drift = [];
+  let openingBalances = 0;
+  let repaired = 0;
+
+  for (const student of students) {
+    const ledger = ledgerById.get(String(student._id));
+    const curve = await curveOf(student.classId);
+
+    if (!ledger) {
+      if (!student.xp && student.level === 1) continue;
+      if (!dryRun && (await ensureOpeningBalance(student, null))) openingBalances++;
+    }
+
+    const ledgerXP = ledger ? ledger.xp : student.xp || 0;
+    const level = levelFor(curve, ledgerXP);
+    if (ledgerXP === (student.xp || 0) && level === student.level) continue;
+
+    drift.push({
+      studentId: student._id,
+      name: student.name,
+      enrollNo: student.enrollNo,
+      classId: student.classId,
+      storedXP: student.xp || 0,
+      ledgerXP,
+      difference: ledgerXP - (student.xp || 0),
+      storedLevel: student.level,
+      level,
+    });
+
+    if (!dryRun) {
+      // skip students whose XP changed while we were reading
+      const res = await Student.updateOne(
+        { _id: student._id, xp: student.xp },
+        { $set: { xp: ledgerXP, level } }
+      );
+      repaired += res.modifiedCount;
+    }
+  }
+
+  return { checked: students.length, drifted: drift.length, repaired, openingBalances, dryRun, drift };
+}
+
+module.exports = {
+  runInTransaction,
+  awardXp,
+  awardXpEntries,
+  reverseXp,
+  reconcileXp,
+};